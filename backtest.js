@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+
+/**
+ * Backtest - replays recorded RL80 decisions against stored candles
+ *
+ * Decisions go through the service's own processDecision path: validateDecision,
+ * sizing and the paper fill model. Candles stand in for the Lighter order book.
+ *
+ * Usage:
+ *   node backtest.js --decisions decisions.jsonl --candles candles.json [options]
+ *
+ *   --decisions <file>    JSONL, one RL80 decision per line (timestamp in ms, s or ISO)
+ *   --candles <file>      JSON { BTC: [candles], ... } or JSONL with a symbol per candle.
+ *                         Candles are { time, open, high, low, close }, time = candle close.
+ *   --config key=value    Override a trading config value (repeatable), e.g. minConfidence=0.6
+ *   --out <file>          Write the full report (equity curve included) as JSON
+ *   --verbose             Keep the service's own logging
+ *   --help                Print usage
+ *
+ * Trading config env vars (MIN_TRADE_CONFIDENCE, TRADE_COOLDOWN_MS, ...) apply as in
+ * the live service. Funding is not simulated.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const USAGE = 'Usage: node backtest.js --decisions <decisions.jsonl> --candles <candles.json> [--config key=value] [--out report.json] [--verbose] [--help]';
+
+// Unknown flags and missing values get the usage line instead of a stack trace
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      decisions: { type: 'string' },
+      candles: { type: 'string' },
+      config: { type: 'string', multiple: true, default: [] },
+      out: { type: 'string' },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  }));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+// Keep the service's logging out of the report unless asked for
+const log = console.log;
+if (!args.verbose) console.log = () => {};
+
+const LighterStandaloneService = require('./lighter-background-service-standalone');
+const { PaperAccount } = LighterStandaloneService;
+
+// Timestamps may be ms, seconds or ISO strings
+function toMs(value) {
+  if (typeof value === 'string' && isNaN(Number(value))) {
+    return Date.parse(value);
+  }
+  const n = Number(value);
+  return n < 1e12 ? n * 1000 : n;
+}
+
+function readJsonl(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${i + 1}: ${error.message}`);
+      }
+    });
+}
+
+// Returns [{ symbol, time, open, high, low, close }] sorted by time
+function loadCandles(file) {
+  const raw = fs.readFileSync(file, 'utf8').trim();
+  let rows;
+
+  if (raw.startsWith('{') && !raw.includes('\n{')) {
+    const bySymbol = JSON.parse(raw);
+    rows = Object.entries(bySymbol).flatMap(([symbol, candles]) => candles.map(c => ({ ...c, symbol })));
+  } else {
+    rows = readJsonl(file);
+  }
+
+  return rows
+    .map(c => ({
+      symbol: String(c.symbol).toUpperCase(),
+      time: toMs(c.time ?? c.timestamp),
+      open: Number(c.open),
+      high: Number(c.high),
+      low: Number(c.low),
+      close: Number(c.close)
+    }))
+    .filter(c => Number.isFinite(c.time) && c.close > 0)
+    .sort((a, b) => a.time - b.time);
+}
+
+// Service with a replayed clock, candle quotes and no Firestore
+class BacktestService extends LighterStandaloneService {
+  constructor() {
+    super({ offline: true, tradingConfig: { enabled: false, paperTrading: true } });
+    this.clock = null;            // Replay time in ms, set per event
+    this.prices = new Map();      // symbol -> current simulated price
+    this.candleHistory = new Map();  // symbol -> candles replayed so far (for ATR)
+    this.exits = [];              // fills that reduced a position (win rate)
+    this.roundTrips = [];         // positions taken back to flat
+  }
+
+  // Wall clock only until the replay starts (the base constructor reads it)
+  now() {
+    return this.clock ?? Date.now();
+  }
+
+  // One price level of unlimited size; PAPER_SLIPPAGE_BPS models the spread and impact
+  async getPaperQuote(symbol) {
+    const price = this.prices.get(symbol);
+    if (!price) return null;
+
+    const level = [{ price, size: Infinity }];
+    return { bids: level, asks: level, bestBid: price, bestAsk: price, mid: price, source: 'candles' };
+  }
+
+  // Sizing inputs come from the replay instead of Firestore
+  async getATR(symbol) {
+    return this.calculateATR(this.candleHistory.get(symbol) || []);
+  }
+
+  async getAgentTradeStats(agentId) {
+    const pnls = this.exits
+      .filter(exit => exit.agentId === agentId)
+      .slice(-this.tradingConfig.sizingKellyLookback)
+      .map(exit => exit.pnl);
+    return this.summarizeTradeOutcomes(pnls);
+  }
+
+  async applyPaperFill(order, size, price, liquidity) {
+    // Exits count toward the agent that opened the position, as result.pnl does live
+    const openedBy = this.paperAccount.positions.get(order.symbol)?.entries[0]?.agentId;
+    const fill = await super.applyPaperFill(order, size, price, liquidity);
+    if (fill?.closedSize > 0) {
+      this.exits.push({
+        symbol: order.symbol,
+        agentId: openedBy,
+        size: fill.closedSize,
+        pnl: fill.realized,
+        time: new Date(this.clock).toISOString()
+      });
+    }
+    return fill;
+  }
+
+  async closePaperPosition(closed) {
+    this.roundTrips.push({
+      symbol: closed.symbol,
+      side: closed.side,
+      pnl: closed.realizedPnL,
+      fees: closed.fees,
+      openedAt: closed.openedAt,
+      closedAt: new Date(this.clock).toISOString()
+    });
+  }
+
+  // Walk a candle open -> low/high -> close so intrabar stops and limits can trigger.
+  // Bullish candles are assumed to dip first, bearish candles to spike first.
+  async replayCandle(candle) {
+    const path = candle.close >= candle.open
+      ? [candle.open, candle.low, candle.high, candle.close]
+      : [candle.open, candle.high, candle.low, candle.close];
+
+    for (const price of path) {
+      if (!(price > 0)) continue;
+      this.prices.set(candle.symbol, price);
+      await this.updatePaperSymbol(candle.symbol, await this.getPaperQuote(candle.symbol));
+    }
+
+    const history = this.candleHistory.get(candle.symbol) || [];
+    history.push(candle);
+    this.candleHistory.set(candle.symbol, history.slice(-100));
+  }
+
+  // Apply --config overrides, typed after the existing values
+  applyConfigOverrides(pairs) {
+    const config = this.tradingConfig;
+    for (const pair of pairs) {
+      const [key, ...rest] = pair.split('=');
+      const value = rest.join('=');
+      if (!(key in config) || key === 'enabled' || key === 'paperTrading') {
+        throw new Error(`Unknown or fixed trading config key: ${key}`);
+      }
+      if (Array.isArray(config[key])) {
+        config[key] = value.split(',').map(v => v.trim().toUpperCase());
+      } else if (typeof config[key] === 'number') {
+        config[key] = Number(value);
+        if (!Number.isFinite(config[key])) throw new Error(`Invalid number for ${key}: ${value}`);
+      } else {
+        config[key] = value;
+      }
+    }
+    this.paperAccount = new PaperAccount(config.paperStartingBalanceUSD);
+  }
+
+  rollDay(time) {
+    const day = this.getTradingDay(time);
+    if (day !== this.tradingState.tradingDay) {
+      this.resetDailyStats(day);
+    }
+  }
+}
+
+function computeStats(equityCurve, exits, roundTrips, startingBalance) {
+  let peak = startingBalance;
+  let maxDrawdownUSD = 0;
+  let maxDrawdownPct = 0;
+  for (const point of equityCurve) {
+    peak = Math.max(peak, point.equity);
+    const drawdown = peak - point.equity;
+    maxDrawdownUSD = Math.max(maxDrawdownUSD, drawdown);
+    maxDrawdownPct = Math.max(maxDrawdownPct, peak > 0 ? drawdown / peak : 0);
+  }
+
+  // Sharpe from end-of-day equity, annualized over 365 trading days
+  const dailyEquity = new Map();
+  for (const point of equityCurve) {
+    dailyEquity.set(point.time.slice(0, 10), point.equity);
+  }
+  const closes = [startingBalance, ...dailyEquity.values()];
+  const returns = closes.slice(1).map((equity, i) => equity / closes[i] - 1);
+  const mean = returns.reduce((sum, r) => sum + r, 0) / (returns.length || 1);
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / ((returns.length - 1) || 1);
+  const sharpe = returns.length > 1 && variance > 0 ? (mean / Math.sqrt(variance)) * Math.sqrt(365) : null;
+
+  // A "trade" for win rate is any fill that reduced or closed a position (net of fees)
+  const wins = exits.filter(e => e.pnl > 0).length;
+  const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : startingBalance;
+
+  return {
+    startingBalance,
+    finalEquity,
+    totalReturnPct: (finalEquity / startingBalance - 1) * 100,
+    closingTrades: exits.length,
+    winRate: exits.length > 0 ? wins / exits.length : null,
+    roundTrips: roundTrips.length,
+    maxDrawdownUSD,
+    maxDrawdownPct: maxDrawdownPct * 100,
+    sharpe
+  };
+}
+
+// Group rejection reasons by their text before the first ':' ("Cooldown active: 12s" -> "Cooldown active")
+function rejectionKey(reason) {
+  return String(reason || 'unknown').split(':')[0].trim();
+}
+
+async function runBacktest({ decisionsFile, candlesFile, configPairs }) {
+  const decisions = readJsonl(decisionsFile)
+    .map(decision => ({ ...decision, time: toMs(decision.timestamp) }))
+    .filter(decision => Number.isFinite(decision.time))
+    .sort((a, b) => a.time - b.time);
+  const candles = loadCandles(candlesFile);
+
+  const service = new BacktestService();
+  service.applyConfigOverrides(configPairs);
+  const account = service.paperAccount;
+
+  // Candles close at their timestamp, so on ties the candle is replayed first
+  const events = [
+    ...candles.map(candle => ({ time: candle.time, order: 0, candle })),
+    ...decisions.map(decision => ({ time: decision.time, order: 1, decision }))
+  ].sort((a, b) => a.time - b.time || a.order - b.order);
+
+  const equityCurve = [];
+  const statusCounts = {};
+  const rejections = {};
+
+  service.clock = events[0]?.time || Date.now();
+  service.resetDailyStats(service.getTradingDay(service.clock));
+
+  for (const event of events) {
+    service.clock = event.time;
+    service.rollDay(event.time);
+
+    if (event.candle) {
+      await service.replayCandle(event.candle);
+      equityCurve.push({ time: new Date(event.time).toISOString(), equity: account.equity });
+      continue;
+    }
+
+    const { time, ...decision } = event.decision;
+    const outcome = await service.processDecision(decision);
+    statusCounts[outcome.status] = (statusCounts[outcome.status] || 0) + 1;
+    if (outcome.status === 'rejected' || outcome.reason) {
+      const key = rejectionKey(outcome.reason);
+      rejections[key] = (rejections[key] || 0) + 1;
+    }
+  }
+
+  return {
+    config: {
+      minConfidence: service.tradingConfig.minConfidence,
+      cooldownMs: service.tradingConfig.cooldownMs,
+      maxPositionSizeUSD: service.tradingConfig.maxPositionSizeUSD,
+      maxExposureUSD: service.tradingConfig.maxExposureUSD,
+      sizingStrategy: service.tradingConfig.sizingStrategy,
+      maxDailyTrades: service.tradingConfig.maxDailyTrades,
+      maxDailyLossUSD: service.tradingConfig.maxDailyLossUSD,
+      paperSlippageBps: service.tradingConfig.paperSlippageBps,
+      takerFeeBps: service.tradingConfig.takerFeeBps,
+      makerFeeBps: service.tradingConfig.makerFeeBps
+    },
+    period: {
+      from: events.length > 0 ? new Date(events[0].time).toISOString() : null,
+      to: events.length > 0 ? new Date(events[events.length - 1].time).toISOString() : null,
+      decisions: decisions.length,
+      candles: candles.length
+    },
+    stats: computeStats(equityCurve, service.exits, service.roundTrips, account.startingBalance),
+    decisions: statusCounts,
+    rejections,
+    openPositions: [...account.positions.values()].map(p => ({
+      symbol: p.symbol,
+      quantity: p.quantity,
+      avgEntryPrice: p.avgEntryPrice,
+      unrealizedPnL: p.unrealizedPnL
+    })),
+    fees: account.fees,
+    roundTrips: service.roundTrips,
+    equityCurve
+  };
+}
+
+function printReport(report) {
+  const { stats } = report;
+  const pct = value => (value === null ? 'n/a' : `${value.toFixed(2)}%`);
+
+  log('');
+  log('═'.repeat(60));
+  log('📈 BACKTEST REPORT');
+  log('═'.repeat(60));
+  log(`Period:        ${report.period.from} → ${report.period.to}`);
+  log(`Input:         ${report.period.decisions} decisions, ${report.period.candles} candles`);
+  log(`Config:        ${JSON.stringify(report.config)}`);
+  log('');
+  log(`Equity:        $${stats.startingBalance.toFixed(2)} → $${stats.finalEquity.toFixed(2)} (${pct(stats.totalReturnPct)})`);
+  log(`Win rate:      ${stats.winRate === null ? 'n/a' : pct(stats.winRate * 100)} of ${stats.closingTrades} closing trades (${stats.roundTrips} round trips to flat)`);
+  log(`Max drawdown:  $${stats.maxDrawdownUSD.toFixed(2)} (${pct(stats.maxDrawdownPct)})`);
+  log(`Sharpe:        ${stats.sharpe === null ? 'n/a' : stats.sharpe.toFixed(2)} (daily, annualized)`);
+  log(`Fees:          $${report.fees.toFixed(2)}`);
+  log('');
+  log('Decisions:');
+  for (const [status, count] of Object.entries(report.decisions)) {
+    log(`  ${status.padEnd(20)} ${count}`);
+  }
+  if (Object.keys(report.rejections).length > 0) {
+    log('Rejections / failures by reason:');
+    for (const [reason, count] of Object.entries(report.rejections).sort((a, b) => b[1] - a[1])) {
+      log(`  ${reason.padEnd(40)} ${count}`);
+    }
+  }
+  if (report.openPositions.length > 0) {
+    log('Open at end:');
+    for (const p of report.openPositions) {
+      log(`  ${p.symbol} ${p.quantity.toFixed(6)} @ $${p.avgEntryPrice.toFixed(2)} (unrealized $${p.unrealizedPnL.toFixed(2)})`);
+    }
+  }
+  log('═'.repeat(60));
+}
+
+async function main() {
+  if (!args.decisions || !args.candles) {
+    log(USAGE);
+    process.exit(1);
+  }
+
+  const report = await runBacktest({
+    decisionsFile: args.decisions,
+    candlesFile: args.candles,
+    configPairs: args.config
+  });
+
+  printReport(report);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    log(`📝 Report written to ${args.out}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Backtest failed:', error.message);
+  process.exit(1);
+});
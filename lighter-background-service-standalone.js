@@ -14,6 +14,8 @@ const { Wallet } = require('ethers');
 const fs = require('fs');
 const path = require('path');
 const googleTrends = require('google-trends-api');
+const crypto = require('crypto');
+const os = require('os');
 
 // Lighter SDK for proper transaction signing
 let SignerClient;
@@ -25,6 +27,148 @@ try {
   SignerClient = null;
 }
 
+// Order types accepted on RL80 decisions
+const ORDER_TYPES = ['market', 'limit', 'post_only', 'ioc'];
+
+// Lighter order type / time-in-force codes (mirror SignerClient constants)
+const LIGHTER_ORDER_TYPE = {
+  LIMIT: SignerClient?.ORDER_TYPE_LIMIT ?? 0,
+  MARKET: SignerClient?.ORDER_TYPE_MARKET ?? 1,
+  STOP_LOSS: SignerClient?.ORDER_TYPE_STOP_LOSS ?? 2,
+  TAKE_PROFIT: SignerClient?.ORDER_TYPE_TAKE_PROFIT ?? 4
+};
+const LIGHTER_TIME_IN_FORCE = {
+  IMMEDIATE_OR_CANCEL: SignerClient?.ORDER_TIME_IN_FORCE_IMMEDIATE_OR_CANCEL ?? 0,
+  GOOD_TILL_TIME: SignerClient?.ORDER_TIME_IN_FORCE_GOOD_TILL_TIME ?? 1,
+  POST_ONLY: SignerClient?.ORDER_TIME_IN_FORCE_POST_ONLY ?? 2
+};
+const LIGHTER_NIL_TRIGGER_PRICE = 0;
+const LIGHTER_DEFAULT_ORDER_EXPIRY = -1;  // SDK default: 28 days
+const LIGHTER_IOC_EXPIRY = 0;
+const LIGHTER_CANCEL_ALL_IMMEDIATE = SignerClient?.CANCEL_ALL_TIF_IMMEDIATE ?? 0;
+
+// Decision actions that trade against the position already held
+const POSITION_ACTIONS = ['CLOSE', 'REDUCE', 'FLIP'];
+
+// Position sizing strategies (SIZING_STRATEGY / decision.sizing)
+const SIZING_STRATEGIES = ['confidence', 'fixed_usd', 'equity_fraction', 'volatility_target', 'kelly'];
+
+// Trading config keys adjustable through the control channel (validator returns undefined if invalid)
+const CONTROL_CONFIG_KEYS = {
+  maxPositionSizeUSD: v => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : undefined),
+  minConfidence: v => (Number.isFinite(Number(v)) && Number(v) >= 0 && Number(v) <= 1 ? Number(v) : undefined),
+  cooldownMs: v => (Number.isInteger(Number(v)) && Number(v) >= 0 ? Number(v) : undefined),
+  maxExposureUSD: v => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : undefined),
+  maxSymbolNotionalUSD: v => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : undefined),
+  maxNetExposureUSD: v => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : undefined),
+  maxLeverage: v => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : undefined),
+  maxConcentration: v => (Number.isFinite(Number(v)) && Number(v) > 0 && Number(v) <= 1 ? Number(v) : undefined),
+  minMarginBufferPct: v => (Number.isFinite(Number(v)) && Number(v) >= 0 && Number(v) <= 100 ? Number(v) : undefined),
+  initialMarginPct: v => (Number.isFinite(Number(v)) && Number(v) > 0 && Number(v) <= 100 ? Number(v) : undefined),
+  sizingStrategy: v => (SIZING_STRATEGIES.includes(String(v).toLowerCase()) ? String(v).toLowerCase() : undefined),
+  allowedSymbols: v => (Array.isArray(v) && v.length > 0 && v.every(x => typeof x === 'string')
+    ? v.map(x => x.trim().toUpperCase())
+    : undefined)
+};
+
+// RL80 decision schema. `required` is true or the actions that need the field; other
+// fields are optional but must match their type and range when present.
+const DECISION_ACTIONS = ['BUY', 'SELL', 'HOLD', 'CLOSE', 'REDUCE', 'FLIP', 'FLATTEN_ALL', 'CANCEL', 'EMERGENCY_STOP'];
+const DECISION_SCHEMA = {
+  action: { type: 'string', enum: DECISION_ACTIONS, required: true },
+  timestamp: { type: 'timestamp', required: DECISION_ACTIONS.filter(a => a !== 'EMERGENCY_STOP') },
+  symbol: { type: 'string', required: ['BUY', 'SELL', 'CLOSE', 'REDUCE', 'FLIP'] },
+  confidence: { type: 'number', min: 0, max: 1, required: ['BUY', 'SELL', 'FLIP'] },  // Exits don't need conviction
+  reasoning: { type: 'string' },
+  position_size: { type: 'number', positive: true },
+  sizing: { type: 'sizing' },
+  orderType: { type: 'string', enum: ORDER_TYPES, lowercase: true },
+  limitPrice: { type: 'number', positive: true },
+  offsetBps: { type: 'number', min: 0 },
+  maxSlippageBps: { type: 'number', positive: true },
+  stopLoss: { type: 'price' },
+  takeProfit: { type: 'price' },
+  trailingStop: { type: 'trailingStop' },
+  ttlMs: { type: 'number', positive: true },
+  percent: { type: 'number', positive: true, max: 100, required: ['REDUCE'] },
+  flatten: { type: 'boolean' },
+  clientOrderIndex: { type: 'integer', min: 0 },
+  includeBrackets: { type: 'boolean' }
+};
+
+// Decisions stamped further ahead than this are treated as clock errors
+const DECISION_MAX_FUTURE_SKEW_MS = 60000;
+
+// Agent whose agentDecisions document was the only source before DECISION_AGENTS; decisions
+// without an agentId (backtests, previews) are treated as its
+const DEFAULT_DECISION_AGENT = 'RL80';
+
+// How conflicting BUY/SELL signals from different agents are resolved (AGENT_ARBITRATION)
+const AGENT_ARBITRATION_POLICIES = ['priority', 'consensus', 'net'];
+
+// DECISION_AGENTS: comma-separated agent ids, or a JSON array of
+// { id, allowedSymbols, maxPositionSizeUSD, maxDailyTrades, cooldownMs, priority, weight }.
+// Unset limits fall back to the global ones; priority defaults to list order (first wins).
+function parseDecisionAgents(value) {
+  const text = String(value || '').trim();
+  let specs;
+  try {
+    specs = /^[[{]/.test(text) ? JSON.parse(text) : text.split(',').map(id => ({ id }));
+  } catch (error) {
+    throw new Error(`Invalid DECISION_AGENTS JSON: ${error.message}`);
+  }
+  if (!Array.isArray(specs)) {
+    throw new Error('DECISION_AGENTS JSON must be an array of agents');
+  }
+
+  const agents = [];
+  specs.forEach((spec, index) => {
+    const id = String(spec?.id ?? '').trim();
+    if (!id || agents.some(agent => agent.id === id)) return;
+    agents.push({
+      id,
+      allowedSymbols: Array.isArray(spec.allowedSymbols) ? spec.allowedSymbols.map(s => String(s).trim().toUpperCase()) : null,
+      maxPositionSizeUSD: Number(spec.maxPositionSizeUSD) > 0 ? Number(spec.maxPositionSizeUSD) : null,
+      maxDailyTrades: Number.isInteger(spec.maxDailyTrades) && spec.maxDailyTrades >= 0 ? spec.maxDailyTrades : null,
+      cooldownMs: Number.isFinite(spec.cooldownMs) && spec.cooldownMs >= 0 ? spec.cooldownMs : null,
+      priority: Number.isFinite(spec.priority) ? spec.priority : specs.length - index,
+      weight: Number(spec.weight) > 0 ? Number(spec.weight) : 1
+    });
+  });
+
+  if (agents.length === 0) {
+    throw new Error('DECISION_AGENTS lists no agents');
+  }
+  return agents;
+}
+
+// Decisions measured against the market afterwards (see DECISION OUTCOMES)
+const OUTCOME_ACTIONS = ['BUY', 'SELL', 'HOLD', 'CLOSE', 'REDUCE', 'FLIP'];
+
+// Trades still open after the last outcome horizon are re-read this often for their PnL
+const OUTCOME_TRADE_REFRESH_MS = 60 * 60 * 1000;
+
+// OUTCOME_HORIZONS: comma-separated durations after the decision, e.g. '1h,4h,24h' (m, h or d)
+function parseOutcomeHorizons(value) {
+  const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return String(value || '').split(',').map(label => label.trim().toLowerCase()).filter(Boolean)
+    .map(label => {
+      const match = label.match(/^(\d+)([mhd])$/);
+      if (!match) throw new Error(`Invalid OUTCOME_HORIZONS entry: ${label}`);
+      return { label, ms: parseInt(match[1]) * units[match[2]] };
+    })
+    .sort((a, b) => a.ms - b.ms);
+}
+
+// What happens once drawdown reaches MAX_DRAWDOWN_PCT (DRAWDOWN_ACTION)
+const DRAWDOWN_ACTIONS = ['halt', 'reduce_only'];
+
+// Position sizes below this are treated as flat (float dust)
+const LEDGER_DUST = 1e-9;
+
+// Client order indexes stay below this (SDK expects a value below 1,000,000)
+const CLIENT_ORDER_INDEX_LIMIT = 1000000;
+
 // Rate limiting helper
 class RateLimiter {
   constructor() {
@@ -46,6 +190,240 @@ class RateLimiter {
   }
 }
 
+// Lighter's error code for a transaction signed with an out-of-sequence nonce
+const LIGHTER_INVALID_NONCE_CODE = 21104;
+
+// Nonce manager - hands out sequential Lighter nonces per (account index, API key index)
+class NonceManager {
+  constructor(fetchNonce) {
+    this.fetchNonce = fetchNonce;  // async (accountIdx, apiKeyIdx) => nonce | null
+    this.nonces = new Map();       // key -> next nonce to use
+    this.queues = new Map();       // key -> tail of the signing queue
+  }
+
+  // Only Lighter's own invalid-nonce rejection (code 21104, "invalid nonce") is safe to
+  // resend. Other errors that mention a nonce may follow an accepted transaction.
+  static isInvalidNonceError(err) {
+    if (Number(err?.code) === LIGHTER_INVALID_NONCE_CODE) return true;
+    return /\binvalid nonce\b|\b21104\b/i.test(String(err?.message || err || ''));
+  }
+
+  // Run submit(nonce) with exclusive use of the key's nonce sequence.
+  // submit returns the SDK [result, tx, err] tuple; one resync + retry on nonce rejection.
+  async withNonce(accountIdx, apiKeyIdx, submit) {
+    const key = `${accountIdx}:${apiKeyIdx}`;
+    const previous = this.queues.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this.submitWithNonce(key, accountIdx, apiKeyIdx, submit));
+    this.queues.set(key, run.catch(() => {}));
+    return run;
+  }
+
+  async submitWithNonce(key, accountIdx, apiKeyIdx, submit) {
+    let nonce = await this.getNonce(key, accountIdx, apiKeyIdx);
+    let result;
+
+    try {
+      result = await submit(nonce);
+      if (result?.[2] && NonceManager.isInvalidNonceError(result[2])) {
+        console.log(`🔢 Nonce ${nonce} rejected for ${key} - resyncing and retrying once`);
+        this.nonces.delete(key);
+        nonce = await this.getNonce(key, accountIdx, apiKeyIdx);
+        result = await submit(nonce);
+      }
+    } catch (error) {
+      // Unknown whether the nonce was consumed - resync before the next transaction
+      this.nonces.delete(key);
+      throw error;
+    }
+
+    if (result?.[2]) {
+      // Rejected transactions don't consume the nonce, but a nonce error means we're out of sync
+      if (NonceManager.isInvalidNonceError(result[2])) this.nonces.delete(key);
+    } else {
+      this.nonces.set(key, nonce + 1);
+    }
+
+    return result;
+  }
+
+  async getNonce(key, accountIdx, apiKeyIdx) {
+    if (this.nonces.has(key)) {
+      return this.nonces.get(key);
+    }
+
+    const nonce = await this.fetchNonce(accountIdx, apiKeyIdx);
+    const parsed = parseInt(nonce);
+    if (nonce === null || !Number.isFinite(parsed)) {
+      throw new Error('Failed to fetch nonce from Lighter API');
+    }
+    this.nonces.set(key, parsed);
+    return parsed;
+  }
+
+  // Drop cached nonces so the next transaction refetches from Lighter
+  reset() {
+    this.nonces.clear();
+  }
+}
+
+// Paper account - virtual balance, positions and PnL for simulated trading.
+// Pure bookkeeping: the service supplies fill prices and persists the state.
+class PaperAccount {
+  constructor(startingBalance) {
+    this.startingBalance = startingBalance;
+    this.cash = startingBalance;   // Starting balance + realized PnL - fees + funding
+    this.realizedPnL = 0;          // Net of fees
+    this.fees = 0;
+    this.funding = 0;              // Net funding received (negative = paid)
+    this.positions = new Map();    // symbol -> position, same shape as the live ledger
+    this.openOrders = new Map();   // paper order id -> resting limit order
+    this.brackets = new Map();     // tradeId -> simulated SL/TP
+    this.trailingStops = new Map();  // tradeId -> simulated trailing stop
+    this.tradingDay = null;
+    this.dayStartEquity = startingBalance;
+  }
+
+  get unrealizedPnL() {
+    let total = 0;
+    for (const position of this.positions.values()) {
+      total += position.unrealizedPnL || 0;
+    }
+    return total;
+  }
+
+  get equity() {
+    return this.cash + this.unrealizedPnL;
+  }
+
+  get dailyPnL() {
+    return this.equity - this.dayStartEquity;
+  }
+
+  startDay(tradingDay) {
+    this.tradingDay = tradingDay;
+    this.dayStartEquity = this.equity;
+  }
+
+  createPosition(symbol) {
+    return {
+      symbol,
+      quantity: 0,          // Signed: positive long, negative short
+      avgEntryPrice: 0,
+      realizedPnL: 0,       // Net of fees and funding
+      fees: 0,
+      funding: 0,
+      unrealizedPnL: 0,
+      markPrice: null,
+      entries: [],
+      exits: [],
+      openedAt: null
+    };
+  }
+
+  // Apply a fill. Returns { realized, closedSize, closed } where closedSize is the
+  // quantity this fill reduced and closed the position snapshot if it flattened it.
+  // Excess size flips into a new position.
+  applyFill({ symbol, side, size, price, fee = 0, tradeId = null, agentId = null, source = 'order' }) {
+    const now = new Date().toISOString();
+    const position = this.positions.get(symbol) || this.createPosition(symbol);
+    const fillQty = side === 'buy' ? size : -size;
+    let realized = -fee;
+    let closedSize = 0;
+    let closed = null;
+
+    position.fees += fee;
+    this.fees += fee;
+
+    if (position.quantity === 0 || Math.sign(position.quantity) === Math.sign(fillQty)) {
+      const newQty = position.quantity + fillQty;
+      position.avgEntryPrice = (Math.abs(position.quantity) * position.avgEntryPrice + size * price) / Math.abs(newQty);
+      position.quantity = newQty;
+      position.entries.push({ tradeId, agentId, size, price, fee, source, timestamp: now });
+      position.openedAt = position.openedAt || now;
+      position.realizedPnL += realized;
+    } else {
+      const direction = Math.sign(position.quantity);
+      closedSize = Math.min(Math.abs(position.quantity), size);
+      const gross = closedSize * (price - position.avgEntryPrice) * direction;
+      realized += gross;
+      position.quantity -= direction * closedSize;
+      position.exits.push({ tradeId, size: closedSize, price, fee, pnl: gross, source, timestamp: now });
+      position.realizedPnL += realized;
+
+      if (Math.abs(position.quantity) < LEDGER_DUST) {
+        closed = { ...position, side: direction > 0 ? 'long' : 'short', quantity: 0, unrealizedPnL: 0, exitPrice: price, closedAt: now };
+        this.positions.delete(symbol);
+        this.cash += realized;
+        this.realizedPnL += realized;
+
+        const remainder = size - closedSize;
+        if (remainder > LEDGER_DUST) {
+          this.applyFill({ symbol, side, size: remainder, price, tradeId, agentId, source });
+        }
+        return { realized, closedSize, closed };
+      }
+    }
+
+    this.cash += realized;
+    this.realizedPnL += realized;
+    this.mark(symbol, price, position);
+    this.positions.set(symbol, position);
+    return { realized, closedSize, closed };
+  }
+
+  mark(symbol, price, position = this.positions.get(symbol)) {
+    if (!position || !(price > 0)) return;
+    position.markPrice = price;
+    position.unrealizedPnL = (price - position.avgEntryPrice) * position.quantity;
+  }
+
+  // Settle one funding period. Positive rates: longs pay shorts. Returns the payment.
+  applyFunding(symbol, rate) {
+    const position = this.positions.get(symbol);
+    if (!position || !position.markPrice || !Number.isFinite(rate)) return 0;
+
+    const payment = -position.quantity * position.markPrice * rate;
+    position.funding += payment;
+    position.realizedPnL += payment;
+    this.funding += payment;
+    this.cash += payment;
+    this.realizedPnL += payment;
+    return payment;
+  }
+
+  toJSON() {
+    return {
+      startingBalance: this.startingBalance,
+      cash: this.cash,
+      equity: this.equity,
+      realizedPnL: this.realizedPnL,
+      unrealizedPnL: this.unrealizedPnL,
+      fees: this.fees,
+      funding: this.funding,
+      tradingDay: this.tradingDay,
+      dayStartEquity: this.dayStartEquity,
+      dailyPnL: this.dailyPnL,
+      openOrders: [...this.openOrders.values()],
+      brackets: [...this.brackets.values()],
+      trailingStops: [...this.trailingStops.values()]
+    };
+  }
+
+  restore(saved, positions) {
+    this.startingBalance = saved.startingBalance ?? this.startingBalance;
+    this.cash = saved.cash ?? this.startingBalance;
+    this.realizedPnL = saved.realizedPnL || 0;
+    this.fees = saved.fees || 0;
+    this.funding = saved.funding || 0;
+    this.tradingDay = saved.tradingDay || null;
+    this.dayStartEquity = saved.dayStartEquity ?? this.cash;
+    this.openOrders = new Map((saved.openOrders || []).map(o => [o.id, o]));
+    this.brackets = new Map((saved.brackets || []).map(b => [b.tradeId, b]));
+    this.trailingStops = new Map((saved.trailingStops || []).map(t => [t.tradeId, t]));
+    this.positions = new Map(positions.map(p => [p.symbol, { ...this.createPosition(p.symbol), ...p }]));
+  }
+}
+
 // Load environment variables
 require('dotenv').config();
 
@@ -217,12 +595,24 @@ try {
 }
 
 class LighterStandaloneService {
-  constructor() {
+  // options.offline: no Firebase and no scheduled resets (tests, backtests)
+  // options.tradingConfig: overrides applied on top of the env-based trading config
+  constructor(options = {}) {
+    this.offline = !!options.offline;
     this.isRunning = false;
     this.db = null;
     this.lighterClient = null;
     this.cachedAuthToken = null; // Cache auth tokens since they last up to 8 hours
     this.rateLimiter = new RateLimiter();
+    this.decisionQueue = [];          // Waiting decisions, consumed one at a time
+    this.decisionQueueActive = false;
+    this.arbitrations = new Map();    // symbol -> BUY/SELL/FLIP signals collected from several agents
+    this.agentTradeStats = new Map(); // agentId -> closed-trade stats for Kelly sizing (cached)
+    this.lastDecisionIds = new Map(); // agentId -> last decision seen, to skip repeat snapshots
+    this.decisionOutcomes = new Map(); // decisionId -> outcome still waiting on a horizon or its trade's PnL
+    this.instanceId = `${process.env.RAILWAY_REPLICA_ID || os.hostname()}-${process.pid}`;
+    this.nonceManager = new NonceManager((accountIdx, apiKeyIdx) => this.fetchNextNonce(accountIdx, apiKeyIdx));
+    this.marketRegistry = new Map(); // symbol -> Lighter market metadata
     
     // Debug Railway environment
     console.log('🔍 Railway Environment Debug:');
@@ -274,9 +664,6 @@ class LighterStandaloneService {
       apiKeyIndex: parseInt(process.env.LIGHTER_API_KEY_INDEX || '2')
     };
     
-    // Validate configuration
-    this.validateConfiguration();
-    
     console.log('⚙️ Lighter Configuration:', {
       baseUrl: this.lighterConfig.baseUrl,
       accountIndex: this.lighterConfig.accountIndex,
@@ -286,9 +673,11 @@ class LighterStandaloneService {
     });
     
     // Initialize Firebase (async)
-    this.initializeFirebase().catch(error => {
-      console.error('❌ Firebase initialization failed during construction:', error.message);
-    });
+    if (!this.offline) {
+      this.firebaseReady = this.initializeFirebase().catch(error => {
+        console.error('❌ Firebase initialization failed during construction:', error.message);
+      });
+    }
 
     // =========================================================================
     // TRADE EXECUTION CONFIGURATION
@@ -309,28 +698,110 @@ class LighterStandaloneService {
       minConfidence: parseFloat(process.env.MIN_TRADE_CONFIDENCE || '0.5'),  // Minimum 50% confidence
       allowedSymbols: ['BTC', 'ETH', 'SOL', 'XRP'],  // All tradeable assets
       cooldownMs: parseInt(process.env.TRADE_COOLDOWN_MS || '300000'),  // 5 min between trades
+      defaultOrderType: (process.env.DEFAULT_ORDER_TYPE || 'market').toLowerCase(),  // Used when decision has no orderType
+      defaultOffsetBps: parseFloat(process.env.DEFAULT_LIMIT_OFFSET_BPS || '5'),  // Limit offset from market when no limitPrice
+      bracketSlippageBps: parseFloat(process.env.BRACKET_SLIPPAGE_BPS || '50'),  // Worst fill vs trigger for SL/TP
+      bracketCheckIntervalMs: parseInt(process.env.BRACKET_CHECK_INTERVAL_MS || '30000'),  // SL/TP fill polling
+      trailingStopIntervalMs: parseInt(process.env.TRAILING_STOP_INTERVAL_MS || '15000'),  // Mark checks for trailing stops
+      takerFeeBps: parseFloat(process.env.TAKER_FEE_BPS || '0'),  // Lighter standard accounts are fee-free
+      makerFeeBps: parseFloat(process.env.MAKER_FEE_BPS || '0'),
+      pnlSyncIntervalMs: parseInt(process.env.PNL_SYNC_INTERVAL_MS || '60000'),  // Mark positions to Lighter
+      marketRefreshIntervalMs: parseInt(process.env.MARKET_REFRESH_INTERVAL_MS || '3600000'),  // Reload Lighter markets hourly
+      orderPollIntervalMs: parseInt(process.env.ORDER_POLL_INTERVAL_MS || '15000'),  // Fill polling for submitted orders
+      orderTrackingTimeoutMs: parseInt(process.env.ORDER_TRACKING_TIMEOUT_MS || '600000'),  // Give up on orders Lighter never reports
+      orderTtlMs: parseInt(process.env.ORDER_TTL_MS || '86400000'),  // Cancel resting limit orders after a day
+      orderReconcileIntervalMs: parseInt(process.env.ORDER_RECONCILE_INTERVAL_MS || '300000'),  // Compare against Lighter's open orders
+      closeSlippageBps: parseFloat(process.env.CLOSE_SLIPPAGE_BPS || '100'),  // Worst fill vs mark when flattening
+      emergencyStopFlatten: process.env.EMERGENCY_STOP_FLATTEN === 'true',  // EMERGENCY_STOP also runs FLATTEN_ALL
+      maxDecisionAgeMs: parseInt(process.env.MAX_DECISION_AGE_MS || '300000'),  // Older decisions are rejected as stale
+      decisionAgents: process.env.DECISION_AGENTS || DEFAULT_DECISION_AGENT,  // agentDecisions/{id} documents to execute (parsed in validateConfiguration)
+      agentArbitration: (process.env.AGENT_ARBITRATION || 'priority').toLowerCase(),  // 'priority', 'consensus' or 'net'
+      agentArbitrationWindowMs: parseInt(process.env.AGENT_ARBITRATION_WINDOW_MS || '5000'),  // BUY/SELL signals this close together are arbitrated
+      outcomeHorizons: process.env.OUTCOME_HORIZONS || '1h,4h,24h',  // Price moves measured after each decision (parsed in validateConfiguration)
+      outcomeCheckIntervalMs: parseInt(process.env.OUTCOME_CHECK_INTERVAL_MS || '60000'),  // How often due horizons are filled in
+      maxSlippageBps: parseFloat(process.env.MAX_SLIPPAGE_BPS || '50'),  // Worst price vs book mid for decision orders
+      maxQuoteAgeMs: parseInt(process.env.MAX_QUOTE_AGE_MS || '5000'),  // Refuse to sign on an older book snapshot
+      twapThresholdUSD: parseFloat(process.env.TWAP_THRESHOLD_USD || '1000'),  // Larger market/IOC orders are sliced
+      twapSlices: parseInt(process.env.TWAP_SLICES || '5'),
+      twapWindowMs: parseInt(process.env.TWAP_WINDOW_MS || '300000'),  // Time from first to last slice
+      orderBookDepth: parseInt(process.env.ORDER_BOOK_DEPTH || '50'),  // Levels per side fetched for pricing
+      sizingStrategy: (process.env.SIZING_STRATEGY || 'confidence').toLowerCase(),  // Default sizing, see SIZING_STRATEGIES
+      sizingFixedUSD: parseFloat(process.env.SIZING_FIXED_USD || process.env.MAX_POSITION_SIZE_USD || '100'),
+      sizingEquityFraction: parseFloat(process.env.SIZING_EQUITY_FRACTION || '0.02'),  // Share of equity per order
+      sizingVolRiskFraction: parseFloat(process.env.SIZING_VOL_RISK_FRACTION || '0.005'),  // Equity lost on a one-ATR move
+      sizingKellyFraction: parseFloat(process.env.SIZING_KELLY_FRACTION || '0.25'),  // Quarter Kelly
+      sizingKellyLookback: parseInt(process.env.SIZING_KELLY_LOOKBACK || '100'),  // Closed trades used for the hit rate
+      sizingKellyMinTrades: parseInt(process.env.SIZING_KELLY_MIN_TRADES || '20'),
+      maxExposureUSD: parseFloat(process.env.MAX_EXPOSURE_USD || '500'),  // Gross notional across all positions
+      maxSymbolNotionalUSD: parseFloat(process.env.MAX_SYMBOL_NOTIONAL_USD || '500'),  // Notional held in any one market
+      maxNetExposureUSD: parseFloat(process.env.MAX_NET_EXPOSURE_USD || '500'),  // |longs - shorts| notional
+      maxLeverage: parseFloat(process.env.MAX_LEVERAGE || '3'),  // Gross notional / account equity
+      maxConcentration: parseFloat(process.env.MAX_CONCENTRATION || '1'),  // Largest market's share of gross notional (1 = off)
+      minMarginBufferPct: parseFloat(process.env.MIN_MARGIN_BUFFER_PCT || '20'),  // Equity left above initial margin
+      initialMarginPct: parseFloat(process.env.INITIAL_MARGIN_PCT || '10'),  // When Lighter doesn't report a market's IMF
+      circuitBreakerIntervalMs: parseInt(process.env.CIRCUIT_BREAKER_INTERVAL_MS || '30000'),  // How often prices are sampled
+      circuitBreakerMovePct: parseFloat(process.env.CIRCUIT_BREAKER_MOVE_PCT || '5'),  // High-low range that trips the breaker
+      circuitBreakerWindowMs: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_MS || '900000'),  // Rolling window for that range
+      circuitBreakerMaxDivergencePct: parseFloat(process.env.CIRCUIT_BREAKER_MAX_DIVERGENCE_PCT || '2'),  // Lighter mid vs marketData/latest
+      marketDataMaxAgeMs: parseInt(process.env.MARKET_DATA_MAX_AGE_MS || '900000'),  // Older price data trips the breaker
+      circuitBreakerFlatten: process.env.CIRCUIT_BREAKER_FLATTEN === 'true',  // Also run FLATTEN_ALL when tripped
+      circuitBreakerResumeMs: parseInt(process.env.CIRCUIT_BREAKER_RESUME_MS || '1800000'),  // Calm time before auto-resume (0 = manual resume)
+      maxDrawdownPct: parseFloat(process.env.MAX_DRAWDOWN_PCT || '20'),  // Equity below its high-water mark (0 = off)
+      drawdownAction: (process.env.DRAWDOWN_ACTION || 'halt').toLowerCase(),  // 'halt' or 'reduce_only' once MAX_DRAWDOWN_PCT is hit
+      drawdownIntervalMs: parseInt(process.env.DRAWDOWN_INTERVAL_MS || '60000'),  // How often equity is sampled
+      paperTrading: process.env.PAPER_TRADING === 'true',  // Opt in to paper trading while live trading is off
+      paperStartingBalanceUSD: parseFloat(process.env.PAPER_STARTING_BALANCE_USD || '10000'),
+      paperSlippageBps: parseFloat(process.env.PAPER_SLIPPAGE_BPS || '2'),  // Extra slippage on top of the book walk
+      paperMarkIntervalMs: parseInt(process.env.PAPER_MARK_INTERVAL_MS || '30000'),  // Mark, resting fills, SL/TP checks
+      paperFundingIntervalMs: parseInt(process.env.PAPER_FUNDING_INTERVAL_MS || '3600000'),  // Lighter funds hourly
+      paperOrderTtlMs: parseInt(process.env.PAPER_ORDER_TTL_MS || process.env.ORDER_TTL_MS || '86400000'),  // Resting paper orders expire after a day
+      ...options.tradingConfig
     };
 
+    // Validate configuration (throws on trading settings that would be misread)
+    this.validateConfiguration();
+
     // Trading state tracking
     this.tradingState = {
+      tradingDay: this.getTradingDay(),  // UTC day the daily counters belong to
       lastTradeTime: 0,
       dailyTradeCount: 0,
-      dailyPnL: 0,
-      lastDecisionId: null,
-      positions: new Map(),
-      pendingOrders: new Map(),
+      dailyPnL: 0,            // dailyRealizedPnL + unrealizedPnL
+      dailyRealizedPnL: 0,    // Net of fees
+      unrealizedPnL: 0,
+      agents: {},             // agentId -> per-agent counters (see AGENT BUDGETS)
+      positions: new Map(),   // symbol -> position ledger entry
+      pendingOrders: new Map(),  // clientOrderIndex -> order awaiting final state
+      brackets: new Map(),  // parent clientOrderIndex -> SL/TP bracket
+      trailingStops: new Map(),  // tradeId -> service-managed trailing stop
+      twaps: new Map(),  // parent tradeId -> running TWAP
+      untrackedOrders: new Map(),  // Lighter order_index -> resting order we aren't tracking (e.g. from a crashed run)
       tradingHalted: false,
-      haltReason: null
+      haltReason: null,
+      haltCode: null,  // Machine-readable halt reason, e.g. 'manual' or 'circuit_breaker:volatility'
+      circuitBreaker: null  // Active circuit breaker trip (see CIRCUIT BREAKER)
     };
 
+    // Virtual account for paper trading (restored from Firestore on start)
+    this.paperAccount = new PaperAccount(this.tradingConfig.paperStartingBalanceUSD);
+
+    // Last client order index handed out - seeded from the clock, restored from
+    // serviceStatus/clientOrderIndex at startup
+    this.clientOrderIndex = Date.now() % CLIENT_ORDER_INDEX_LIMIT;
+
     // Reset daily stats at midnight UTC
-    this.scheduleDailyReset();
+    if (!this.offline) {
+      this.scheduleDailyReset();
+    }
 
     console.log('💰 Trading Configuration:', {
       enabled: this.tradingConfig.enabled,
       maxPositionSize: `$${this.tradingConfig.maxPositionSizeUSD}`,
       maxDailyTrades: this.tradingConfig.maxDailyTrades,
-      minConfidence: `${this.tradingConfig.minConfidence * 100}%`
+      minConfidence: `${this.tradingConfig.minConfidence * 100}%`,
+      defaultOrderType: this.tradingConfig.defaultOrderType,
+      sizingStrategy: this.tradingConfig.sizingStrategy,
+      paperTrading: this.isPaperTrading()
     });
   }
 
@@ -354,22 +825,126 @@ class LighterStandaloneService {
     console.log(`⏰ Daily stats reset scheduled in ${Math.round(msUntilMidnight / 1000 / 60)} minutes`);
   }
 
-  resetDailyStats() {
+  resetDailyStats(tradingDay = this.getTradingDay()) {
     console.log('🔄 Resetting daily trading stats...');
+    this.tradingState.tradingDay = tradingDay;
     this.tradingState.dailyTradeCount = 0;
-    this.tradingState.dailyPnL = 0;
+    this.tradingState.dailyRealizedPnL = 0;
+    for (const stats of Object.values(this.tradingState.agents)) {
+      stats.dailyTradeCount = 0;
+      stats.dailyRealizedPnL = 0;
+    }
+    this.refreshDailyPnL();
 
     // Un-halt trading if it was halted due to daily limits
     if (this.tradingState.tradingHalted &&
         this.tradingState.haltReason?.includes('daily')) {
       this.tradingState.tradingHalted = false;
       this.tradingState.haltReason = null;
+      this.tradingState.haltCode = null;
       console.log('✅ Trading un-halted after daily reset');
     }
+
+    this.persistTradingState();
+
+    if (this.isPaperTrading()) {
+      this.paperAccount.startDay(this.tradingState.tradingDay);
+      this.savePaperAccount();
+    }
+  }
+
+  // =========================================================================
+  // PERSISTED TRADING STATE - Firestore 'tradingState/{YYYY-MM-DD}' (UTC)
+  // =========================================================================
+  getTradingDay(timestamp = this.now()) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  // Clock for trading rules (cooldown, order expiry); backtests replay their own time
+  now() {
+    return Date.now();
+  }
+
+  // Write the current limits/halt state; writes are chained so they land in order
+  persistTradingState() {
+    if (!this.db) return Promise.resolve();
+
+    this.tradingStateWrite = (this.tradingStateWrite || Promise.resolve()).then(async () => {
+      const state = this.tradingState;
+      try {
+        await this.db.collection('tradingState').doc(state.tradingDay).set({
+          tradingDay: state.tradingDay,
+          dailyTradeCount: state.dailyTradeCount,
+          dailyRealizedPnL: state.dailyRealizedPnL,
+          lastTradeTime: state.lastTradeTime,
+          agents: state.agents,
+          tradingHalted: state.tradingHalted,
+          haltReason: state.haltReason,
+          haltCode: state.haltCode,
+          circuitBreaker: state.circuitBreaker,
+          updatedBy: this.instanceId,
+          lastUpdate: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('❌ Error persisting trading state:', error.message);
+      }
+    });
+
+    return this.tradingStateWrite;
+  }
+
+  // Restore the most recent saved state. Halts and cooldown always carry over;
+  // daily counters only if the saved state is from the current UTC day.
+  async loadTradingState() {
+    if (!this.db) return;
+
+    try {
+      const snapshot = await this.db.collection('tradingState')
+        .orderBy('tradingDay', 'desc')
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) {
+        console.log('💾 No saved trading state - starting fresh');
+        await this.persistTradingState();
+        return;
+      }
+
+      const saved = snapshot.docs[0].data();
+      this.tradingState.lastTradeTime = saved.lastTradeTime || 0;
+      for (const [agentId, stats] of Object.entries(saved.agents || {})) {
+        Object.assign(this.getAgentStats(agentId), stats);
+      }
+      this.tradingState.tradingHalted = !!saved.tradingHalted;
+      this.tradingState.haltReason = saved.haltReason || null;
+      this.tradingState.haltCode = saved.haltCode || null;
+      this.tradingState.circuitBreaker = saved.tradingHalted ? saved.circuitBreaker || null : null;
+
+      if (saved.tradingDay === this.getTradingDay()) {
+        this.tradingState.dailyTradeCount = saved.dailyTradeCount || 0;
+        this.tradingState.dailyRealizedPnL = saved.dailyRealizedPnL || 0;
+        this.refreshDailyPnL();
+        await this.persistTradingState();
+      } else {
+        console.log(`💾 Saved trading state is from ${saved.tradingDay} - resetting daily counters`);
+        this.resetDailyStats();
+        await this.tradingStateWrite;
+      }
+
+      console.log('💾 Trading state restored:', {
+        tradingDay: this.tradingState.tradingDay,
+        dailyTradeCount: this.tradingState.dailyTradeCount,
+        dailyRealizedPnL: this.tradingState.dailyRealizedPnL,
+        tradingHalted: this.tradingState.tradingHalted,
+        haltReason: this.tradingState.haltReason
+      });
+    } catch (error) {
+      console.error('❌ Error loading trading state:', error.message);
+    }
   }
 
   // =========================================================================
-  // RL80 DECISION LISTENER - Watches Firebase for trading decisions
+  // DECISION LISTENER - Watches agentDecisions/{agentId} for each DECISION_AGENTS agent
   // =========================================================================
   startDecisionListener() {
     if (!this.db) {
@@ -382,48 +957,292 @@ class LighterStandaloneService {
       console.log('📊 Decision listener will log decisions but NOT execute trades.');
     }
 
-    console.log('👂 Starting RL80 decision listener...');
+    const agentIds = this.tradingConfig.decisionAgents.map(agent => agent.id);
+    console.log(`👂 Starting decision listeners for ${agentIds.join(', ')}...`);
+
+    const unsubscribes = agentIds.map(agentId => this.db.collection('agentDecisions').doc(agentId).onSnapshot(
+      (snapshot) => this.onAgentDecision(agentId, snapshot),
+      (error) => {
+        console.error(`❌ ${agentId} decision listener error:`, error.message);
+      }
+    ));
+    this.decisionUnsubscribe = () => unsubscribes.forEach(unsubscribe => unsubscribe());
 
-    // Listen to agentDecisions/RL80 for real-time updates
-    const decisionRef = this.db.collection('agentDecisions').doc('RL80');
+    if (agentIds.length > 1) {
+      console.log(`⚖️ Conflicting agent signals resolved by ${this.tradingConfig.agentArbitration} (${this.tradingConfig.agentArbitrationWindowMs / 1000}s window)`);
+    }
+    console.log('✅ Decision listeners started');
+  }
 
-    this.decisionUnsubscribe = decisionRef.onSnapshot(
-      async (snapshot) => {
-        if (!snapshot.exists) {
-          console.log('📭 No RL80 decision document found');
-          return;
-        }
+  async onAgentDecision(agentId, snapshot) {
+    if (!snapshot.exists) {
+      console.log(`📭 No ${agentId} decision document found`);
+      return;
+    }
 
-        const decision = snapshot.data();
+    // The document it came from is the source of truth for which agent said it
+    const decision = { ...snapshot.data(), agentId };
+    const decisionId = this.getDecisionId(decision);
 
-        // Skip if we've already processed this decision
-        if (decision.timestamp === this.tradingState.lastDecisionId) {
-          return;
+    // Cheap in-memory skip for repeat snapshots of the same decision
+    if (decisionId === this.lastDecisionIds.get(agentId)) {
+      return;
+    }
+    this.lastDecisionIds.set(agentId, decisionId);
+
+    // Durable claim - survives restarts and guards against other replicas
+    const claimed = await this.claimDecision(decisionId, decision);
+    if (!claimed) {
+      return;
+    }
+
+    console.log('');
+    console.log('═'.repeat(60));
+    console.log(`📥 NEW ${agentId} DECISION RECEIVED`);
+    console.log('═'.repeat(60));
+    console.log(`  Action: ${decision.action}`);
+    console.log(`  Symbol: ${decision.symbol}`);
+    console.log(`  Confidence: ${Number.isFinite(decision.confidence) ? `${(decision.confidence * 100).toFixed(1)}%` : 'missing'}`);
+    console.log(`  Reasoning: ${decision.reasoning}`);
+    const decisionTime = this.parseDecisionTime(decision.timestamp);
+    console.log(`  Timestamp: ${decisionTime !== null ? new Date(decisionTime).toISOString() : `invalid (${decision.timestamp})`}`);
+    console.log(`  Decision ID: ${decisionId}`);
+    console.log('═'.repeat(60));
+
+    // BUY/SELL/FLIP may have to be weighed against other agents first; everything else
+    // goes straight to the single-consumer queue (one decision executes at a time)
+    if (this.needsArbitration(decision)) {
+      await this.holdForArbitration(decision, decisionId);
+    } else {
+      await this.enqueueDecision(decision, decisionId);
+    }
+  }
+
+  // =========================================================================
+  // DECISION QUEUE - Single consumer; an agent's newer decisions supersede its waiting ones
+  // =========================================================================
+  async enqueueDecision(decision, decisionId) {
+    const entry = {
+      decisionId,
+      decision: { ...decision, decisionId, queueTiming: { enqueuedAt: Date.now(), startedAt: null } }
+    };
+    const emergencyActions = ['EMERGENCY_STOP', 'FLATTEN_ALL'];
+    const isEmergency = emergencyActions.includes(decision.action);
+    const sameSymbol = e => e.decision.symbol === decision.symbol && e.decision.agentId === decision.agentId &&
+      !emergencyActions.includes(e.decision.action);
+
+    if (isEmergency) {
+      // Emergency stops and FLATTEN_ALL jump the queue
+      this.decisionQueue.unshift(entry);
+    } else {
+      // A late-arriving older decision loses to the newer one already waiting. Timestamps
+      // may be ISO strings, epoch seconds/ms or Firestore Timestamps - compare them as ms.
+      const decisionTime = this.parseDecisionTime(decision.timestamp) ?? 0;
+      const newerWaiting = this.decisionQueue.find(e => sameSymbol(e) && (this.parseDecisionTime(e.decision.timestamp) ?? 0) > decisionTime);
+      if (newerWaiting) {
+        await this.supersedeDecision(entry, newerWaiting.decisionId);
+        return;
+      }
+
+      // Queue mutations stay synchronous; the superseded entries' writes finish before draining
+      const superseded = this.decisionQueue.filter(sameSymbol);
+      this.decisionQueue = this.decisionQueue.filter(e => !superseded.includes(e));
+      this.decisionQueue.push(entry);
+      await Promise.all(superseded.map(e => this.supersedeDecision(e, decisionId)));
+    }
+
+    console.log(`📬 Queued decision ${decisionId} (${this.decisionQueue.length} waiting${this.decisionQueueActive ? ', one in progress' : ''})`);
+    this.drainDecisionQueue();
+  }
+
+  async supersedeDecision(entry, supersededBy, reason = `Superseded by newer decision ${supersededBy}`) {
+    console.log(`⏭️ ${entry.decisionId}: ${reason}`);
+    entry.decision.queueTiming.startedAt = Date.now();
+
+    try {
+      await this.logTradeDecision(entry.decision, 'superseded', reason);
+      await this.completeDecisionClaim(entry.decisionId, { status: 'superseded', reason });
+      await this.recordDecisionOutcome(entry.decision, { status: 'superseded', reason });
+    } catch (error) {
+      console.error(`❌ Failed to record superseded decision ${entry.decisionId}:`, error.message);
+    }
+  }
+
+  async drainDecisionQueue() {
+    if (this.decisionQueueActive) return;
+    this.decisionQueueActive = true;
+
+    try {
+      while (this.decisionQueue.length > 0) {
+        const { decisionId, decision } = this.decisionQueue.shift();
+        const timing = decision.queueTiming;
+        timing.startedAt = Date.now();
+        const heldQuantity = this.getLedgerQuantity(decision.symbol);  // CLOSE/REDUCE/FLIP direction, before they trade
+
+        // Process the decision and record its final processing status
+        let outcome;
+        try {
+          outcome = await this.processDecision(decision);
+        } catch (error) {
+          console.error(`❌ Decision processing error: ${error.message}`);
+          outcome = { status: 'error', reason: error.message };
         }
 
-        console.log('');
-        console.log('═'.repeat(60));
-        console.log('📥 NEW RL80 DECISION RECEIVED');
-        console.log('═'.repeat(60));
-        console.log(`  Action: ${decision.action}`);
-        console.log(`  Symbol: ${decision.symbol}`);
-        console.log(`  Confidence: ${(decision.confidence * 100).toFixed(1)}%`);
-        console.log(`  Reasoning: ${decision.reasoning}`);
-        console.log(`  Timestamp: ${new Date(decision.timestamp).toISOString()}`);
-        console.log('═'.repeat(60));
-
-        // Mark as processed
-        this.tradingState.lastDecisionId = decision.timestamp;
-
-        // Process the decision
-        await this.processDecision(decision);
-      },
-      (error) => {
-        console.error('❌ Decision listener error:', error.message);
+        const queueWaitMs = timing.startedAt - timing.enqueuedAt;
+        const executionMs = Date.now() - timing.startedAt;
+        console.log(`⏱️ Decision ${decisionId} ${outcome.status}: waited ${queueWaitMs}ms, processed in ${executionMs}ms`);
+        await this.completeDecisionClaim(decisionId, { ...outcome, queueWaitMs, executionMs });
+        await this.recordDecisionOutcome(decision, outcome, heldQuantity);
       }
-    );
+    } finally {
+      this.decisionQueueActive = false;
+    }
+  }
+
+  // =========================================================================
+  // AGENT ARBITRATION - Simultaneous BUY/SELL/FLIP signals from different agents
+  // =========================================================================
+
+  // Only signals that add exposure (BUY, SELL, FLIP) are weighed against other agents,
+  // and only with more than one agent configured
+  needsArbitration(decision) {
+    return this.tradingConfig.decisionAgents.length > 1 &&
+      this.tradingConfig.agentArbitrationWindowMs > 0 &&
+      ['BUY', 'SELL', 'FLIP'].includes(decision.action) &&
+      typeof decision.symbol === 'string';
+  }
+
+  // +1 for signals that would buy, -1 for ones that would sell. A FLIP trades against
+  // the position held now; with nothing held it has no direction (0).
+  getSignalDirection(decision) {
+    if (decision.action === 'FLIP') {
+      return -Math.sign(this.getLedgerQuantity(decision.symbol));
+    }
+    return decision.action === 'BUY' ? 1 : -1;
+  }
+
+  // Collect a symbol's signals for AGENT_ARBITRATION_WINDOW_MS after the first one, then
+  // arbitrate. An agent's newer signal replaces its own earlier one.
+  async holdForArbitration(decision, decisionId) {
+    const { symbol } = decision;
+    let round = this.arbitrations.get(symbol);
+    if (!round) {
+      round = {
+        entries: [],
+        timer: setTimeout(() => {
+          this.resolveArbitration(symbol).catch(error => {
+            console.error(`❌ ${symbol} arbitration failed:`, error.message);
+          });
+        }, this.tradingConfig.agentArbitrationWindowMs)
+      };
+      this.arbitrations.set(symbol, round);
+    }
+
+    const entry = {
+      decisionId,
+      decision: { ...decision, decisionId, queueTiming: { enqueuedAt: Date.now(), startedAt: null } }
+    };
+    const earlier = round.entries.find(e => e.decision.agentId === decision.agentId);
+    round.entries = round.entries.filter(e => e !== earlier);
+    round.entries.push(entry);
+
+    console.log(`⚖️ Holding ${decisionId} for arbitration (${round.entries.length} ${symbol} signal${round.entries.length === 1 ? '' : 's'})`);
+    if (earlier) {
+      await this.supersedeDecision(earlier, decisionId);
+    }
+  }
+
+  // Queue the winning signal (tagged with how it won); log and close out the rest
+  async resolveArbitration(symbol) {
+    const round = this.arbitrations.get(symbol);
+    if (!round) return;
+    this.arbitrations.delete(symbol);
+
+    if (round.entries.length === 1) {
+      const [only] = round.entries;
+      await this.enqueueDecision(only.decision, only.decisionId);
+      return;
+    }
+
+    const policy = this.tradingConfig.agentArbitration;
+    const { winner, reason } = this.arbitrate(policy, round.entries);
+    const arbitration = {
+      policy,
+      reason,
+      winner: winner?.decisionId ?? null,
+      signals: round.entries.map(({ decisionId, decision }) => ({
+        agentId: decision.agentId,
+        decisionId,
+        action: decision.action,
+        confidence: decision.confidence ?? null
+      }))
+    };
+    console.log(`⚖️ ${symbol} arbitration (${policy}) over ${round.entries.length} signals: ${reason}`);
 
-    console.log('✅ RL80 decision listener started');
+    const losers = round.entries.filter(entry => entry.decisionId !== winner?.decisionId);
+    await Promise.all(losers.map(entry => (winner
+      ? this.supersedeDecision(entry, winner.decisionId, `Arbitration (${policy}): ${reason}`)
+      : this.rejectArbitratedDecision(entry, `Arbitration (${policy}): ${reason}`))));
+
+    if (winner) {
+      await this.enqueueDecision({ ...winner.decision, arbitration }, winner.decisionId);
+    }
+  }
+
+  // Returns { winner, reason }; winner is null when no signal should trade
+  arbitrate(policy, entries) {
+    const agentOf = entry => this.getDecisionAgent(entry.decision);
+    // Highest priority first, then the most recent decision
+    const ranked = [...entries].sort((a, b) =>
+      ((agentOf(b)?.priority ?? 0) - (agentOf(a)?.priority ?? 0)) ||
+      ((this.parseDecisionTime(b.decision.timestamp) ?? 0) - (this.parseDecisionTime(a.decision.timestamp) ?? 0)));
+    const describe = entry => `${entry.decision.agentId} ${entry.decision.action}`;
+
+    if (policy === 'consensus') {
+      const directions = new Set(entries.map(e => this.getSignalDirection(e.decision)));
+      if (directions.size > 1 || directions.has(0)) {
+        return { winner: null, reason: `no consensus (${entries.map(describe).join(', ')})` };
+      }
+      const side = directions.has(1) ? 'buying' : 'selling';
+      return { winner: ranked[0], reason: `all agents agree on ${side}, executing ${ranked[0].decision.agentId}'s ${ranked[0].decision.action}` };
+    }
+
+    if (policy === 'net') {
+      // Weighted net conviction in [-1, 1]: buying counts positive, selling negative
+      const weightOf = entry => agentOf(entry)?.weight ?? 1;
+      const totalWeight = entries.reduce((sum, e) => sum + weightOf(e), 0);
+      const net = entries.reduce((sum, e) =>
+        sum + weightOf(e) * (e.decision.confidence ?? 0) * this.getSignalDirection(e.decision), 0) / totalWeight;
+      if (Math.abs(net) < 1e-9) {
+        return { winner: null, reason: `signals cancel out (${entries.map(describe).join(', ')})` };
+      }
+
+      // The strongest signal on the winning side carries the order details
+      const action = net > 0 ? 'BUY' : 'SELL';
+      const lead = ranked
+        .filter(e => this.getSignalDirection(e.decision) === Math.sign(net))
+        .reduce((best, e) => (weightOf(e) * e.decision.confidence > weightOf(best) * best.decision.confidence ? e : best));
+      const confidence = Math.abs(net);
+      return {
+        winner: { ...lead, decision: { ...lead.decision, confidence, agentConfidence: lead.decision.confidence } },
+        reason: `net ${action} at ${(confidence * 100).toFixed(1)}% confidence, executing ${lead.decision.agentId}'s decision`
+      };
+    }
+
+    return { winner: ranked[0], reason: `${ranked[0].decision.agentId} has priority` };
+  }
+
+  async rejectArbitratedDecision(entry, reason) {
+    console.log(`❌ ${entry.decisionId}: ${reason}`);
+    entry.decision.queueTiming.startedAt = Date.now();
+
+    try {
+      await this.logTradeDecision(entry.decision, 'rejected', reason);
+      await this.completeDecisionClaim(entry.decisionId, { status: 'rejected', reason });
+      await this.recordDecisionOutcome(entry.decision, { status: 'rejected', reason });
+    } catch (error) {
+      console.error(`❌ Failed to record rejected decision ${entry.decisionId}:`, error.message);
+    }
   }
 
   // =========================================================================
@@ -435,17 +1254,57 @@ class LighterStandaloneService {
     // Log to trade history
     await this.logTradeDecision(decision, 'received');
 
+    // Schema and freshness before anything acts on the decision. An EMERGENCY_STOP
+    // is never refused - it halts regardless and only flattens on a boolean flatten.
+    const schemaErrors = this.checkDecisionSchema(decision);
+    if (schemaErrors.length > 0) {
+      const reason = `Invalid decision: ${schemaErrors.join('; ')}`;
+      if (action !== 'EMERGENCY_STOP') {
+        console.log(`❌ Decision rejected: ${reason}`);
+        const tradeId = await this.logTradeDecision(decision, 'rejected', reason);
+        await this.updateTradeLog(tradeId, { validationErrors: schemaErrors });
+        return { status: 'rejected', reason };
+      }
+      console.log(`⚠️ EMERGENCY_STOP has schema errors (halting anyway): ${reason}`);
+    }
+
     // HOLD actions - just acknowledge
     if (action === 'HOLD' || action === 'EMERGENCY_STOP') {
       if (action === 'EMERGENCY_STOP') {
         this.tradingState.tradingHalted = true;
         this.tradingState.haltReason = `Emergency stop: ${reasoning}`;
+        this.tradingState.haltCode = 'emergency_stop';
         console.log('🛑 EMERGENCY STOP - Trading halted');
-        await this.logTradeDecision(decision, 'emergency_stop');
-      } else {
-        console.log('⏸️ HOLD - No action taken');
+        await this.persistTradingState();
+        this.stopTwaps(`Emergency stop: ${reasoning}`);
+
+        // Optionally also close everything (decision.flatten, else EMERGENCY_STOP_FLATTEN)
+        let flatten = null;
+        if (typeof decision.flatten === 'boolean' ? decision.flatten : this.tradingConfig.emergencyStopFlatten) {
+          flatten = await this.flattenAll(`Emergency stop: ${reasoning}`);
+        }
+        await this.logTradeDecision(decision, 'emergency_stop', flatten ? this.describeFlatten(flatten) : null);
+        return { status: 'emergency_stop', reason: flatten?.error };
       }
-      return;
+      console.log('⏸️ HOLD - No action taken');
+      return { status: 'hold' };
+    }
+
+    // Close every position and cancel every open order - allowed even while halted
+    if (action === 'FLATTEN_ALL') {
+      const result = await this.flattenAll(`FLATTEN_ALL: ${reasoning || 'no reason given'}`);
+      const status = result.success ? 'flattened' : 'failed';
+      await this.logTradeDecision(decision, status, this.describeFlatten(result));
+      return { status, reason: result.error };
+    }
+
+    // Cancel resting orders - allowed even while halted
+    if (action === 'CANCEL') {
+      const result = await this.cancelOrders(decision);
+      const status = result.success ? 'cancelled' : 'failed';
+      console.log(`🗑️ CANCEL ${status}: ${this.describeCancel(result)}`);
+      await this.logTradeDecision(decision, status, this.describeCancel(result));
+      return { status, reason: result.error };
     }
 
     // Validate decision before execution
@@ -454,15 +1313,31 @@ class LighterStandaloneService {
     if (!validation.valid) {
       console.log(`❌ Decision rejected: ${validation.reason}`);
       await this.logTradeDecision(decision, 'rejected', validation.reason);
-      return;
+      return { status: 'rejected', reason: validation.reason };
     }
 
     // Check if trading is enabled
     if (!this.tradingConfig.enabled) {
-      console.log('⚠️ Trading disabled - would have executed:');
-      console.log(`   ${action} ${symbol} at ${confidence * 100}% confidence`);
-      await this.logTradeDecision(decision, 'simulated');
-      return;
+      if (!this.isPaperTrading()) {
+        console.log('⚠️ Trading disabled - would have executed:');
+        console.log(`   ${action} ${symbol}${Number.isFinite(confidence) ? ` at ${confidence * 100}% confidence` : ''}`);
+        await this.logTradeDecision(decision, 'simulated');
+        return { status: 'simulated' };
+      }
+
+      // Paper decisions are logged once, to 'paperTrades': the order entry, or why there is none
+      console.log(`📄 Paper trading ${action} for ${symbol}...`);
+      const paper = await this.executePaperTrade(decision);
+      if (paper.success) {
+        this.tradingState.lastTradeTime = this.now();
+        this.getAgentStats(decision.agentId).lastTradeTime = this.now();
+        await this.persistTradingState();
+      } else {
+        console.log(`❌ Paper trade failed: ${paper.error}`);
+        await this.logTradeDecision(decision, paper.rejected ? 'rejected' : 'failed', paper.error,
+          paper.risk ? { risk: paper.risk } : null, 'paperTrades');
+      }
+      return { status: 'simulated', tradeId: paper.tradeId, reason: paper.error };
     }
 
     // Execute the trade
@@ -471,306 +1346,4446 @@ class LighterStandaloneService {
       const result = await this.executeTrade(decision);
 
       if (result.success) {
-        console.log(`✅ Trade executed successfully!`);
+        console.log(`✅ Order submitted successfully!`);
         console.log(`   Order ID: ${result.orderId}`);
         console.log(`   Size: ${result.size}`);
         console.log(`   Price: ${result.price}`);
 
-        // Update trading state
-        this.tradingState.lastTradeTime = Date.now();
-        this.tradingState.dailyTradeCount++;
+        // Cooldown starts at submission; fills count toward the daily limit once confirmed
+        this.tradingState.lastTradeTime = this.now();
+        this.getAgentStats(decision.agentId).lastTradeTime = this.now();
+        await this.persistTradingState();
 
-        await this.logTradeDecision(decision, 'executed', null, result);
-      } else {
-        console.log(`❌ Trade failed: ${result.error}`);
-        await this.logTradeDecision(decision, 'failed', result.error);
+        const tradeId = await this.logTradeDecision(decision, 'submitted', null, result);
+
+        // Fills, PnL and SL/TP brackets are handled by the order tracker
+        if (result.twap) {
+          // Runs in the background; slices are paced over TWAP_WINDOW_MS
+          this.runTwap(result.twap, tradeId).catch(error => this.failTwap(result.twap, error));
+        } else {
+          this.trackOrder(decision, result, tradeId);
+        }
+        return { status: 'submitted', tradeId, clientOrderIndex: result.clientOrderIndex };
       }
+
+      // Risk engine refusals are rejections, with every check in the log
+      const status = result.rejected ? 'rejected' : 'failed';
+      console.log(`❌ Trade ${status}: ${result.error}`);
+      await this.logTradeDecision(decision, status, result.error, result.risk ? { risk: result.risk } : null);
+      return { status, reason: String(result.error) };
     } catch (error) {
       console.error(`❌ Trade execution error: ${error.message}`);
       await this.logTradeDecision(decision, 'error', error.message);
+      return { status: 'error', reason: error.message };
     }
   }
 
   // =========================================================================
-  // DECISION VALIDATION - Safety checks before execution
+  // DECISION IDEMPOTENCY - Durable claims in Firestore 'decisionProcessing'
   // =========================================================================
-  validateDecision(decision) {
-    const { action, symbol, confidence } = decision;
-
-    // Check if trading is halted
-    if (this.tradingState.tradingHalted) {
-      return { valid: false, reason: `Trading halted: ${this.tradingState.haltReason}` };
-    }
 
-    // Check action type
-    if (!['BUY', 'SELL'].includes(action)) {
-      return { valid: false, reason: `Invalid action: ${action}` };
+  // Stable ID: agent-supplied decisionId/id, else a hash of the decision's identifying fields.
+  // Other agents' IDs are prefixed with the agent; RL80's keep their original form.
+  getDecisionId(decision) {
+    const agentId = decision.agentId || DEFAULT_DECISION_AGENT;
+    if (decision.decisionId || decision.id) {
+      const id = String(decision.decisionId || decision.id);
+      return agentId === DEFAULT_DECISION_AGENT ? id : `${agentId}-${id}`;
     }
 
-    // Check symbol
-    if (!this.tradingConfig.allowedSymbols.includes(symbol)) {
-      return { valid: false, reason: `Symbol not allowed: ${symbol}` };
-    }
+    const fingerprint = JSON.stringify([
+      decision.timestamp, decision.action, decision.symbol, decision.confidence, decision.reasoning
+    ]);
+    const hash = crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 16);
+    return `${agentId}-${decision.timestamp || 'no-ts'}-${hash}`;
+  }
 
-    // Check confidence threshold
-    if (confidence < this.tradingConfig.minConfidence) {
-      return { valid: false, reason: `Confidence too low: ${(confidence * 100).toFixed(1)}% < ${this.tradingConfig.minConfidence * 100}%` };
-    }
+  // Claim a decision for processing. Returns false if it was ever claimed before
+  // (executed, rejected or still in flight) or if the claim can't be recorded.
+  async claimDecision(decisionId, decision) {
+    if (!this.db) return false;
 
-    // Check daily trade limit
-    if (this.tradingState.dailyTradeCount >= this.tradingConfig.maxDailyTrades) {
-      return { valid: false, reason: `Daily trade limit reached: ${this.tradingState.dailyTradeCount}/${this.tradingConfig.maxDailyTrades}` };
-    }
+    const ref = this.db.collection('decisionProcessing').doc(decisionId);
 
-    // Check daily loss limit
-    if (this.tradingState.dailyPnL <= -this.tradingConfig.maxDailyLossUSD) {
-      this.tradingState.tradingHalted = true;
-      this.tradingState.haltReason = 'Daily loss limit reached';
-      return { valid: false, reason: `Daily loss limit reached: $${Math.abs(this.tradingState.dailyPnL).toFixed(2)}` };
-    }
+    try {
+      return await this.db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (doc.exists) {
+          const existing = doc.data();
+          console.log(`⏭️ Decision ${decisionId} already ${existing.status} (claimed by ${existing.claimedBy}) - skipping`);
+          return false;
+        }
+
+        transaction.create(ref, {
+          decisionId,
+          agentId: decision.agentId || DEFAULT_DECISION_AGENT,
+          status: 'processing',
+          action: decision.action ?? null,
+          symbol: decision.symbol ?? null,
+          decisionTimestamp: decision.timestamp ?? null,
+          claimedBy: this.instanceId,
+          claimedAt: new Date().toISOString()
+        });
+        return true;
+      });
+    } catch (error) {
+      // Fail closed - never act on a decision we couldn't durably claim
+      console.error(`❌ Could not claim decision ${decisionId}:`, error.message);
+      return false;
+    }
+  }
+
+  async completeDecisionClaim(decisionId, outcome) {
+    if (!this.db) return;
+
+    try {
+      await this.db.collection('decisionProcessing').doc(decisionId).update({
+        status: outcome.status,
+        reason: outcome.reason ?? null,
+        tradeId: outcome.tradeId ?? null,
+        queueWaitMs: outcome.queueWaitMs ?? null,
+        executionMs: outcome.executionMs ?? null,
+        completedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`❌ Error completing decision claim ${decisionId}:`, error.message);
+    }
+  }
+
+  // =========================================================================
+  // DECISION VALIDATION - Safety checks before execution
+  // =========================================================================
+  // options.preview: report only - never halts trading as a side effect
+  validateDecision(decision, { preview = false } = {}) {
+    const { action, symbol, confidence } = decision;
+
+    // Check action type
+    if (!['BUY', 'SELL', ...POSITION_ACTIONS].includes(action)) {
+      return { valid: false, reason: `Invalid action: ${action}` };
+    }
+
+    // CLOSE and REDUCE only take risk off: skip the halt, symbol, confidence,
+    // daily limit and cooldown gates that guard new exposure
+    if (action === 'CLOSE' || action === 'REDUCE') {
+      return this.validateReducingDecision(decision);
+    }
+
+    // Check if trading is halted
+    if (this.tradingState.tradingHalted) {
+      return { valid: false, reason: `Trading halted: ${this.tradingState.haltReason}` };
+    }
+
+    // Drawdown reduce-only mode: nothing that adds exposure
+    if (this.drawdown?.reduceOnly) {
+      return {
+        valid: false,
+        reason: `Reduce-only mode: drawdown ${this.drawdown.drawdownPct.toFixed(2)}% >= ${this.drawdown.limitPct}% - only CLOSE and REDUCE accepted`
+      };
+    }
+
+    // Check symbol
+    if (!this.tradingConfig.allowedSymbols.includes(symbol)) {
+      return { valid: false, reason: `Symbol not allowed: ${symbol}` };
+    }
+
+    // Check confidence threshold
+    if (confidence < this.tradingConfig.minConfidence) {
+      return { valid: false, reason: `Confidence too low: ${(confidence * 100).toFixed(1)}% < ${this.tradingConfig.minConfidence * 100}%` };
+    }
+
+    // Check daily trade limit (orders still pending count against it; a running TWAP counts once)
+    const pendingOrders = [...this.tradingState.pendingOrders.values()].filter(o => !o.twapId).length;
+    const committedTrades = this.tradingState.dailyTradeCount + pendingOrders + this.tradingState.twaps.size +
+      this.paperAccount.openOrders.size;
+    if (committedTrades >= this.tradingConfig.maxDailyTrades) {
+      return { valid: false, reason: `Daily trade limit reached: ${committedTrades}/${this.tradingConfig.maxDailyTrades}` };
+    }
+
+    // Check daily loss limit (paper trading is held to its own account's PnL)
+    const dailyPnL = this.isPaperTrading() ? this.paperAccount.dailyPnL : this.tradingState.dailyPnL;
+    if (dailyPnL <= -this.tradingConfig.maxDailyLossUSD) {
+      if (!preview) {
+        this.tradingState.tradingHalted = true;
+        this.tradingState.haltReason = 'Daily loss limit reached';
+        this.tradingState.haltCode = 'daily_loss_limit';
+        this.persistTradingState();
+      }
+      return { valid: false, reason: `Daily loss limit reached: $${Math.abs(dailyPnL).toFixed(2)}` };
+    }
+
+    // Check trailing stop spec
+    if (decision.trailingStop != null) {
+      const trail = this.parseTrailingStop(decision.trailingStop);
+      if (trail.error) {
+        return { valid: false, reason: trail.error };
+      }
+    }
+
+    // Check resting-order TTL
+    if (decision.ttlMs != null && !(Number(decision.ttlMs) > 0)) {
+      return { valid: false, reason: `Invalid ttlMs: ${decision.ttlMs}` };
+    }
 
     // Check cooldown
-    const timeSinceLastTrade = Date.now() - this.tradingState.lastTradeTime;
+    const timeSinceLastTrade = this.now() - this.tradingState.lastTradeTime;
     if (timeSinceLastTrade < this.tradingConfig.cooldownMs) {
       const remainingCooldown = Math.ceil((this.tradingConfig.cooldownMs - timeSinceLastTrade) / 1000);
       return { valid: false, reason: `Cooldown active: ${remainingCooldown}s remaining` };
     }
 
-    // Check Lighter configuration - need API Key Private Key for SDK
-    if (!this.lighterConfig.apiKeyPrivateKey) {
+    // The agent's own symbols, daily trade limit and cooldown (DECISION_AGENTS)
+    const agentBudget = this.checkAgentBudget(decision);
+    if (!agentBudget.valid) {
+      return agentBudget;
+    }
+
+    // Check Lighter configuration - need API Key Private Key for SDK (live trading only)
+    if (this.tradingConfig.enabled && !this.lighterConfig.apiKeyPrivateKey) {
+      return { valid: false, reason: 'LIGHTER_API_KEY_PRIVATE_KEY not configured - needed for trade execution' };
+    }
+
+    return { valid: true };
+  }
+
+  // Field-level errors for a decision against DECISION_SCHEMA and MAX_DECISION_AGE_MS ([] if valid)
+  checkDecisionSchema(decision) {
+    if (!decision || typeof decision !== 'object') {
+      return ['decision: must be an object'];
+    }
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(DECISION_SCHEMA)) {
+      const value = decision[field];
+      if (value === undefined || value === null) {
+        const required = rule.required === true || rule.required?.includes(decision.action);
+        if (required) errors.push(`${field}: required${rule.required === true ? '' : ` for ${decision.action}`}`);
+        continue;
+      }
+
+      const error = this.checkDecisionField(value, rule);
+      if (error) errors.push(`${field}: ${error}`);
+    }
+
+    // Stale decisions would trade at a price the agent never saw (EMERGENCY_STOP is exempt)
+    const decisionTime = this.parseDecisionTime(decision.timestamp);
+    if (decisionTime !== null && decision.action !== 'EMERGENCY_STOP') {
+      const ageMs = this.now() - decisionTime;
+      if (ageMs > this.tradingConfig.maxDecisionAgeMs) {
+        errors.push(`timestamp: decision is ${Math.round(ageMs / 1000)}s old (max ${this.tradingConfig.maxDecisionAgeMs / 1000}s)`);
+      } else if (-ageMs > DECISION_MAX_FUTURE_SKEW_MS) {
+        errors.push(`timestamp: ${Math.round(-ageMs / 1000)}s in the future`);
+      }
+    }
+
+    return errors;
+  }
+
+  // Error message for one field value, or null if it matches its rule
+  checkDecisionField(value, rule) {
+    switch (rule.type) {
+      case 'string':
+        if (typeof value !== 'string' || value.trim() === '') return 'must be a non-empty string';
+        break;
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number, got ${JSON.stringify(value)}`;
+        break;
+      case 'integer':
+        if (!Number.isInteger(value)) return `must be an integer, got ${JSON.stringify(value)}`;
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') return `must be true or false, got ${JSON.stringify(value)}`;
+        break;
+      case 'timestamp':
+        if (this.parseDecisionTime(value) === null) return `must be epoch ms, epoch seconds or an ISO date, got ${JSON.stringify(value)}`;
+        break;
+      case 'price':
+        if (!(typeof value === 'number' && value > 0) && !(typeof value === 'string' && /^\d+(\.\d+)?%$/.test(value.trim()))) {
+          return `must be a positive price or a percent like '2%', got ${JSON.stringify(value)}`;
+        }
+        break;
+      case 'trailingStop':
+        if (this.parseTrailingStop(value).error) return `must be a percent like '2%' or an ATR multiple like '3ATR', got ${JSON.stringify(value)}`;
+        break;
+      case 'sizing': {
+        const strategy = typeof value === 'object' ? value.strategy : value;
+        if (typeof value !== 'string' && (typeof value !== 'object' || Array.isArray(value))) {
+          return 'must be a strategy name or { strategy, ...params }';
+        }
+        if (strategy !== undefined && !SIZING_STRATEGIES.includes(String(strategy).toLowerCase())) {
+          return `strategy must be one of ${SIZING_STRATEGIES.join(', ')}`;
+        }
+        break;
+      }
+    }
+
+    const normalized = rule.lowercase ? value.toLowerCase() : value;
+    if (rule.enum && !rule.enum.includes(normalized)) return `must be one of ${rule.enum.join(', ')}, got ${JSON.stringify(value)}`;
+    if (rule.positive && value <= 0) return `must be greater than 0, got ${value}`;
+    if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}, got ${value}`;
+    if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}, got ${value}`;
+    return null;
+  }
+
+  // Decision timestamp in ms: epoch ms, epoch seconds, ISO string or Firestore Timestamp (null if invalid)
+  parseDecisionTime(value) {
+    if (value && typeof value.toMillis === 'function') return value.toMillis();
+    if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+      return value < 1e12 ? value * 1000 : value;
+    }
+    if (typeof value === 'string' && Number.isNaN(Number(value))) {
+      const ms = Date.parse(value);
+      return Number.isNaN(ms) ? null : ms;
+    }
+    return null;
+  }
+
+  validateReducingDecision(decision) {
+    const { action, symbol } = decision;
+
+    if (!symbol) {
+      return { valid: false, reason: `${action} requires a symbol` };
+    }
+
+    if (action === 'REDUCE') {
+      const percent = Number(decision.percent);
+      if (!(percent > 0 && percent <= 100)) {
+        return { valid: false, reason: `Invalid REDUCE percent: ${decision.percent} (expected 0-100)` };
+      }
+    }
+
+    // Brackets belong to new exposure, not to an exit
+    if (decision.stopLoss != null || decision.takeProfit != null || decision.trailingStop != null) {
+      return { valid: false, reason: `stopLoss/takeProfit/trailingStop not supported on ${action}` };
+    }
+
+    if (this.tradingConfig.enabled && !this.lighterConfig.apiKeyPrivateKey) {
       return { valid: false, reason: 'LIGHTER_API_KEY_PRIVATE_KEY not configured - needed for trade execution' };
     }
 
     return { valid: true };
   }
 
+  // =========================================================================
+  // AGENT BUDGETS - Per-agent limits and PnL attribution (DECISION_AGENTS)
+  // =========================================================================
+
+  // Configured agent for a decision; decisions without an agentId belong to RL80
+  getDecisionAgent(decision) {
+    const agentId = decision?.agentId || DEFAULT_DECISION_AGENT;
+    return this.tradingConfig.decisionAgents.find(agent => agent.id === agentId) || null;
+  }
+
+  // Counters persisted with the trading state; daily ones reset with the global ones
+  getAgentStats(agentId) {
+    const id = agentId || DEFAULT_DECISION_AGENT;
+    if (!this.tradingState.agents[id]) {
+      this.tradingState.agents[id] = { dailyTradeCount: 0, dailyRealizedPnL: 0, realizedPnL: 0, lastTradeTime: 0 };
+    }
+    return this.tradingState.agents[id];
+  }
+
+  getMaxPositionSizeUSD(decision) {
+    const agentMax = this.getDecisionAgent(decision)?.maxPositionSizeUSD;
+    return agentMax ? Math.min(agentMax, this.tradingConfig.maxPositionSizeUSD) : this.tradingConfig.maxPositionSizeUSD;
+  }
+
+  // The agent's allowed symbols, daily trade limit and cooldown - checked after the global ones
+  checkAgentBudget(decision) {
+    const agent = this.getDecisionAgent(decision);
+    if (!agent) return { valid: true };
+    const stats = this.getAgentStats(agent.id);
+
+    if (agent.allowedSymbols && !agent.allowedSymbols.includes(decision.symbol)) {
+      return { valid: false, reason: `Symbol not allowed for ${agent.id}: ${decision.symbol}` };
+    }
+
+    if (agent.maxDailyTrades !== null) {
+      const committedTrades = stats.dailyTradeCount + this.countAgentOpenTrades(agent.id);
+      if (committedTrades >= agent.maxDailyTrades) {
+        return { valid: false, reason: `${agent.id} daily trade limit reached: ${committedTrades}/${agent.maxDailyTrades}` };
+      }
+    }
+
+    if (agent.cooldownMs !== null) {
+      const timeSinceLastTrade = this.now() - stats.lastTradeTime;
+      if (timeSinceLastTrade < agent.cooldownMs) {
+        const remainingCooldown = Math.ceil((agent.cooldownMs - timeSinceLastTrade) / 1000);
+        return { valid: false, reason: `${agent.id} cooldown active: ${remainingCooldown}s remaining` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  // Orders still working count against the agent's daily limit, as they do globally
+  countAgentOpenTrades(agentId) {
+    const isAgents = owner => (owner?.agentId || DEFAULT_DECISION_AGENT) === agentId;
+    return [...this.tradingState.pendingOrders.values()].filter(o => !o.twapId && isAgents(o.decision)).length +
+      [...this.tradingState.twaps.values()].filter(t => isAgents(t.decision)).length +
+      [...this.paperAccount.openOrders.values()].filter(isAgents).length;
+  }
+
+  // Closed-position PnL, split across the agents whose trades opened it (like result.pnl)
+  attributeAgentPnL(agentId, pnl) {
+    const stats = this.getAgentStats(agentId);
+    stats.dailyRealizedPnL += pnl;
+    stats.realizedPnL += pnl;
+  }
+
   // =========================================================================
   // TRADE EXECUTION - Sends orders to Lighter DEX using zklighter-sdk
   // =========================================================================
   async executeTrade(decision) {
-    const { action, symbol, confidence, position_size } = decision;
+    try {
+      const plan = await this.planTrade(decision);
+      if (!plan.success || plan.twap) {
+        return plan;
+      }
+
+      const result = await this.submitOrder({
+        symbol: plan.symbol,
+        side: plan.side,
+        tokenAmount: plan.tokenAmount,
+        orderSpec: plan.orderSpec,
+        referencePrice: plan.quote.mid,
+        reduceOnly: plan.reduceOnly
+      });
+      return { ...result, sizing: plan.sizing, execution: plan.execution, risk: plan.risk };
+    } catch (error) {
+      console.error('Trade execution error:', error.response?.data || error.message || error);
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message || String(error)
+      };
+    }
+  }
+
+  // Everything short of signing: market lookup, pricing, sizing and slippage checks.
+  // Returns { success, symbol, side, tokenAmount, orderSpec, quote, reduceOnly, sizing,
+  // execution }, a TWAP plan (planTwap) or { success: false, error }.
+  async planTrade(decision) {
+    const { action, symbol } = decision;
+
+    // Check if market is listed on the connected Lighter instance
+    if (this.marketRegistry.size === 0) {
+      return { success: false, error: 'Lighter market registry not loaded - cannot scale order' };
+    }
+    if (!this.isMarketSupported(symbol)) {
+      const listed = [...this.marketRegistry.keys()].join(', ');
+      console.error(`❌ Market ${symbol} not available on Lighter. Listed markets: ${listed}`);
+      return { success: false, error: `${symbol} not available on Lighter (${this.lighterConfig.baseUrl})` };
+    }
+
+    if (POSITION_ACTIONS.includes(action)) {
+      return this.planPositionAction(decision);
+    }
+
+    // Price from the live Lighter order book
+    const quote = await this.getExecutionQuote(symbol);
+    if (quote.error) {
+      return { success: false, error: quote.error };
+    }
+
+    // Resolve order type and limit price from the decision
+    const orderSpec = this.resolveOrderSpec(decision, quote.mid);
+    if (orderSpec.error) {
+      return { success: false, error: orderSpec.error };
+    }
+
+    // Determine order side
+    const side = action === 'BUY' ? 'buy' : 'sell';
+
+    // Size the order (limit orders are sized at their own price)
+    const size = await this.calculateOrderSize(decision, orderSpec.price, side);
+    if (size.error) {
+      return { success: false, error: size.error };
+    }
+
+    // Portfolio limits against what the account already holds
+    const risk = await this.evaluateRisk({ symbol, side, tokenAmount: size.tokenAmount, price: orderSpec.price });
+    if (!risk.passed) {
+      return { success: false, rejected: true, error: risk.reason, risk };
+    }
+
+    // Large taker orders are sliced instead of hitting the book at once
+    if (this.shouldTwap(orderSpec, size.sizeUSD)) {
+      const twapPlan = this.planTwap(decision, { side, tokenAmount: size.tokenAmount, quote, sizing: size.sizing });
+      return { ...twapPlan, quote, orderSpec, risk };
+    }
+
+    // Refuse thin books; bound the signed price to the max slippage
+    const protection = this.applySlippageProtection(orderSpec, quote, side, size.tokenAmount, this.resolveMaxSlippageBps(decision));
+    if (protection.error) {
+      return { success: false, error: protection.error };
+    }
+
+    return {
+      success: true,
+      symbol,
+      side,
+      tokenAmount: size.tokenAmount,
+      orderSpec: protection.orderSpec,
+      quote,
+      reduceOnly: false,
+      sizing: size.sizing,
+      execution: protection.execution,
+      risk
+    };
+  }
+
+  // =========================================================================
+  // POSITION ACTIONS - CLOSE / REDUCE / FLIP sized from the held position
+  // =========================================================================
+
+  // Plan an order against the current position (Lighter, or the paper account). CLOSE
+  // and REDUCE send reduce-only market orders; FLIP sends one order through zero.
+  async planPositionAction(decision) {
+    const { symbol } = decision;
+    const paper = this.isPaperTrading();
+
+    const position = await this.getHeldPosition(symbol);
+    if (position.error) {
+      return { success: false, error: position.error };
+    }
+    if (Math.abs(position.quantity) <= LEDGER_DUST) {
+      return { success: false, error: `No open ${symbol} position to ${decision.action.toLowerCase()}` };
+    }
+
+    const quote = paper ? await this.getPaperQuote(symbol) : await this.getExecutionQuote(symbol);
+    if (!quote || quote.error) {
+      return { success: false, error: quote?.error || 'Could not fetch market price' };
+    }
+
+    const plan = this.planPositionOrder(decision, position.quantity, quote);
+    if (plan.error) {
+      return { success: false, error: plan.error };
+    }
+
+    // CLOSE and REDUCE only take risk off; FLIP opens the other way
+    if (!plan.reduceOnly) {
+      plan.risk = await this.evaluateRisk({ symbol, side: plan.side, tokenAmount: plan.tokenAmount, price: quote.mid });
+      if (!plan.risk.passed) {
+        return { success: false, rejected: true, error: plan.risk.reason, risk: plan.risk };
+      }
+    }
+
+    console.log(`🔁 ${decision.action} ${symbol}: holding ${position.quantity}, ${plan.side} ${plan.tokenAmount.toFixed(6)}${plan.reduceOnly ? ' reduce-only' : ''}`);
+    return { success: true, symbol, ...plan, quote };
+  }
+
+  // Signed quantity currently held: { quantity } or { error }
+  async getHeldPosition(symbol) {
+    if (this.isPaperTrading()) {
+      return { quantity: this.paperAccount.positions.get(symbol)?.quantity || 0 };
+    }
+
+    const accountData = await this.getLighterAccount();
+    if (!accountData) {
+      return { error: 'Could not fetch Lighter account positions' };
+    }
+    return { quantity: this.parseLighterPositions(accountData).get(symbol)?.quantity || 0 };
+  }
+
+  // Side, size and price bound for a position action against `quantity` (signed)
+  planPositionOrder(decision, quantity, quote) {
+    const { action, symbol } = decision;
+    const held = Math.abs(quantity);
+    const side = quantity > 0 ? 'sell' : 'buy';
+    const sizing = { strategy: 'position', action, heldQuantity: quantity };
+
+    if (action !== 'FLIP') {
+      const percent = action === 'REDUCE' ? Number(decision.percent) : 100;
+      const tokenAmount = held * percent / 100;
+
+      // Exits don't refuse thin books - they accept up to closeSlippageBps from mid
+      const market = this.getMarket(symbol);
+      if (market && percent < 100) {
+        const sizeCheck = this.validateOrderSize(market, tokenAmount, quote.mid);
+        if (!sizeCheck.valid) return { error: sizeCheck.reason };
+      }
+
+      return {
+        side,
+        tokenAmount,
+        reduceOnly: true,
+        orderSpec: { ...this.closeOrderSpec(side, quote.mid), quotedAt: quote.fetchedAt },
+        sizing: { ...sizing, percent, sizeUSD: tokenAmount * quote.mid },
+        execution: this.describeQuote(quote, this.tradingConfig.closeSlippageBps)
+      };
+    }
+
+    // FLIP: close the held size and open up to the same size the other way,
+    // within MAX_POSITION_SIZE_USD (or the agent's) and the exposure headroom
+    const heldUSD = held * quote.mid;
+    const headroomUSD = this.getExposureHeadroomUSD(symbol, side, quote.mid);
+    const openUSD = Math.min(heldUSD, this.getMaxPositionSizeUSD(decision), headroomUSD - heldUSD);
+    if (openUSD <= 0) {
+      return { error: `No exposure headroom to flip ${symbol}` };
+    }
+
+    const tokenAmount = held + openUSD / quote.mid;
+    const protection = this.applySlippageProtection(
+      { orderType: 'market', price: quote.mid, timeInForce: LIGHTER_TIME_IN_FORCE.IMMEDIATE_OR_CANCEL },
+      quote,
+      side,
+      tokenAmount,
+      this.resolveMaxSlippageBps(decision)
+    );
+    if (protection.error) {
+      return { error: protection.error };
+    }
+
+    return {
+      side,
+      tokenAmount,
+      reduceOnly: false,
+      orderSpec: protection.orderSpec,
+      sizing: { ...sizing, sizeUSD: openUSD, closeUSD: heldUSD },
+      execution: protection.execution
+    };
+  }
+
+  // Reduce-only exit: market IOC bounded at closeSlippageBps from the reference price.
+  // `exit` marks it for re-pricing without the thin-book check if its quote goes stale.
+  closeOrderSpec(side, referencePrice) {
+    const slippage = this.tradingConfig.closeSlippageBps / 10000;
+    // Worst acceptable price - below reference for sells, above for buys
+    const worstPrice = referencePrice * (side === 'sell' ? 1 - slippage : 1 + slippage);
+    return { orderType: 'market', price: worstPrice, timeInForce: LIGHTER_TIME_IN_FORCE.IMMEDIATE_OR_CANCEL, exit: true };
+  }
+
+  // Cancel every order and close every position - live, or on the paper account
+  async flattenAll(reason) {
+    if (this.isPaperTrading()) {
+      return this.flattenPaperAccount(reason);
+    }
+    if (!this.tradingConfig.enabled) {
+      console.log(`⚠️ Trading disabled - would have flattened all positions: ${reason}`);
+      return { success: true, simulated: true };
+    }
+
+    // Stop TWAPs and cancel first so nothing reopens what we close
+    this.stopTwaps(reason);
+    const cancel = await this.cancelAllOrders();
+    try {
+      const flatten = await this.flattenPositions(reason);
+      return {
+        success: cancel.success && flatten.success,
+        cancelledOrders: cancel.success,
+        positions: flatten.positions,
+        error: cancel.error
+      };
+    } catch (error) {
+      return { success: false, cancelledOrders: cancel.success, error: error.message };
+    }
+  }
+
+  // One-line outcome for the trade log; each close is logged as its own CLOSE entry
+  describeFlatten(result) {
+    if (result.simulated) return 'Trading disabled - nothing flattened';
+    const failed = (result.positions || []).filter(p => !p.success).map(p => p.symbol);
+    const summary = `${(result.positions || []).length} positions closed${failed.length ? `, failed: ${failed.join(', ')}` : ''}`;
+    return result.error ? `${result.error} (${summary})` : summary;
+  }
+
+  // =========================================================================
+  // TWAP EXECUTION - Large taker orders sliced over TWAP_WINDOW_MS
+  // =========================================================================
+
+  // Market and IOC orders above TWAP_THRESHOLD_USD are sliced; resting orders never are
+  shouldTwap(orderSpec, sizeUSD) {
+    const taker = orderSpec.orderType === 'market' || orderSpec.orderType === 'ioc';
+    return taker && this.tradingConfig.twapSlices > 1 && sizeUSD > this.tradingConfig.twapThresholdUSD;
+  }
+
+  // Plan the slices. Nothing is sent here - processDecision logs the parent, then runTwap starts.
+  planTwap(decision, { side, tokenAmount, quote, sizing }) {
+    const market = this.getMarket(decision.symbol);
+
+    // Fewer slices if equal slices would fall under the market's minimum order size
+    let slices = this.tradingConfig.twapSlices;
+    while (slices > 1 && !this.validateOrderSize(market, tokenAmount / slices, quote.mid).valid) {
+      slices--;
+    }
+
+    const twap = {
+      decision,
+      symbol: decision.symbol,
+      side,
+      totalSize: tokenAmount,
+      referencePrice: quote.mid,
+      slices,
+      sliceSize: tokenAmount / slices,
+      intervalMs: slices > 1 ? this.tradingConfig.twapWindowMs / (slices - 1) : 0,
+      children: [],
+      submittedSize: 0,
+      filledSize: 0,
+      filledQuote: 0,
+      avgFillPrice: null,
+      fees: 0,
+      status: 'running'
+    };
+
+    console.log(`⏳ TWAP ${decision.symbol}: ${side} ${tokenAmount.toFixed(6)} in ${slices} slices over ${this.tradingConfig.twapWindowMs / 1000}s`);
+
+    return {
+      success: true,
+      twap,
+      orderId: null,
+      clientOrderIndex: null,
+      symbol: decision.symbol,
+      orderType: 'twap',
+      size: tokenAmount,
+      price: quote.mid,
+      referencePrice: quote.mid,
+      side,
+      sizing,
+      execution: this.describeQuote(quote, this.resolveMaxSlippageBps(decision))
+    };
+  }
+
+  // Send the slices. Runs in the background so EMERGENCY_STOP, halts and
+  // FLATTEN_ALL can stop it between slices.
+  async runTwap(twap, tradeId) {
+    twap.tradeId = tradeId;
+    twap.startedAt = new Date().toISOString();
+    this.tradingState.twaps.set(tradeId, twap);
+
+    try {
+      for (let i = 0; i < twap.slices; i++) {
+        if (i > 0) {
+          await new Promise(resolve => {
+            twap.wake = resolve;
+            twap.timer = setTimeout(resolve, twap.intervalMs);
+          });
+        }
+
+        if (twap.status === 'running' && (!this.isRunning || this.tradingState.tradingHalted)) {
+          twap.status = 'stopped';
+          twap.stopReason = this.tradingState.haltReason || 'Service stopping';
+        }
+        if (twap.status !== 'running') break;
+
+        // Slices skipped on a bad book roll into the final slice
+        const isLast = i === twap.slices - 1;
+        const size = isLast ? twap.totalSize - twap.submittedSize : twap.sliceSize;
+        await this.submitTwapSlice(twap, i + 1, size);
+        await this.updateTwapProgress(twap);
+      }
+    } catch (error) {
+      console.error(`❌ TWAP ${tradeId} error:`, error.message);
+      twap.status = 'failed';
+      twap.stopReason = error.message;
+    }
+
+    if (twap.status === 'running') twap.status = 'sent';
+    await this.maybeFinishTwap(twap);
+  }
+
+  // Record a TWAP whose run threw outside its per-slice handling. Slices already on the
+  // book stay tracked and still settle the parent through maybeFinishTwap.
+  async failTwap(twap, error) {
+    console.error(`❌ TWAP ${twap.tradeId} failed:`, error.message);
+    twap.status = 'failed';
+    twap.stopReason = twap.stopReason || error.message;
+    await this.updateTradeLog(twap.tradeId, {
+      'result.error': error.message,
+      twap: this.describeTwap(twap)
+    });
+  }
+
+  // Re-price one slice from the current book and send it with the usual slippage checks
+  async submitTwapSlice(twap, sliceNumber, size) {
+    const { decision, symbol, side } = twap;
+    const child = { slice: sliceNumber, size, status: 'skipped', filledSize: 0, filledQuote: 0, fees: 0 };
+    twap.children.push(child);
+
+    const quote = await this.getExecutionQuote(symbol);
+    const orderSpec = quote.error ? quote : this.resolveOrderSpec(decision, quote.mid);
+    const protection = orderSpec.error
+      ? orderSpec
+      : this.applySlippageProtection(orderSpec, quote, side, size, this.resolveMaxSlippageBps(decision));
+    if (protection.error) {
+      child.error = protection.error;
+      console.log(`⏳ TWAP slice ${sliceNumber}/${twap.slices} skipped: ${protection.error}`);
+      return;
+    }
+
+    const result = await this.submitOrder({
+      symbol,
+      side,
+      tokenAmount: size,
+      orderSpec: protection.orderSpec,
+      referencePrice: quote.mid
+    });
+    if (!result.success) {
+      child.error = String(result.error);
+      console.log(`⏳ TWAP slice ${sliceNumber}/${twap.slices} failed: ${child.error}`);
+      return;
+    }
+
+    twap.submittedSize += size;
+    Object.assign(child, {
+      status: 'open',
+      clientOrderIndex: result.clientOrderIndex,
+      price: result.price,
+      expectedPrice: protection.execution.expectedPrice
+    });
+    this.trackOrder(decision, result, twap.tradeId);
+    this.tradingState.pendingOrders.get(result.clientOrderIndex).twapId = twap.tradeId;
+    console.log(`⏳ TWAP slice ${sliceNumber}/${twap.slices}: ${side} ${size.toFixed(6)} ${symbol} (order ${result.clientOrderIndex})`);
+  }
+
+  // Copy a tracked slice's fills into its TWAP; `outcome` marks the slice final
+  async syncTwapChild(pending, outcome = null) {
+    const twap = this.tradingState.twaps.get(pending.twapId);
+    const child = twap?.children.find(c => c.clientOrderIndex === pending.clientOrderIndex);
+    if (!child) return;
+
+    Object.assign(child, {
+      filledSize: pending.filledSize,
+      filledQuote: pending.filledQuote,
+      avgFillPrice: pending.avgFillPrice,
+      fees: pending.fees
+    });
+    if (outcome) child.status = outcome;
+
+    twap.filledSize = twap.children.reduce((sum, c) => sum + c.filledSize, 0);
+    twap.filledQuote = twap.children.reduce((sum, c) => sum + c.filledQuote, 0);
+    twap.fees = twap.children.reduce((sum, c) => sum + c.fees, 0);
+    twap.avgFillPrice = twap.filledSize > 0 ? twap.filledQuote / twap.filledSize : null;
+
+    await this.updateTwapProgress(twap);
+    if (outcome) await this.maybeFinishTwap(twap);
+  }
+
+  // Settle the parent once no more slices will be sent and every slice is final
+  async maybeFinishTwap(twap) {
+    if (twap.status === 'running' || twap.finished) return;
+    if (twap.children.some(c => c.status === 'open')) return;
+    twap.finished = true;
+    this.tradingState.twaps.delete(twap.tradeId);
+
+    const hasFill = twap.filledSize > LEDGER_DUST;
+    const complete = twap.totalSize - twap.filledSize <= LEDGER_DUST;
+    const orderStatus = complete ? 'filled' : (hasFill ? 'partially_filled' : 'cancelled');
+
+    // One TWAP is one trade toward the daily limit
+    if (hasFill) {
+      this.tradingState.dailyTradeCount++;
+      this.getAgentStats(twap.decision.agentId).dailyTradeCount++;
+      await this.persistTradingState();
+    }
+
+    console.log(`⏳ TWAP ${twap.tradeId} final: ${orderStatus} (${twap.filledSize.toFixed(6)}/${twap.totalSize.toFixed(6)} ${twap.symbol}${twap.stopReason ? `, stopped: ${twap.stopReason}` : ''})`);
+
+    await this.updateTradeLog(twap.tradeId, {
+      status: orderStatus === 'filled' ? 'executed' : orderStatus,
+      'result.success': hasFill,
+      'result.orderStatus': orderStatus,
+      'result.filledSize': twap.filledSize,
+      'result.avgFillPrice': twap.avgFillPrice,
+      'result.fees': twap.fees,
+      'result.finalizedAt': new Date().toISOString(),
+      'tradingState.dailyTradeCount': this.tradingState.dailyTradeCount,
+      twap: this.describeTwap(twap)
+    });
+
+    if (hasFill) {
+      const lastFilled = [...twap.children].reverse().find(c => c.filledSize > LEDGER_DUST);
+      await this.protectFill({
+        decision: twap.decision,
+        tradeId: twap.tradeId,
+        symbol: twap.symbol,
+        marketIndex: this.getMarket(twap.symbol)?.marketIndex,
+        orderId: lastFilled.clientOrderIndex,
+        clientOrderIndex: lastFilled.clientOrderIndex,
+        side: twap.side,
+        filledSize: twap.filledSize,
+        avgFillPrice: twap.avgFillPrice
+      });
+    }
+  }
+
+  // Stop every running TWAP before its next slice (slices already sent still settle)
+  stopTwaps(reason) {
+    for (const twap of this.tradingState.twaps.values()) {
+      if (twap.status !== 'running') continue;
+      console.log(`⏹️ Stopping TWAP ${twap.tradeId}: ${reason}`);
+      twap.status = 'stopped';
+      twap.stopReason = reason;
+      clearTimeout(twap.timer);
+      twap.wake?.();
+    }
+  }
+
+  async updateTwapProgress(twap) {
+    await this.updateTradeLog(twap.tradeId, {
+      'result.orderStatus': twap.filledSize > LEDGER_DUST ? 'partially_filled' : 'open',
+      'result.filledSize': twap.filledSize,
+      'result.avgFillPrice': twap.avgFillPrice,
+      'result.fees': twap.fees,
+      twap: this.describeTwap(twap)
+    });
+  }
+
+  describeTwap(twap) {
+    return {
+      status: twap.status,
+      slices: twap.slices,
+      sliceSize: twap.sliceSize,
+      intervalMs: twap.intervalMs,
+      totalSize: twap.totalSize,
+      submittedSize: twap.submittedSize,
+      filledSize: twap.filledSize,
+      avgFillPrice: twap.avgFillPrice,
+      stopReason: twap.stopReason ?? null,
+      startedAt: twap.startedAt ?? null,
+      children: twap.children.map(({ slice, size, status, clientOrderIndex, filledSize, avgFillPrice, error }) => ({
+        slice,
+        size,
+        status,
+        clientOrderIndex: clientOrderIndex ?? null,
+        filledSize,
+        avgFillPrice: avgFillPrice ?? null,
+        error: error ?? null
+      }))
+    };
+  }
+
+  // =========================================================================
+  // ORDER PREVIEW - Dry runs into 'decisionPreviews'; nothing is signed or sent
+  // =========================================================================
+
+  // Run a decision through the live path (schema, validation, market lookup, pricing,
+  // sizing, scaling) and record the zklighter-sdk params it would sign. Validation
+  // failures are reported, but the order is still planned so it can be inspected.
+  async previewDecision(decision, source) {
+    const preview = {
+      source,
+      decision,
+      status: 'would_submit',  // would_submit, rejected, failed, no_order
+      reason: null,
+      tradingEnabled: this.tradingConfig.enabled,
+      paperTrading: this.isPaperTrading(),
+      lighterUrl: this.lighterConfig.baseUrl,
+      createdAt: new Date().toISOString()
+    };
+
+    const schemaErrors = this.checkDecisionSchema(decision);
+    if (schemaErrors.length > 0) {
+      Object.assign(preview, { status: 'rejected', reason: `Invalid decision: ${schemaErrors.join('; ')}`, validationErrors: schemaErrors });
+      return this.savePreview(preview);
+    }
+    if (!['BUY', 'SELL', ...POSITION_ACTIONS].includes(decision.action)) {
+      Object.assign(preview, { status: 'no_order', reason: `${decision.action} does not place an order` });
+      return this.savePreview(preview);
+    }
+
+    const validation = this.validateDecision(decision, { preview: true });
+    if (!validation.valid) {
+      Object.assign(preview, { status: 'rejected', reason: validation.reason });
+    }
+
+    try {
+      const plan = await this.planTrade(decision);
+      preview.risk = plan.risk;
+      if (plan.success) {
+        preview.order = this.describePlannedOrder(decision, plan);
+      } else {
+        preview.planError = plan.error;
+        if (validation.valid) Object.assign(preview, { status: plan.rejected ? 'rejected' : 'failed', reason: plan.error });
+      }
+    } catch (error) {
+      preview.planError = error.message;
+      if (validation.valid) Object.assign(preview, { status: 'failed', reason: error.message });
+    }
+
+    return this.savePreview(preview);
+  }
+
+  // Planned order with its unsigned SDK params (clientOrderIndex and nonce are assigned at signing)
+  describePlannedOrder(decision, plan) {
+    const market = this.getMarket(plan.symbol);
+    const order = {
+      symbol: plan.symbol,
+      side: plan.side,
+      orderType: plan.twap ? 'twap' : plan.orderSpec.orderType,
+      size: plan.twap ? plan.twap.totalSize : plan.tokenAmount,
+      price: plan.orderSpec.price,
+      referencePrice: plan.quote.mid,
+      reduceOnly: !!plan.reduceOnly,
+      sizing: plan.sizing,
+      execution: plan.execution
+    };
+    order.sizeUSD = order.size * plan.quote.mid;
+
+    if (plan.twap) {
+      // Slices are re-priced as they go out; show the first one against today's book
+      const { slices, sliceSize, intervalMs } = plan.twap;
+      order.twap = { slices, sliceSize, intervalMs };
+      const slice = this.applySlippageProtection(plan.orderSpec, plan.quote, plan.side, sliceSize, this.resolveMaxSlippageBps(decision));
+      if (slice.error) {
+        order.paramsError = slice.error;
+      } else {
+        order.params = this.buildOrderParams(market, { side: plan.side, tokenAmount: sliceSize, orderSpec: slice.orderSpec });
+      }
+    } else {
+      order.params = this.buildOrderParams(market, plan);
+      if (['limit', 'post_only'].includes(plan.orderSpec.orderType)) {
+        order.ttlMs = this.resolveOrderTtlMs(decision);
+      }
+    }
+
+    // Brackets go on after the fill; priced here as if the whole order filled as expected
+    if (!POSITION_ACTIONS.includes(decision.action)) {
+      const entryPrice = plan.execution?.expectedPrice ?? plan.orderSpec.price;
+      const parent = { side: plan.side, baseAmount: this.toBaseAmount(market, order.size) };
+      for (const kind of ['stopLoss', 'takeProfit']) {
+        if (decision[kind] === undefined || decision[kind] === null) continue;
+        const trigger = this.resolveBracketPrice(decision[kind], entryPrice, plan.side === 'buy', kind);
+        order[kind] = trigger.error
+          ? { error: trigger.error }
+          : {
+            triggerPrice: trigger.price,
+            worstPrice: this.triggerWorstPrice(plan.side, trigger.price),
+            params: this.buildTriggerOrderParams(market, parent, kind, trigger.price)
+          };
+      }
+      if (decision.trailingStop != null) {
+        order.trailingStop = { spec: decision.trailingStop, ...this.parseTrailingStop(decision.trailingStop) };
+      }
+    }
+
+    return order;
+  }
+
+  async savePreview(preview) {
+    console.log(`🔍 Preview ${preview.decision?.action} ${preview.decision?.symbol || ''}: ${preview.status}${preview.reason ? ` - ${preview.reason}` : ''}`);
+    if (!this.db) return preview;
+
+    try {
+      const docRef = await this.db.collection('decisionPreviews').add(preview);
+      return { previewId: docRef.id, ...preview };
+    } catch (error) {
+      console.error('❌ Error saving decision preview:', error.message);
+      return preview;
+    }
+  }
+
+  // Current agentDecisions/{agentId} document, for previews of what the agent just said
+  async loadLatestDecision(agentId = DEFAULT_DECISION_AGENT) {
+    if (!this.db) throw new Error(`Firebase not available - cannot read agentDecisions/${agentId}`);
+    const doc = await this.db.collection('agentDecisions').doc(agentId).get();
+    if (!doc.exists) throw new Error(`No ${agentId} decision document found`);
+    return { ...doc.data(), agentId };
+  }
+
+  // =========================================================================
+  // RISK ENGINE - Portfolio limits on each proposed order
+  // =========================================================================
+
+  // Check an order against what the account holds plus what its open orders and
+  // running TWAPs could still add: per-symbol notional, gross and net exposure,
+  // leverage, concentration and margin buffer. A check also passes if the order makes
+  // its number no worse, so risk can always be taken off.
+  // Returns { passed, reason, checks: [{ check, passed, value, before, limit }], ... }.
+  async evaluateRisk({ symbol, side, tokenAmount, price }) {
+    const snapshot = await this.getRiskSnapshot();
+    if (snapshot.error) {
+      const checks = [{ check: 'account', passed: false, error: snapshot.error }];
+      return { passed: false, reason: `Risk check failed: ${snapshot.error}`, checks };
+    }
+
+    const account = this.addOpenOrderExposure(snapshot);
+    const delta = side === 'buy' ? tokenAmount : -tokenAmount;
+    const before = this.measureRisk(account, symbol, price);
+    const after = this.measureRisk(account, symbol, price, delta);
+    const config = this.tradingConfig;
+
+    const limits = [
+      ['symbolNotionalUSD', config.maxSymbolNotionalUSD, 'max'],
+      ['grossExposureUSD', config.maxExposureUSD, 'max'],
+      ['netExposureUSD', config.maxNetExposureUSD, 'max'],
+      ['leverage', config.maxLeverage, 'max'],
+      ['concentration', config.maxConcentration, 'max'],
+      ['marginBufferPct', config.minMarginBufferPct, 'min']
+    ];
+
+    const checks = limits.map(([check, limit, kind]) => {
+      const value = after[check];
+      const was = before[check];
+      const slack = Math.abs(limit) * 1e-9;  // Orders sized exactly to a limit land on it in float
+      const within = kind === 'max' ? value <= limit + slack : value >= limit - slack;
+      const noWorse = kind === 'max' ? value <= was : value >= was;
+      // A single market is always 100% of the book - concentration only limits a mix
+      const skipped = check === 'concentration' && after.marketCount <= 1;
+      return { check, passed: skipped || within || noWorse, value, before: was, limit, ...(skipped && { skipped }) };
+    });
+
+    const failed = checks.filter(c => !c.passed);
+    const reason = failed.length > 0
+      ? `Risk check failed: ${failed.map(c => `${c.check} ${this.formatRiskValue(c.value)} ${c.check === 'marginBufferPct' ? '<' : '>'} ${this.formatRiskValue(c.limit)}`).join('; ')}`
+      : null;
+    if (reason) console.log(`🧯 ${reason}`);
+
+    return {
+      passed: failed.length === 0,
+      reason,
+      checks,
+      equity: account.equity,
+      source: account.source,
+      openOrders: account.openOrders
+    };
+  }
+
+  // Positions and equity the risk engine works from: the paper account, or Lighter's
+  async getRiskSnapshot() {
+    if (this.isPaperTrading()) {
+      return { source: 'paper', equity: this.paperAccount.equity, positions: this.paperAccount.positions };
+    }
+
+    const accountData = await this.getLighterAccount();
+    if (!accountData) {
+      return { error: 'Could not fetch Lighter account - positions and equity unknown' };
+    }
+    const equity = this.parseLighterEquity(accountData);
+    if (!equity) {
+      return { error: 'Lighter account has no equity' };
+    }
+    return { source: 'lighter', equity, positions: this.parseLighterPositions(accountData) };
+  }
+
+  // Count working orders as if they fill: unfilled size of open orders (paper resting
+  // orders, or tracked Lighter orders) and the slices a running TWAP has yet to send.
+  // Reduce-only exits are left out - they can only take exposure off.
+  addOpenOrderExposure(account) {
+    const working = [];
+    if (account.source === 'paper') {
+      for (const order of this.paperAccount.openOrders.values()) {
+        if (order.reduceOnly) continue;
+        working.push({ symbol: order.symbol, side: order.side, size: order.size - order.filledSize, price: order.price });
+      }
+    } else {
+      for (const order of this.tradingState.pendingOrders.values()) {
+        if (['CLOSE', 'REDUCE'].includes(order.decision?.action)) continue;
+        working.push({ symbol: order.symbol, side: order.side, size: order.requestedSize - order.filledSize, price: order.price });
+      }
+      for (const twap of this.tradingState.twaps.values()) {
+        if (twap.status !== 'running') continue;
+        working.push({ symbol: twap.symbol, side: twap.side, size: twap.totalSize - twap.submittedSize, price: twap.referencePrice });
+      }
+    }
+
+    const positions = new Map(account.positions);
+    const openOrders = [];
+    for (const { symbol, side, size, price } of working) {
+      if (!(size > LEDGER_DUST)) continue;
+      const held = positions.get(symbol);
+      const quantity = (held?.quantity || 0) + (side === 'buy' ? size : -size);
+      const markPrice = held?.markPrice || held?.avgEntryPrice || price;
+      if (!markPrice) continue;
+      positions.set(symbol, { ...held, quantity, markPrice });
+      openOrders.push({ symbol, side, size });
+    }
+
+    return { ...account, positions, openOrders };
+  }
+
+  // Exposure numbers for the account, optionally after trading `delta` of `symbol` at `price`
+  measureRisk(account, symbol, price, delta = 0) {
+    const holdings = new Map();
+    for (const [held, position] of account.positions) {
+      holdings.set(held, {
+        quantity: position.quantity,
+        price: position.markPrice || position.avgEntryPrice,
+        initialMarginPct: position.initialMarginPct
+      });
+    }
+    const traded = holdings.get(symbol) || { quantity: 0 };
+    holdings.set(symbol, { ...traded, quantity: traded.quantity + delta, price });
+
+    let gross = 0;
+    let net = 0;
+    let margin = 0;
+    let largest = 0;
+    let marketCount = 0;
+    for (const { quantity, price: markPrice, initialMarginPct } of holdings.values()) {
+      const notional = Math.abs(quantity) * markPrice;
+      gross += notional;
+      net += quantity * markPrice;
+      margin += notional * (initialMarginPct || this.tradingConfig.initialMarginPct) / 100;
+      largest = Math.max(largest, notional);
+      if (Math.abs(quantity) > LEDGER_DUST) marketCount++;
+    }
+
+    return {
+      symbolNotionalUSD: Math.abs(holdings.get(symbol).quantity) * price,
+      grossExposureUSD: gross,
+      netExposureUSD: Math.abs(net),
+      leverage: account.equity > 0 ? gross / account.equity : Infinity,
+      concentration: gross > 0 ? largest / gross : 0,
+      marginBufferPct: account.equity > 0 ? (account.equity - margin) / account.equity * 100 : -Infinity,
+      marketCount
+    };
+  }
+
+  formatRiskValue(value) {
+    return Number.isFinite(value) ? Number(value.toFixed(2)).toString() : String(value);
+  }
+
+  // =========================================================================
+  // POSITION SIZING - Strategy from SIZING_STRATEGY, overridable per decision
+  // =========================================================================
+
+  // Size an order: strategy size in USD, capped by MAX_POSITION_SIZE_USD and
+  // MAX_EXPOSURE_USD, then checked against the market's minimums.
+  // decision.sizing is a strategy name or { strategy, ...params }.
+  async calculateOrderSize(decision, price, side) {
+    const params = (decision.sizing && typeof decision.sizing === 'object') ? decision.sizing : { strategy: decision.sizing };
+    const strategy = String(params.strategy || this.tradingConfig.sizingStrategy).toLowerCase();
+
+    let sized;
+    switch (strategy) {
+      case 'confidence':
+        sized = this.sizeByConfidence(decision);
+        break;
+      case 'fixed_usd':
+        sized = this.sizeFixedUSD(params);
+        break;
+      case 'equity_fraction':
+        sized = await this.sizeEquityFraction(params);
+        break;
+      case 'volatility_target':
+        sized = await this.sizeVolatilityTarget(decision.symbol, price, params);
+        break;
+      case 'kelly':
+        sized = await this.sizeKelly(decision, params);
+        break;
+      default:
+        return { error: `Unsupported sizing strategy: ${strategy} (expected one of ${SIZING_STRATEGIES.join(', ')})` };
+    }
+    if (sized.error) {
+      return { error: `Sizing (${strategy}): ${sized.error}` };
+    }
+
+    let sizeUSD = sized.sizeUSD;
+    const caps = [];
+
+    // position_size is the requested size for 'confidence' and an upper bound otherwise
+    if (strategy !== 'confidence' && decision.position_size > 0 && decision.position_size < sizeUSD) {
+      sizeUSD = decision.position_size;
+      caps.push('position_size');
+    }
+    const maxPositionSizeUSD = this.getMaxPositionSizeUSD(decision);
+    if (sizeUSD > maxPositionSizeUSD) {
+      sizeUSD = maxPositionSizeUSD;
+      caps.push(maxPositionSizeUSD < this.tradingConfig.maxPositionSizeUSD ? 'agentMaxPositionSizeUSD' : 'maxPositionSizeUSD');
+    }
+    const headroom = this.getExposureHeadroomUSD(decision.symbol, side, price);
+    if (sizeUSD > headroom) {
+      sizeUSD = headroom;
+      caps.push('maxExposureUSD');
+    }
+    if (!(sizeUSD > 0)) {
+      return { error: `Max exposure reached ($${this.tradingConfig.maxExposureUSD})` };
+    }
+
+    const tokenAmount = sizeUSD / price;
+    const market = this.getMarket(decision.symbol);
+    if (market) {
+      const sizeCheck = this.validateOrderSize(market, tokenAmount, price);
+      if (!sizeCheck.valid) {
+        return { error: sizeCheck.reason };
+      }
+    }
+
+    const sizing = { strategy, sizeUSD, caps, ...sized.details };
+    console.log(`📐 Sizing (${strategy}): $${sizeUSD.toFixed(2)}${caps.length ? ` capped by ${caps.join(', ')}` : ''}`);
+    return { tokenAmount, sizeUSD, sizing };
+  }
+
+  // Original sizing: max position size (the agent's, if lower) scaled by confidence, or position_size if given
+  sizeByConfidence(decision) {
+    const confidenceAdjustedSize = this.getMaxPositionSizeUSD(decision) * decision.confidence;
+    return {
+      sizeUSD: decision.position_size || confidenceAdjustedSize,
+      details: { confidence: decision.confidence }
+    };
+  }
+
+  sizeFixedUSD(params) {
+    const usd = parseFloat(params.usd ?? this.tradingConfig.sizingFixedUSD);
+    if (!(usd > 0)) return { error: `Invalid usd: ${params.usd}` };
+    return { sizeUSD: usd, details: {} };
+  }
+
+  async sizeEquityFraction(params) {
+    const fraction = parseFloat(params.fraction ?? this.tradingConfig.sizingEquityFraction);
+    if (!(fraction > 0 && fraction <= 1)) return { error: `Invalid fraction: ${params.fraction}` };
+
+    const equity = await this.getAccountEquity();
+    if (!equity) return { error: 'Could not fetch account equity' };
+
+    return { sizeUSD: equity * fraction, details: { equity, fraction } };
+  }
+
+  // Size so that a one-ATR move costs riskFraction of equity
+  async sizeVolatilityTarget(symbol, price, params) {
+    const riskFraction = parseFloat(params.riskFraction ?? this.tradingConfig.sizingVolRiskFraction);
+    if (!(riskFraction > 0 && riskFraction <= 1)) return { error: `Invalid riskFraction: ${params.riskFraction}` };
+
+    const atr = await this.getATR(symbol);
+    if (!atr) return { error: `No ATR available for ${symbol}` };
+
+    const equity = await this.getAccountEquity();
+    if (!equity) return { error: 'Could not fetch account equity' };
+
+    const tokens = (equity * riskFraction) / atr;
+    return { sizeUSD: tokens * price, details: { atr, equity, riskFraction } };
+  }
+
+  // Fractional Kelly from the agent's closed trades; falls back to 'confidence'
+  // until SIZING_KELLY_MIN_TRADES outcomes are available.
+  async sizeKelly(decision, params) {
+    const kellyFraction = parseFloat(params.kellyFraction ?? this.tradingConfig.sizingKellyFraction);
+    if (!(kellyFraction > 0 && kellyFraction <= 1)) return { error: `Invalid kellyFraction: ${params.kellyFraction}` };
+
+    const stats = await this.getAgentTradeStats(decision.agentId || DEFAULT_DECISION_AGENT);
+    if (!stats || stats.trades < this.tradingConfig.sizingKellyMinTrades) {
+      const fallback = this.sizeByConfidence(decision);
+      return {
+        ...fallback,
+        details: { ...fallback.details, fallback: `confidence (${stats?.trades || 0}/${this.tradingConfig.sizingKellyMinTrades} closed trades)` }
+      };
+    }
+
+    // f* = p - (1 - p) / b with b = average win / average loss
+    const { winRate, avgWin, avgLoss } = stats;
+    const kelly = avgLoss > 0 ? winRate - (1 - winRate) / (avgWin / avgLoss) : winRate;
+    if (!(kelly > 0)) {
+      return { error: `No edge (Kelly ${kelly.toFixed(3)}, win rate ${(winRate * 100).toFixed(1)}% over ${stats.trades} trades)` };
+    }
+
+    const equity = await this.getAccountEquity();
+    if (!equity) return { error: 'Could not fetch account equity' };
+
+    return {
+      sizeUSD: equity * kelly * kellyFraction,
+      details: { equity, kelly, kellyFraction, winRate, trades: stats.trades }
+    };
+  }
+
+  // USD an order can add before gross exposure exceeds MAX_EXPOSURE_USD.
+  // Closing an opposing position frees exposure, so reductions are always allowed.
+  getExposureHeadroomUSD(symbol, side, price) {
+    const positions = this.isPaperTrading() ? this.paperAccount.positions : this.tradingState.positions;
+    let gross = 0;
+    for (const position of positions.values()) {
+      gross += Math.abs(position.quantity) * (position.markPrice || position.avgEntryPrice);
+    }
+
+    const currentQty = positions.get(symbol)?.quantity || 0;
+    const opposing = Math.sign(currentQty) === (side === 'buy' ? -1 : 1);
+    const reducibleUSD = opposing ? Math.abs(currentQty) * price : 0;
+    return Math.max(reducibleUSD, this.tradingConfig.maxExposureUSD - gross + 2 * reducibleUSD);
+  }
+
+  // Equity of the account being traded: the paper account, or Lighter's total asset value
+  async getAccountEquity() {
+    if (this.isPaperTrading()) {
+      return this.paperAccount.equity;
+    }
+
+    return this.parseLighterEquity(await this.getLighterAccount());
+  }
+
+  // Total asset value (collateral + unrealized PnL) from a Lighter account response
+  parseLighterEquity(accountData) {
+    const account = accountData?.accounts?.[0] || accountData;
+    const equity = parseFloat(account?.total_asset_value ?? account?.collateral);
+    return equity > 0 ? equity : null;
+  }
+
+  // ATR for a symbol from the candles in 'technicalData/latest'
+  async getATR(symbol) {
+    if (!this.db) return null;
+
+    try {
+      const doc = await this.db.collection('technicalData').doc('latest').get();
+      const data = doc.exists ? doc.data()[symbol] : null;
+      return data?.current?.atr || this.calculateATR(data?.candles || []);
+    } catch (error) {
+      console.error('❌ Error loading ATR:', error.message);
+      return null;
+    }
+  }
+
+  // Win rate and average win/loss over the agent's most recent closed trades (cached 10 min).
+  // Entries from before agentId was logged count as the default agent's.
+  async getAgentTradeStats(agentId) {
+    const cached = this.agentTradeStats.get(agentId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.stats;
+    }
+    if (!this.db) return null;
+
+    try {
+      const collection = this.isPaperTrading() ? 'paperTrades' : 'trades';
+      const snapshot = await this.db.collection(collection)
+        .orderBy('timestamp', 'desc')
+        .limit(500)
+        .get();
+
+      const pnls = snapshot.docs
+        .map(doc => doc.data())
+        .filter(data => (data.agentId || DEFAULT_DECISION_AGENT) === agentId)
+        .map(data => data.result)
+        .filter(result => result?.positionStatus === 'closed' && Number.isFinite(result.pnl))
+        .slice(0, this.tradingConfig.sizingKellyLookback)
+        .map(result => result.pnl);
+
+      const stats = this.summarizeTradeOutcomes(pnls);
+      this.agentTradeStats.set(agentId, { stats, expiresAt: Date.now() + 10 * 60 * 1000 });
+      return stats;
+    } catch (error) {
+      console.error('❌ Error loading agent trade stats:', error.message);
+      return null;
+    }
+  }
+
+  summarizeTradeOutcomes(pnls) {
+    const wins = pnls.filter(pnl => pnl > 0);
+    const losses = pnls.filter(pnl => pnl < 0);
+    const average = values => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+    return {
+      trades: pnls.length,
+      winRate: pnls.length ? wins.length / pnls.length : 0,
+      avgWin: average(wins),
+      avgLoss: Math.abs(average(losses))
+    };
+  }
+
+  // Sign and send one order to Lighter. Shared by decisions, closes and flattening.
+  async submitOrder({ symbol, side, tokenAmount, orderSpec, referencePrice, reduceOnly = false }) {
+    try {
+      const lighterMarket = this.getMarket(symbol);
+      if (!lighterMarket) {
+        return { success: false, error: `${symbol} missing from market registry` };
+      }
+
+      const isAsk = side === 'sell';
+      const market = `${symbol}-USD`;
+
+      console.log(`📝 Order details:`);
+      console.log(`   Market: ${market}`);
+      console.log(`   Type: ${orderSpec.orderType}`);
+      console.log(`   Side: ${side} (isAsk: ${isAsk})`);
+      console.log(`   Size: ${tokenAmount.toFixed(6)} ${symbol} (~$${(tokenAmount * orderSpec.price).toFixed(2)})`);
+      console.log(`   Price: $${orderSpec.price.toFixed(2)} (market: $${referencePrice.toFixed(2)})`);
+      if (reduceOnly) console.log('   Reduce-only: true');
+
+      const signer = this.createSignerClient();
+      if (signer.error) {
+        return { success: false, error: signer.error };
+      }
+      const { client, accountIdx, apiKeyIdx } = signer;
+
+      // Order parameters for zklighter-sdk, in Lighter integer units
+      const clientOrderIndex = this.nextClientOrderIndex();
+      let params = this.buildOrderParams(lighterMarket, { side, tokenAmount, orderSpec, reduceOnly, clientOrderIndex });
+      const { marketIndex, baseAmount } = params;
+
+      console.log('📦 SDK order params:', JSON.stringify(params));
+
+      // Nonce manager serializes signing and sequences nonces locally
+      const [order, tx, err] = await this.nonceManager.withNonce(accountIdx, apiKeyIdx, async (nonce) => {
+        await this.rateLimiter.throttle();
+
+        // The price may have gone stale while waiting for the rate limiter and the
+        // signing queue: re-quote and re-bound it rather than sign an old snapshot
+        const quoteAge = orderSpec.quotedAt ? Date.now() - orderSpec.quotedAt : 0;
+        if (quoteAge > this.tradingConfig.maxQuoteAgeMs) {
+          const requoted = await this.requoteOrderSpec(symbol, side, tokenAmount, orderSpec);
+          if (requoted.error) {
+            return [null, null, `Order book quote is ${quoteAge}ms old (max ${this.tradingConfig.maxQuoteAgeMs}ms) and re-quoting failed: ${requoted.error} - not signing`];
+          }
+          console.log(`🔄 Quote was ${quoteAge}ms old - re-priced at $${requoted.orderSpec.price.toFixed(2)} (was $${orderSpec.price.toFixed(2)})`);
+          orderSpec = requoted.orderSpec;
+          params = this.buildOrderParams(lighterMarket, { side, tokenAmount, orderSpec, reduceOnly, clientOrderIndex });
+        }
+
+        console.log(`🔢 Signing order ${clientOrderIndex} with nonce ${nonce}`);
+        return this.sendOrder(client, params, nonce);
+      });
+
+      if (err) {
+        console.error('SDK order creation error:', err);
+        return { success: false, error: err };
+      }
+
+      console.log('✅ Order created via SDK:', JSON.stringify(order));
+      console.log('📤 Transaction:', JSON.stringify(tx));
+
+      return {
+        success: true,
+        orderId: order?.order_id || clientOrderIndex,
+        clientOrderIndex,
+        symbol,
+        marketIndex,
+        baseAmount,
+        orderType: orderSpec.orderType,
+        size: tokenAmount,
+        price: orderSpec.price,
+        referencePrice,
+        reduceOnly,
+        side,
+        market,
+        response: { order, tx }
+      };
+
+    } catch (error) {
+      console.error('Trade execution error:', error.response?.data || error.message || error);
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message || String(error)
+      };
+    }
+  }
+
+  // zklighter-sdk arguments for an order, scaled to the market's integer units.
+  // submitOrder signs exactly these; previews report them unsigned.
+  buildOrderParams(market, { side, tokenAmount, orderSpec, reduceOnly = false, clientOrderIndex = null }) {
+    const params = {
+      method: orderSpec.orderType === 'market' ? 'create_market_order' : 'create_order',
+      marketIndex: market.marketIndex,
+      clientOrderIndex,
+      baseAmount: this.toBaseAmount(market, tokenAmount),
+      price: this.toPriceUnits(market, orderSpec.price),
+      isAsk: side === 'sell',
+      reduceOnly,
+      apiKeyIndex: parseInt(this.lighterConfig.apiKeyIndex) || 0
+    };
+    if (params.method === 'create_market_order') return params;
+
+    // Limit, post-only and IOC orders all go through create_order
+    return {
+      ...params,
+      orderType: LIGHTER_ORDER_TYPE.LIMIT,
+      timeInForce: orderSpec.timeInForce,
+      triggerPrice: LIGHTER_NIL_TRIGGER_PRICE,
+      orderExpiry: orderSpec.orderExpiry
+    };
+  }
+
+  // Reduce-only SL/TP trigger order closing `parent` ({ side, baseAmount })
+  buildTriggerOrderParams(market, parent, kind, triggerPrice, clientOrderIndex = null) {
+    return {
+      method: 'create_order',
+      marketIndex: market.marketIndex,
+      clientOrderIndex,
+      baseAmount: parent.baseAmount,
+      price: this.toPriceUnits(market, this.triggerWorstPrice(parent.side, triggerPrice)),
+      // Closing leg trades against the parent side
+      isAsk: parent.side === 'buy',
+      orderType: kind === 'stopLoss' ? LIGHTER_ORDER_TYPE.STOP_LOSS : LIGHTER_ORDER_TYPE.TAKE_PROFIT,
+      timeInForce: LIGHTER_TIME_IN_FORCE.IMMEDIATE_OR_CANCEL,
+      reduceOnly: true,
+      triggerPrice: this.toPriceUnits(market, triggerPrice),
+      orderExpiry: LIGHTER_DEFAULT_ORDER_EXPIRY,
+      apiKeyIndex: parseInt(this.lighterConfig.apiKeyIndex) || 0
+    };
+  }
+
+  // Worst acceptable fill once a bracket triggers: below trigger for sells, above for buys
+  triggerWorstPrice(parentSide, triggerPrice) {
+    const slippage = this.tradingConfig.bracketSlippageBps / 10000;
+    return triggerPrice * (parentSide === 'buy' ? 1 - slippage : 1 + slippage);
+  }
+
+  // Sign and send buildOrderParams/buildTriggerOrderParams output
+  sendOrder(client, params, nonce) {
+    if (params.method === 'create_market_order') {
+      // Market orders use avgExecutionPrice as the worst acceptable price
+      return client.create_market_order(
+        params.marketIndex,
+        params.clientOrderIndex,
+        params.baseAmount,
+        params.price,
+        params.isAsk,
+        params.reduceOnly,
+        nonce,
+        params.apiKeyIndex
+      );
+    }
+
+    return client.create_order(
+      params.marketIndex,
+      params.clientOrderIndex,
+      params.baseAmount,
+      params.price,
+      params.isAsk,
+      params.orderType,
+      params.timeInForce,
+      params.reduceOnly,
+      params.triggerPrice,
+      params.orderExpiry,
+      nonce,
+      params.apiKeyIndex
+    );
+  }
+
+  // Resolve the decision's orderType/limitPrice/offsetBps into Lighter order params.
+  // limit and post_only offsets rest away from the market (buy below, sell above);
+  // ioc offsets cross the market and act as the worst acceptable fill price.
+  resolveOrderSpec(decision, referencePrice) {
+    const orderType = String(decision.orderType || this.tradingConfig.defaultOrderType).toLowerCase();
+
+    if (!ORDER_TYPES.includes(orderType)) {
+      return { error: `Unsupported orderType: ${decision.orderType} (expected one of ${ORDER_TYPES.join(', ')})` };
+    }
+
+    if (orderType === 'market') {
+      return { orderType, price: referencePrice, timeInForce: LIGHTER_TIME_IN_FORCE.IMMEDIATE_OR_CANCEL };
+    }
+
+    let price;
+    if (decision.limitPrice !== undefined && decision.limitPrice !== null) {
+      price = parseFloat(decision.limitPrice);
+      if (!Number.isFinite(price) || price <= 0) {
+        return { error: `Invalid limitPrice: ${decision.limitPrice}` };
+      }
+    } else {
+      const offsetBps = parseFloat(decision.offsetBps ?? this.tradingConfig.defaultOffsetBps);
+      if (!Number.isFinite(offsetBps) || offsetBps < 0) {
+        return { error: `Invalid offsetBps: ${decision.offsetBps}` };
+      }
+      const isBuy = decision.action === 'BUY';
+      const crossesBook = orderType === 'ioc';
+      const direction = (isBuy === crossesBook) ? 1 : -1;
+      price = referencePrice * (1 + direction * offsetBps / 10000);
+    }
+
+    const timeInForce = {
+      limit: LIGHTER_TIME_IN_FORCE.GOOD_TILL_TIME,
+      post_only: LIGHTER_TIME_IN_FORCE.POST_ONLY,
+      ioc: LIGHTER_TIME_IN_FORCE.IMMEDIATE_OR_CANCEL
+    }[orderType];
+
+    return {
+      orderType,
+      price,
+      timeInForce,
+      orderExpiry: orderType === 'ioc' ? LIGHTER_IOC_EXPIRY : LIGHTER_DEFAULT_ORDER_EXPIRY
+    };
+  }
+
+  // Build a SignerClient from the configured API key private key
+  createSignerClient() {
+    // Use zklighter-sdk for proper transaction signing
+    if (!SignerClient) {
+      return { error: 'zklighter-sdk not available - cannot sign transactions' };
+    }
+
+    // SignerClient requires the API Key Private Key (40 hex chars), NOT wallet private key
+    // This is the private key from your Lighter API key, found in account settings
+    let apiKeyPrivateKey = this.lighterConfig.apiKeyPrivateKey;
+
+    if (!apiKeyPrivateKey) {
+      console.error('❌ LIGHTER_API_KEY_PRIVATE_KEY not configured');
+      console.error('   The zklighter-sdk requires your Lighter API Key Private Key (40 hex characters)');
+      console.error('   This is different from your wallet private key');
+      console.error('   Find it in your Lighter account settings under API Keys');
+      return { error: 'LIGHTER_API_KEY_PRIVATE_KEY not configured - needed for SDK signing' };
+    }
+
+    // Clean up the key format
+    apiKeyPrivateKey = apiKeyPrivateKey.trim();
+    if (apiKeyPrivateKey.startsWith('0x')) {
+      apiKeyPrivateKey = apiKeyPrivateKey.slice(2);
+    }
+
+    const accountIdx = parseInt(this.lighterConfig.accountIndex) || 0;
+    const apiKeyIdx = parseInt(this.lighterConfig.apiKeyIndex) || 0;
+    console.log(`🔑 API Key Private Key length: ${apiKeyPrivateKey.length} chars (SDK expects 80 chars = 40 bytes)`);
+    console.log(`🔑 Account Index: ${accountIdx}, API Key Index: ${apiKeyIdx}`);
+
+    if (apiKeyPrivateKey.length !== 80) {
+      console.error(`❌ Invalid API Key Private Key length: ${apiKeyPrivateKey.length} chars, expected 80 chars (40 bytes)`);
+      return { error: `Invalid API Key Private Key length: ${apiKeyPrivateKey.length}, expected 80 chars` };
+    }
+
+    const client = new SignerClient(
+      this.lighterConfig.baseUrl,
+      apiKeyPrivateKey,
+      apiKeyIdx,
+      accountIdx
+    );
+
+    return { client, accountIdx, apiKeyIdx };
+  }
+
+  // Fetch the next nonce from Lighter API (returns null on failure)
+  async fetchNextNonce(accountIdx, apiKeyIdx) {
+    try {
+      const nonceResponse = await axios.get(
+        `${this.lighterConfig.baseUrl}/api/v1/nextNonce?account_index=${accountIdx}&api_key_index=${apiKeyIdx}`,
+        { timeout: 10000 }
+      );
+      const nonce = nonceResponse.data?.nonce ?? nonceResponse.data?.next_nonce ?? nonceResponse.data;
+      console.log(`🔢 Fetched nonce from API: ${nonce} (response: ${JSON.stringify(nonceResponse.data)})`);
+      return nonce;
+    } catch (nonceError) {
+      console.error('❌ Could not fetch nonce from API:', nonceError.message);
+      return null;
+    }
+  }
+
+  // Generate a unique client order index: a counter that only wraps after
+  // CLIENT_ORDER_INDEX_LIMIT orders, skipping indexes of orders we still know about
+  nextClientOrderIndex() {
+    do {
+      this.clientOrderIndex = this.clientOrderIndex + 1 >= CLIENT_ORDER_INDEX_LIMIT ? 1 : this.clientOrderIndex + 1;
+    } while (this.isClientOrderIndexInUse(this.clientOrderIndex));
+
+    // Never rejects - a failed write is logged and the next order persists the sequence
+    this.saveClientOrderIndex();
+    return this.clientOrderIndex;
+  }
+
+  isClientOrderIndexInUse(clientOrderIndex) {
+    if (this.isTrackedOrder(clientOrderIndex)) return true;
+    if (this.paperAccount.openOrders.has(`paper-${clientOrderIndex}`)) return true;
+    return [...this.tradingState.untrackedOrders.values()].some(order => order.clientOrderIndex === clientOrderIndex);
+  }
+
+  async saveClientOrderIndex() {
+    if (!this.db) return;
+
+    try {
+      await this.db.collection('serviceStatus').doc('clientOrderIndex').set({
+        last: this.clientOrderIndex,
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error saving client order index:', error.message);
+    }
+  }
+
+  // Continue the index sequence from the previous run
+  async loadClientOrderIndex() {
+    if (!this.db) return;
+
+    try {
+      const doc = await this.db.collection('serviceStatus').doc('clientOrderIndex').get();
+      const last = doc.exists ? doc.data().last : null;
+      if (Number.isInteger(last) && last >= 0 && last < CLIENT_ORDER_INDEX_LIMIT) {
+        this.clientOrderIndex = last;
+        console.log(`🔢 Client order indexes continue after ${last}`);
+      }
+    } catch (error) {
+      console.error('❌ Error loading client order index:', error.message);
+    }
+  }
+
+  // =========================================================================
+  // ORDER LIFECYCLE - Tracks submitted orders until filled/cancelled/expired
+  // =========================================================================
+  trackOrder(decision, result, tradeId, submittedAt = Date.now()) {
+    // Resting orders are cancelled once they outlive their TTL
+    const resting = result.orderType === 'limit' || result.orderType === 'post_only';
+    this.tradingState.pendingOrders.set(result.clientOrderIndex, {
+      tradeId,
+      decision,
+      symbol: result.symbol,
+      marketIndex: result.marketIndex,
+      orderId: result.orderId,
+      clientOrderIndex: result.clientOrderIndex,
+      orderType: result.orderType,
+      side: result.side,
+      requestedSize: result.size,
+      price: result.price,
+      status: 'open',
+      filledSize: 0,
+      filledQuote: 0,
+      avgFillPrice: null,
+      fees: 0,
+      submittedAt,
+      expiresAt: resting ? submittedAt + this.resolveOrderTtlMs(decision) : null
+    });
+    console.log(`📋 Tracking order ${result.clientOrderIndex} (${this.tradingState.pendingOrders.size} pending)`);
+  }
+
+  startOrderTracker() {
+    // Poll Lighter for fills on submitted orders
+    setInterval(async () => {
+      if (!this.isRunning || this.tradingState.pendingOrders.size === 0) return;
+
+      try {
+        await this.pollPendingOrders();
+      } catch (error) {
+        console.error('❌ Error polling pending orders:', error.message);
+      }
+    }, this.tradingConfig.orderPollIntervalMs);
+
+    console.log(`📋 Started order tracker (${this.tradingConfig.orderPollIntervalMs / 1000}s interval)`);
+  }
+
+  async pollPendingOrders() {
+    const marketIndexes = new Set([...this.tradingState.pendingOrders.values()].map(o => o.marketIndex));
+
+    for (const marketIndex of marketIndexes) {
+      const activeOrders = await this.fetchAccountOrders('active', marketIndex);
+      if (!activeOrders) continue;
+      let inactiveOrders = null;
+
+      for (const pending of [...this.tradingState.pendingOrders.values()]) {
+        if (pending.marketIndex !== marketIndex) continue;
+        const matches = o => Number(o.client_order_index) === pending.clientOrderIndex;
+
+        const activeOrder = activeOrders.find(matches);
+        if (activeOrder) {
+          await this.applyFillProgress(pending, activeOrder);
+          if (pending.expiresAt && Date.now() > pending.expiresAt && !pending.expiring) {
+            console.log(`⌛ Order ${pending.clientOrderIndex} resting past its TTL - cancelling`);
+            pending.expiring = (await this.cancelLighterOrder(marketIndex, activeOrder)).success;
+          }
+          continue;
+        }
+
+        inactiveOrders = inactiveOrders || await this.fetchAccountOrders('inactive', marketIndex);
+        const inactiveOrder = inactiveOrders?.find(matches);
+        if (inactiveOrder) {
+          await this.applyFillProgress(pending, inactiveOrder);
+          const outcome = this.mapLighterOrderStatus(inactiveOrder.status);
+          // Our own TTL cancel reads as an expiry
+          await this.finalizeOrder(pending, pending.expiring && outcome === 'cancelled' ? 'expired' : outcome, inactiveOrder.status);
+        } else if (Date.now() - pending.submittedAt > this.tradingConfig.orderTrackingTimeoutMs) {
+          console.log(`⚠️ Order ${pending.clientOrderIndex} not found on Lighter after ${this.tradingConfig.orderTrackingTimeoutMs / 1000}s`);
+          await this.finalizeOrder(pending, 'unknown', null);
+        }
+      }
+    }
+  }
+
+  // Record any newly filled quantity on a tracked order (Lighter amounts are decimal strings)
+  async applyFillProgress(pending, lighterOrder) {
+    const filledSize = parseFloat(lighterOrder.filled_base_amount || 0);
+    const filledQuote = parseFloat(lighterOrder.filled_quote_amount || 0);
+    const newSize = filledSize - pending.filledSize;
+    if (newSize <= LEDGER_DUST) return;
+
+    const newQuote = filledQuote - pending.filledQuote;
+    const fillPrice = newQuote > 0 ? newQuote / newSize : pending.price;
+    const fee = this.estimateFee(newSize * fillPrice, pending.orderType);
+
+    pending.filledSize = filledSize;
+    pending.filledQuote = filledQuote > 0 ? filledQuote : pending.filledQuote + newSize * fillPrice;
+    pending.avgFillPrice = pending.filledQuote / pending.filledSize;
+    pending.fees += fee;
+    pending.status = 'partially_filled';
+
+    console.log(`📋 Order ${pending.clientOrderIndex} filled ${filledSize.toFixed(6)}/${pending.requestedSize.toFixed(6)} ${pending.symbol} @ $${pending.avgFillPrice.toFixed(2)}`);
+
+    await this.recordFill({
+      symbol: pending.symbol,
+      side: pending.side,
+      size: newSize,
+      price: fillPrice,
+      fee,
+      tradeId: pending.tradeId,
+      agentId: pending.decision?.agentId || DEFAULT_DECISION_AGENT
+    });
+
+    // TWAP slices report into their parent's progress
+    if (pending.twapId) {
+      await this.syncTwapChild(pending);
+      return;
+    }
+
+    await this.updateTradeLog(pending.tradeId, {
+      'result.orderStatus': 'partially_filled',
+      'result.filledSize': pending.filledSize,
+      'result.avgFillPrice': pending.avgFillPrice,
+      'result.fees': pending.fees
+    });
+  }
+
+  // Map Lighter order status strings to filled / cancelled / expired / unknown
+  mapLighterOrderStatus(status) {
+    if (status === 'filled') return 'filled';
+    if (status?.includes('expired')) return 'expired';
+    if (status?.startsWith('canceled')) return 'cancelled';
+    return 'unknown';
+  }
+
+  // Settle a tracked order: count it, update its trades document and attach brackets
+  async finalizeOrder(pending, outcome, lighterStatus) {
+    this.tradingState.pendingOrders.delete(pending.clientOrderIndex);
+
+    if (pending.twapId) {
+      await this.syncTwapChild(pending, outcome);
+      return;
+    }
+
+    const hasFill = pending.filledSize > LEDGER_DUST;
+    const orderStatus = outcome === 'filled' ? 'filled' : (hasFill ? 'partially_filled' : outcome);
+
+    // Only orders that actually traded count toward the daily limit
+    if (hasFill) {
+      this.tradingState.dailyTradeCount++;
+      this.getAgentStats(pending.decision?.agentId).dailyTradeCount++;
+      await this.persistTradingState();
+    }
+
+    console.log(`📋 Order ${pending.clientOrderIndex} final: ${orderStatus} (${pending.filledSize.toFixed(6)} ${pending.symbol}, fees $${pending.fees.toFixed(4)})`);
+
+    await this.updateTradeLog(pending.tradeId, {
+      status: orderStatus === 'filled' ? 'executed' : orderStatus,
+      'result.success': hasFill,
+      'result.orderStatus': orderStatus,
+      'result.lighterStatus': lighterStatus,
+      'result.filledSize': pending.filledSize,
+      'result.avgFillPrice': pending.avgFillPrice,
+      'result.fees': pending.fees,
+      'result.finalizedAt': new Date().toISOString(),
+      'tradingState.dailyTradeCount': this.tradingState.dailyTradeCount
+    });
+
+    if (hasFill) {
+      await this.protectFill(pending);
+    }
+  }
+
+  // Protect a filled entry with the SL/TP brackets and trailing stop its decision asked for
+  async protectFill(order) {
+    const { decision } = order;
+    const market = this.getMarket(order.symbol);
+    if (market && (decision.stopLoss != null || decision.takeProfit != null)) {
+      await this.placeBracketOrders(decision, {
+        ...order,
+        size: order.filledSize,
+        price: order.avgFillPrice,
+        baseAmount: this.toBaseAmount(market, order.filledSize)
+      }, order.tradeId);
+    }
+
+    if (decision.trailingStop != null) {
+      await this.attachTrailingStop(decision.trailingStop, {
+        tradeId: order.tradeId,
+        symbol: order.symbol,
+        side: order.side,
+        size: order.filledSize,
+        price: order.avgFillPrice
+      });
+    }
+  }
+
+  // =========================================================================
+  // ORDER MANAGEMENT - Cancels, resting-order expiry and open-order reconciliation
+  // =========================================================================
+
+  // TTL for a resting order: the decision's ttlMs, else ORDER_TTL_MS
+  resolveOrderTtlMs(decision) {
+    const ttlMs = Number(decision?.ttlMs);
+    return ttlMs > 0 ? ttlMs : this.tradingConfig.orderTtlMs;
+  }
+
+  // Cancel for a CANCEL decision or the cancelOrders control command:
+  // { clientOrderIndex } one order, { symbol } every order on that market, {} every order.
+  // SL/TP trigger orders are left in place unless includeBrackets is set.
+  async cancelOrders({ symbol, clientOrderIndex, includeBrackets = false } = {}) {
+    if (this.isPaperTrading()) {
+      return this.cancelPaperOrders({ symbol, clientOrderIndex, includeBrackets });
+    }
+    if (!this.tradingConfig.enabled) {
+      console.log('⚠️ Trading disabled - would have cancelled orders');
+      return { success: true, simulated: true };
+    }
+
+    if (clientOrderIndex !== undefined && clientOrderIndex !== null) {
+      const index = Number(clientOrderIndex);
+      const marketIndex = this.tradingState.pendingOrders.get(index)?.marketIndex ?? this.getMarket(symbol)?.marketIndex;
+      if (marketIndex === undefined) {
+        return { success: false, error: `Order ${clientOrderIndex} is not tracked - cancel needs its symbol` };
+      }
+      const result = await this.cancelOrderByClientIndex(marketIndex, index);
+      return { ...result, cancelled: result.success ? 1 : 0 };
+    }
+
+    if (symbol) {
+      const market = this.getMarket(symbol);
+      if (!market) {
+        return { success: false, error: `${symbol} not available on Lighter (${this.lighterConfig.baseUrl})` };
+      }
+      return this.cancelMarketOrders(market.marketIndex, { includeTriggers: includeBrackets });
+    }
+
+    if (includeBrackets) {
+      return this.cancelAllOrders();
+    }
+
+    const totals = { success: true, cancelled: 0, failed: 0, skippedTriggers: 0 };
+    for (const marketIndex of this.getWatchedMarketIndexes()) {
+      const result = await this.cancelMarketOrders(marketIndex);
+      totals.success = totals.success && result.success;
+      totals.cancelled += result.cancelled || 0;
+      totals.failed += result.failed || 0;
+      totals.skippedTriggers += result.skippedTriggers || 0;
+      totals.error = totals.error || result.error;
+    }
+    return totals;
+  }
+
+  // Cancel every resting order on one market, one cancel transaction per order
+  async cancelMarketOrders(marketIndex, { includeTriggers = false } = {}) {
+    const activeOrders = await this.fetchAccountOrders('active', marketIndex);
+    if (!activeOrders) {
+      return { success: false, error: `Could not fetch active orders for market ${marketIndex}` };
+    }
+
+    const targets = activeOrders.filter(o => includeTriggers || !this.isTriggerOrder(o));
+    const errors = [];
+    for (const order of targets) {
+      const result = await this.cancelLighterOrder(marketIndex, order);
+      if (!result.success) errors.push(result.error);
+    }
+
+    return {
+      success: errors.length === 0,
+      cancelled: targets.length - errors.length,
+      failed: errors.length,
+      skippedTriggers: activeOrders.length - targets.length,
+      error: errors[0]
+    };
+  }
+
+  // Cancel every resting order on the account (including SL/TP triggers) in one transaction
+  async cancelAllOrders() {
+    try {
+      const signer = this.createSignerClient();
+      if (signer.error) {
+        return { success: false, error: signer.error };
+      }
+      const { client, accountIdx, apiKeyIdx } = signer;
+
+      const [, , err] = await this.nonceManager.withNonce(accountIdx, apiKeyIdx, async (nonce) => {
+        await this.rateLimiter.throttle();
+        return client.cancel_all_orders(LIGHTER_CANCEL_ALL_IMMEDIATE, 0, nonce, apiKeyIdx);
+      });
+      if (err) {
+        console.error('❌ Cancel all orders failed:', err);
+        return { success: false, error: String(err) };
+      }
+
+      console.log('🗑️ Cancelled all open orders');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Cancel all orders error:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Stop-loss / take-profit trigger orders (ours or left from a previous run)
+  isTriggerOrder(order) {
+    return /stop|take/i.test(String(order.type || '')) || parseFloat(order.trigger_price || 0) > 0;
+  }
+
+  // One-line outcome of a cancel for logs
+  describeCancel(result) {
+    if (result.simulated) return 'Trading disabled - nothing cancelled';
+    const counts = result.cancelled !== undefined
+      ? `${result.cancelled} cancelled${result.failed ? `, ${result.failed} failed` : ''}${result.skippedTriggers ? `, ${result.skippedTriggers} SL/TP kept` : ''}`
+      : (result.success ? 'all orders cancelled' : 'nothing cancelled');
+    return result.error ? `${result.error} (${counts})` : counts;
+  }
+
+  // Markets to check for open orders: allowed symbols plus anywhere we hold or track something
+  getWatchedMarketIndexes() {
+    const indexes = new Set(this.tradingConfig.allowedSymbols.map(symbol => this.getMarket(symbol)?.marketIndex));
+    for (const symbol of this.tradingState.positions.keys()) indexes.add(this.getMarket(symbol)?.marketIndex);
+    for (const order of this.tradingState.pendingOrders.values()) indexes.add(order.marketIndex);
+    for (const bracket of this.tradingState.brackets.values()) indexes.add(bracket.marketIndex);
+    for (const order of this.tradingState.untrackedOrders.values()) indexes.add(order.marketIndex);
+    indexes.delete(undefined);
+    return [...indexes];
+  }
+
+  isTrackedOrder(clientOrderIndex) {
+    if (this.tradingState.pendingOrders.has(clientOrderIndex)) return true;
+    return [...this.tradingState.brackets.values()].some(bracket =>
+      ['stopLoss', 'takeProfit'].some(kind => bracket[kind]?.clientOrderIndex === clientOrderIndex));
+  }
+
+  startOrderReconciler() {
+    // Catch orders placed outside this process (or before a crash) and expire them
+    setInterval(async () => {
+      if (!this.isRunning) return;
+
+      try {
+        await this.reconcileOpenOrders();
+      } catch (error) {
+        console.error('❌ Error reconciling open orders:', error.message);
+      }
+    }, this.tradingConfig.orderReconcileIntervalMs);
+
+    console.log(`🧾 Started open-order reconciliation (${this.tradingConfig.orderReconcileIntervalMs / 1000}s interval)`);
+  }
+
+  // Compare Lighter's open orders with what we track. Orders from a previous run are
+  // re-attached to their 'trades' document; anything else is recorded as untracked and
+  // cancelled after ORDER_TTL_MS (SL/TP triggers are kept - they protect positions).
+  async reconcileOpenOrders() {
+    if (!this.lighterConfig.apiKeyPrivateKey || this.marketRegistry.size === 0) return;
+
+    const now = Date.now();
+    const previous = this.tradingState.untrackedOrders;
+    const untracked = new Map();
+    const snapshot = [];
+
+    for (const marketIndex of this.getWatchedMarketIndexes()) {
+      const activeOrders = await this.fetchAccountOrders('active', marketIndex);
+      if (!activeOrders) {
+        // Keep what we knew about a market we couldn't read
+        for (const [orderIndex, entry] of previous) {
+          if (entry.marketIndex === marketIndex) untracked.set(orderIndex, entry);
+        }
+        continue;
+      }
+
+      const symbol = [...this.marketRegistry.values()].find(m => m.marketIndex === marketIndex)?.symbol || null;
+      for (const order of activeOrders) {
+        const clientOrderIndex = Number(order.client_order_index);
+        const orderIndex = String(order.order_index);
+
+        let tracked = this.isTrackedOrder(clientOrderIndex);
+        if (!tracked && !previous.has(orderIndex)) {
+          tracked = await this.recoverOrder(order, symbol, marketIndex);
+        }
+
+        const entry = previous.get(orderIndex) || {
+          orderIndex,
+          clientOrderIndex,
+          symbol,
+          marketIndex,
+          side: order.is_ask ? 'sell' : 'buy',
+          price: parseFloat(order.price),
+          type: order.type || null,
+          trigger: this.isTriggerOrder(order),
+          firstSeenAt: now
+        };
+        entry.remaining = parseFloat(order.remaining_base_amount);
+
+        if (!tracked) {
+          if (!previous.has(orderIndex)) {
+            console.log(`⚠️ Untracked ${symbol} ${entry.type || 'order'} ${orderIndex}: ${entry.side} ${entry.remaining} @ $${entry.price}`);
+          }
+          if (!entry.trigger && now - entry.firstSeenAt > this.tradingConfig.orderTtlMs) {
+            console.log(`⌛ Untracked order ${orderIndex} resting past ORDER_TTL_MS - cancelling`);
+            if ((await this.cancelLighterOrder(marketIndex, order)).success) continue;
+          }
+          untracked.set(orderIndex, entry);
+        }
+
+        snapshot.push({ ...entry, tracked });
+      }
+    }
+
+    this.tradingState.untrackedOrders = untracked;
+    await this.saveOpenOrders(snapshot);
+    if (untracked.size > 0) {
+      console.log(`🧾 Open orders: ${snapshot.length} on Lighter, ${untracked.size} untracked`);
+    }
+  }
+
+  // Re-track an order from a previous run using its 'trades' entry (matched on clientOrderIndex)
+  async recoverOrder(order, symbol, marketIndex) {
+    if (!this.db) return false;
+
+    const clientOrderIndex = Number(order.client_order_index);
+    try {
+      const snapshot = await this.db.collection('trades')
+        .where('result.clientOrderIndex', '==', clientOrderIndex)
+        .get();
+
+      // Client order indexes wrap, so take the newest still-open entry on this market
+      const doc = snapshot.docs
+        .filter(d => ['submitted', 'partially_filled'].includes(d.data().status) && d.data().decision?.symbol === symbol)
+        .sort((a, b) => (b.data().timestamp || 0) - (a.data().timestamp || 0))[0];
+      if (!doc) return false;
+
+      const data = doc.data();
+      const decision = {
+        ...data.decision,
+        stopLoss: data.plannedTrade?.stopLoss ?? null,
+        takeProfit: data.plannedTrade?.takeProfit ?? null,
+        trailingStop: data.plannedTrade?.trailingStop ?? null,
+        ttlMs: data.plannedTrade?.ttlMs ?? null
+      };
+      this.trackOrder(decision, { ...data.result, clientOrderIndex, symbol, marketIndex }, doc.id, data.timestamp || Date.now());
+
+      // Fills recorded before the restart are already in the ledger
+      const pending = this.tradingState.pendingOrders.get(clientOrderIndex);
+      pending.filledSize = data.result.filledSize || 0;
+      pending.filledQuote = pending.filledSize * (data.result.avgFillPrice || 0);
+      pending.avgFillPrice = data.result.avgFillPrice ?? null;
+      pending.fees = data.result.fees || 0;
+
+      console.log(`♻️ Recovered ${symbol} order ${clientOrderIndex} from a previous run (trade ${doc.id})`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error recovering order ${clientOrderIndex}:`, error.message);
+      return false;
+    }
+  }
+
+  async saveOpenOrders(orders) {
+    if (!this.db) return;
+
+    try {
+      await this.db.collection('openOrders').doc('current').set({
+        orders,
+        untracked: orders.filter(o => !o.tracked).length,
+        lastUpdate: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error saving open orders:', error.message);
+    }
+  }
+
+  // =========================================================================
+  // BRACKET ORDERS - Reduce-only stop-loss / take-profit for executed trades
+  // =========================================================================
+
+  // Resolve a stopLoss/takeProfit spec into an absolute trigger price.
+  // Accepts an absolute price (95000) or a percent string ('2%') relative to entry.
+  resolveBracketPrice(spec, entryPrice, isLong, kind) {
+    let price;
+    if (typeof spec === 'string' && spec.trim().endsWith('%')) {
+      const percent = parseFloat(spec);
+      if (!Number.isFinite(percent) || percent <= 0) {
+        return { error: `Invalid ${kind} percent: ${spec}` };
+      }
+      // Stops sit against the position, targets in its favour
+      const favourable = kind === 'takeProfit';
+      const direction = (isLong === favourable) ? 1 : -1;
+      price = entryPrice * (1 + direction * percent / 100);
+    } else {
+      price = parseFloat(spec);
+      if (!Number.isFinite(price) || price <= 0) {
+        return { error: `Invalid ${kind} price: ${spec}` };
+      }
+    }
+
+    // Guard against brackets on the wrong side of entry (would trigger immediately)
+    const belowEntry = price < entryPrice;
+    const shouldBeBelow = (kind === 'stopLoss') === isLong;
+    if (belowEntry !== shouldBeBelow) {
+      return { error: `${kind} ${price.toFixed(2)} is on the wrong side of entry ${entryPrice.toFixed(2)}` };
+    }
+
+    return { price };
+  }
+
+  // Place the requested SL/TP legs for a parent order and link them in the trades log
+  async placeBracketOrders(decision, parent, tradeId) {
+    const isLong = parent.side === 'buy';
+    const bracket = {
+      tradeId,
+      symbol: decision.symbol,
+      marketIndex: parent.marketIndex,
+      parentOrderId: parent.orderId,
+      parentClientOrderIndex: parent.clientOrderIndex,
+      side: parent.side,
+      size: parent.size,
+      entryPrice: parent.price,
+      status: 'active',
+      createdAt: new Date().toISOString(),
+      closedAt: null
+    };
+
+    for (const kind of ['stopLoss', 'takeProfit']) {
+      const spec = decision[kind];
+      if (spec === undefined || spec === null) continue;
+
+      const trigger = this.resolveBracketPrice(spec, parent.price, isLong, kind);
+      if (trigger.error) {
+        console.log(`⚠️ Skipping ${kind}: ${trigger.error}`);
+        bracket[kind] = { status: 'invalid', error: trigger.error };
+        continue;
+      }
+
+      bracket[kind] = await this.submitTriggerOrder(parent, kind, trigger.price);
+    }
+
+    const hasOpenLeg = ['stopLoss', 'takeProfit'].some(kind => bracket[kind]?.status === 'open');
+    if (hasOpenLeg) {
+      this.tradingState.brackets.set(parent.clientOrderIndex, bracket);
+      await this.saveBracket(bracket);
+    } else {
+      bracket.status = 'failed';
+    }
+
+    await this.updateTradeLog(tradeId, { brackets: bracket });
+    return bracket;
+  }
+
+  async saveBracket(bracket) {
+    if (!this.db || !bracket.tradeId) return;
+
+    try {
+      await this.db.collection('brackets').doc(bracket.tradeId).set(bracket);
+    } catch (error) {
+      console.error('❌ Error saving bracket:', error.message);
+    }
+  }
+
+  // Resume watching brackets with a leg still on the book after a restart, so one
+  // filling still cancels the other
+  async loadBrackets() {
+    if (!this.db) return;
+
+    try {
+      const snapshot = await this.db.collection('brackets').where('closedAt', '==', null).get();
+      snapshot.forEach(doc => {
+        const bracket = doc.data();
+        this.tradingState.brackets.set(bracket.parentClientOrderIndex, bracket);
+      });
+      if (snapshot.size > 0) {
+        console.log(`🎯 Restored ${snapshot.size} brackets`);
+      }
+    } catch (error) {
+      console.error('❌ Error loading brackets:', error.message);
+    }
+  }
+
+  // Submit a reduce-only stop-loss or take-profit trigger order closing the parent
+  async submitTriggerOrder(parent, kind, triggerPrice) {
+    const leg = { triggerPrice, status: 'failed' };
+
+    try {
+      const signer = this.createSignerClient();
+      if (signer.error) {
+        leg.error = signer.error;
+        return leg;
+      }
+      const { client, accountIdx, apiKeyIdx } = signer;
+
+      const market = this.getMarket(parent.symbol);
+      if (!market) {
+        leg.error = `${parent.symbol} missing from market registry`;
+        return leg;
+      }
+
+      const params = this.buildTriggerOrderParams(market, parent, kind, triggerPrice, this.nextClientOrderIndex());
+      const { clientOrderIndex } = params;
+      const worstPrice = this.triggerWorstPrice(parent.side, triggerPrice);
+
+      console.log(`🎯 Placing ${kind}: trigger $${triggerPrice.toFixed(2)}, worst $${worstPrice.toFixed(2)}, clientOrderIndex ${clientOrderIndex}`);
+
+      const [order, , err] = await this.nonceManager.withNonce(accountIdx, apiKeyIdx, async (nonce) => {
+        await this.rateLimiter.throttle();
+        return this.sendOrder(client, params, nonce);
+      });
+
+      if (err) {
+        console.error(`❌ ${kind} order error:`, err);
+        leg.error = String(err);
+        return leg;
+      }
+
+      console.log(`✅ ${kind} placed:`, JSON.stringify(order));
+      return {
+        ...leg,
+        status: 'open',
+        clientOrderIndex,
+        orderId: order?.order_id || clientOrderIndex,
+        worstPrice
+      };
+    } catch (error) {
+      console.error(`❌ ${kind} order failed:`, error.message);
+      leg.error = error.message;
+      return leg;
+    }
+  }
+
+  startBracketMonitor() {
+    // Poll Lighter for bracket legs that left the book, then cancel their siblings
+    setInterval(async () => {
+      if (!this.isRunning || this.tradingState.brackets.size === 0) return;
+
+      try {
+        await this.checkBrackets();
+      } catch (error) {
+        console.error('❌ Error checking brackets:', error.message);
+      }
+    }, this.tradingConfig.bracketCheckIntervalMs);
+
+    console.log(`🎯 Started bracket monitor (${this.tradingConfig.bracketCheckIntervalMs / 1000}s interval)`);
+  }
+
+  async checkBrackets() {
+    const marketIndexes = new Set([...this.tradingState.brackets.values()].map(b => b.marketIndex));
+
+    for (const marketIndex of marketIndexes) {
+      const activeOrders = await this.fetchAccountOrders('active', marketIndex);
+      if (!activeOrders) continue;
+      const activeIndexes = new Set(activeOrders.map(o => Number(o.client_order_index)));
+
+      for (const [parentIndex, bracket] of this.tradingState.brackets) {
+        if (bracket.marketIndex !== marketIndex) continue;
+
+        let changed = false;
+        const liveLegs = ['stopLoss', 'takeProfit'].filter(kind => ['open', 'cancel_failed'].includes(bracket[kind]?.status));
+        for (const kind of liveLegs) {
+          const leg = bracket[kind];
+
+          // Still resting. A sibling whose cancel failed is retried - otherwise both legs could execute
+          if (activeIndexes.has(leg.clientOrderIndex)) {
+            if (leg.status === 'cancel_failed') {
+              await this.cancelBracketLeg(marketIndex, bracket, kind);
+              changed = true;
+            }
+            continue;
+          }
+
+          // Off the book: only an explicit 'filled' is a fill. Unknown legs stay as they are
+          // and are looked up again next tick.
+          const order = await this.lookupInactiveOrder(marketIndex, leg.clientOrderIndex);
+          if (!order) continue;
+          leg.finalStatus = order.status;
+          changed = true;
+
+          if (order.status === 'filled') {
+            if (leg.status === 'cancel_failed') {
+              console.log(`⚠️ ${bracket.symbol} ${kind} filled after its cancel failed - both bracket legs executed`);
+            }
+            leg.status = 'filled';
+            bracket.status = `${kind}_filled`;
+            await this.recordBracketFill(bracket, kind, order);
+
+            const sibling = kind === 'stopLoss' ? 'takeProfit' : 'stopLoss';
+            if (bracket[sibling]?.status === 'open') {
+              console.log(`🎯 ${bracket.symbol} ${kind} filled - cancelling ${sibling}`);
+              await this.cancelBracketLeg(marketIndex, bracket, sibling);
+            }
+            break;
+          } else if (String(order.status).startsWith('canceled')) {
+            leg.status = 'cancelled';
+          }
+        }
+
+        // Done once no leg can still execute
+        const pending = ['stopLoss', 'takeProfit'].some(kind => ['open', 'cancel_failed'].includes(bracket[kind]?.status));
+        if (!pending) {
+          if (bracket.status === 'active') bracket.status = 'cancelled';
+          this.tradingState.brackets.delete(parentIndex);
+          bracket.closedAt = new Date().toISOString();
+          changed = true;
+        }
+        if (changed) {
+          await this.saveBracket(bracket);
+          await this.updateTradeLog(bracket.tradeId, { brackets: bracket });
+        }
+      }
+    }
+  }
+
+  async cancelBracketLeg(marketIndex, bracket, kind) {
+    const cancel = await this.cancelOrderByClientIndex(marketIndex, bracket[kind].clientOrderIndex);
+    bracket[kind].status = cancel.success ? 'cancelled' : 'cancel_failed';
+    bracket[kind].error = cancel.success ? null : cancel.error;
+    if (!cancel.success) {
+      console.log(`⚠️ ${bracket.symbol} ${kind} cancel failed (retrying next check): ${cancel.error}`);
+    }
+  }
+
+  // Book a bracket leg's fill at the size and average price Lighter reports for it
+  async recordBracketFill(bracket, kind, order) {
+    const size = parseFloat(order.filled_base_amount || 0) || bracket.size;
+    const quote = parseFloat(order.filled_quote_amount || 0);
+    const price = quote > 0 ? quote / size : bracket[kind].triggerPrice;
+    bracket[kind].filledSize = size;
+    bracket[kind].avgFillPrice = price;
+
+    await this.recordFill({
+      symbol: bracket.symbol,
+      side: bracket.side === 'buy' ? 'sell' : 'buy',
+      size,
+      price,
+      fee: this.estimateFee(size * price, 'market'),
+      source: kind
+    });
+  }
+
+  // An order that is no longer active, from the latest page of inactive orders (null if not found)
+  async lookupInactiveOrder(marketIndex, clientOrderIndex) {
+    const inactiveOrders = await this.fetchAccountOrders('inactive', marketIndex);
+    return inactiveOrders?.find(o => Number(o.client_order_index) === clientOrderIndex) || null;
+  }
+
+  // Cancel a resting order by the client order index we assigned at submission
+  async cancelOrderByClientIndex(marketIndex, clientOrderIndex) {
+    const activeOrders = await this.fetchAccountOrders('active', marketIndex);
+    const order = activeOrders?.find(o => Number(o.client_order_index) === clientOrderIndex);
+    if (!order) {
+      return { success: false, error: `Order ${clientOrderIndex} not found in active orders` };
+    }
+    return this.cancelLighterOrder(marketIndex, order);
+  }
+
+  // Cancel one order as returned by accountActiveOrders
+  async cancelLighterOrder(marketIndex, order) {
+    const clientOrderIndex = Number(order.client_order_index);
+
+    try {
+      const signer = this.createSignerClient();
+      if (signer.error) {
+        return { success: false, error: signer.error };
+      }
+      const { client, accountIdx, apiKeyIdx } = signer;
+
+      const [, , err] = await this.nonceManager.withNonce(accountIdx, apiKeyIdx, async (nonce) => {
+        await this.rateLimiter.throttle();
+        return client.cancel_order(marketIndex, Number(order.order_index), nonce, apiKeyIdx);
+      });
+      if (err) {
+        console.error(`❌ Cancel failed for order ${clientOrderIndex}:`, err);
+        return { success: false, error: String(err) };
+      }
+
+      console.log(`🗑️ Cancelled order ${clientOrderIndex} (order_index ${order.order_index})`);
+      return { success: true, orderIndex: order.order_index };
+    } catch (error) {
+      console.error(`❌ Cancel error for order ${clientOrderIndex}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Fetch active or inactive orders for our account on one market (null on failure)
+  async fetchAccountOrders(kind, marketIndex) {
+    try {
+      const auth = await this.getSignerAuthToken();
+      if (!auth) return null;
+
+      const endpoint = kind === 'active' ? 'accountActiveOrders' : 'accountInactiveOrders';
+      const limit = kind === 'active' ? '' : '&limit=100';
+
+      await this.rateLimiter.throttle();
+      const response = await axios.get(
+        `${this.lighterConfig.baseUrl}/api/v1/${endpoint}?account_index=${this.lighterConfig.accountIndex}&market_id=${marketIndex}${limit}&auth=${encodeURIComponent(auth)}`,
+        { headers: { 'Content-Type': 'application/json' }, timeout: 10000 }
+      );
+
+      return response.data?.orders || [];
+    } catch (error) {
+      console.log(`⚠️ Lighter ${kind} orders fetch failed:`, error.message);
+      return null;
+    }
+  }
+
+  // Auth token for account-scoped read endpoints, signed by the API key (cached ~9 min)
+  async getSignerAuthToken() {
+    if (this.signerAuthToken && this.signerAuthToken.expiresAt > Date.now()) {
+      return this.signerAuthToken.token;
+    }
+
+    const signer = this.createSignerClient();
+    if (signer.error || typeof signer.client.create_auth_token_with_expiry !== 'function') {
+      console.log('⚠️ Cannot create Lighter auth token:', signer.error || 'SDK missing create_auth_token_with_expiry');
+      return null;
+    }
+
+    const [token, err] = await signer.client.create_auth_token_with_expiry();
+    if (err) {
+      console.error('❌ Lighter auth token error:', err);
+      return null;
+    }
+
+    // SDK tokens last 10 minutes - refresh a minute early
+    this.signerAuthToken = { token, expiresAt: Date.now() + 9 * 60 * 1000 };
+    return token;
+  }
+
+  // Merge fields into an existing trades (or paperTrades) document
+  async updateTradeLog(tradeId, fields, collection = 'trades') {
+    if (!this.db || !tradeId) return;
+
+    try {
+      await this.db.collection(collection).doc(tradeId).update({
+        ...fields,
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error updating trade log:', error.message);
+    }
+  }
+
+  // =========================================================================
+  // TRAILING STOPS - Service-managed, ratcheted on Lighter's mark price
+  // =========================================================================
+
+  // Parse a trailingStop spec: '2%' of price, or '3ATR' (a multiple of ATR at entry)
+  parseTrailingStop(spec) {
+    const text = String(spec).trim();
+    const percentMatch = text.match(/^(\d+(?:\.\d+)?)\s*%$/);
+    if (percentMatch) {
+      const percent = parseFloat(percentMatch[1]);
+      if (percent > 0 && percent < 100) return { mode: 'percent', percent };
+    }
+    const atrMatch = text.match(/^(\d+(?:\.\d+)?)\s*x?\s*atr$/i);
+    if (atrMatch) {
+      const atrMultiple = parseFloat(atrMatch[1]);
+      if (atrMultiple > 0) return { mode: 'atr', atrMultiple };
+    }
+    return { error: `Invalid trailingStop: ${spec} (expected a percent like '2%' or an ATR multiple like '3ATR')` };
+  }
+
+  // Start trailing a filled entry. Paper trails live on the paper account.
+  async attachTrailingStop(spec, fill, paper = false) {
+    const collection = paper ? 'paperTrades' : 'trades';
+    const parsed = this.parseTrailingStop(spec);
+
+    let distance = null;
+    if (parsed.mode === 'atr') {
+      const atr = await this.getATR(fill.symbol);
+      if (!(atr > 0)) {
+        parsed.error = `No ATR available for ${fill.symbol} - trailing stop not placed`;
+      } else {
+        distance = parsed.atrMultiple * atr;
+      }
+    }
+    if (parsed.error) {
+      console.log(`⚠️ ${parsed.error}`);
+      await this.updateTradeLog(fill.tradeId, { trailingStop: { status: 'invalid', error: parsed.error } }, collection);
+      return null;
+    }
+
+    const isLong = fill.side === 'buy';
+    const trail = {
+      tradeId: fill.tradeId,
+      symbol: fill.symbol,
+      side: fill.side,
+      size: fill.size,
+      entryPrice: fill.price,
+      mode: parsed.mode,
+      percent: parsed.percent ?? null,
+      atrMultiple: parsed.atrMultiple ?? null,
+      distance,
+      peakPrice: fill.price,
+      stopPrice: fill.price,
+      status: 'active',
+      createdAt: new Date().toISOString()
+    };
+    const initialDistance = trail.mode === 'percent' ? fill.price * trail.percent / 100 : distance;
+    trail.stopPrice = isLong ? fill.price - initialDistance : fill.price + initialDistance;
+
+    console.log(`🪜 ${fill.symbol} trailing stop ${spec} from $${fill.price.toFixed(2)}: stop $${trail.stopPrice.toFixed(2)}`);
+
+    if (paper) {
+      this.paperAccount.trailingStops.set(trail.tradeId, trail);
+    } else {
+      this.tradingState.trailingStops.set(trail.tradeId, trail);
+      await this.saveTrailingStop(trail);
+    }
+    await this.updateTradeLog(trail.tradeId, { trailingStop: trail }, collection);
+    return trail;
+  }
+
+  // Move the stop with a new best price (never back). Returns true if the stop moved.
+  ratchetTrailingStop(trail, price) {
+    const isLong = trail.side === 'buy';
+    if (!(isLong ? price > trail.peakPrice : price < trail.peakPrice)) return false;
+
+    trail.peakPrice = price;
+    const distance = trail.mode === 'percent' ? price * trail.percent / 100 : trail.distance;
+    const stopPrice = isLong ? price - distance : price + distance;
+    if (!(isLong ? stopPrice > trail.stopPrice : stopPrice < trail.stopPrice)) return false;
+
+    trail.stopPrice = stopPrice;
+    trail.updatedAt = new Date().toISOString();
+    return true;
+  }
+
+  isTrailingStopHit(trail, price) {
+    return trail.side === 'buy' ? price <= trail.stopPrice : price >= trail.stopPrice;
+  }
+
+  startTrailingStopMonitor() {
+    // Ratchet on Lighter's mark price; close reduce-only when the stop is crossed
+    setInterval(async () => {
+      if (!this.isRunning || this.tradingState.trailingStops.size === 0) return;
+
+      try {
+        await this.checkTrailingStops();
+      } catch (error) {
+        console.error('❌ Error checking trailing stops:', error.message);
+      }
+    }, this.tradingConfig.trailingStopIntervalMs);
+
+    console.log(`🪜 Started trailing stop monitor (${this.tradingConfig.trailingStopIntervalMs / 1000}s interval)`);
+  }
+
+  async checkTrailingStops() {
+    const accountData = await this.getLighterAccount();
+    if (!accountData) return;
+    const positions = this.parseLighterPositions(accountData);
+
+    for (const trail of [...this.tradingState.trailingStops.values()]) {
+      const isLong = trail.side === 'buy';
+      const position = positions.get(trail.symbol);
+      const held = position && Math.sign(position.quantity) === (isLong ? 1 : -1) ? Math.abs(position.quantity) : 0;
+
+      // Position closed elsewhere (bracket, flatten, manual) - nothing left to trail
+      if (held <= LEDGER_DUST) {
+        await this.finishTrailingStop(trail, 'cancelled');
+        continue;
+      }
+
+      const markPrice = position.markPrice;
+      if (this.isTrailingStopHit(trail, markPrice)) {
+        console.log(`🎯 ${trail.symbol} trailing stop hit: mark $${markPrice.toFixed(2)}, stop $${trail.stopPrice.toFixed(2)}`);
+        const quantity = (isLong ? 1 : -1) * Math.min(trail.size, held);
+        const result = await this.closePosition(trail.symbol, quantity, markPrice, `Trailing stop hit at $${markPrice.toFixed(2)}`);
+        if (result.success) {
+          await this.finishTrailingStop(trail, 'triggered', { triggerPrice: markPrice, closeClientOrderIndex: result.clientOrderIndex });
+        } else {
+          // Stays active and retries on the next check
+          trail.lastError = String(result.error);
+          await this.saveTrailingStop(trail);
+        }
+      } else if (this.ratchetTrailingStop(trail, markPrice)) {
+        console.log(`🪜 ${trail.symbol} trailing stop raised to $${trail.stopPrice.toFixed(2)} (peak $${markPrice.toFixed(2)})`);
+        await this.saveTrailingStop(trail);
+      }
+    }
+  }
+
+  async finishTrailingStop(trail, status, fields = {}, paper = false) {
+    Object.assign(trail, fields, { status, closedAt: new Date().toISOString() });
+
+    if (paper) {
+      this.paperAccount.trailingStops.delete(trail.tradeId);
+    } else {
+      this.tradingState.trailingStops.delete(trail.tradeId);
+      await this.saveTrailingStop(trail);
+    }
+    await this.updateTradeLog(trail.tradeId, { trailingStop: trail }, paper ? 'paperTrades' : 'trades');
+  }
+
+  async saveTrailingStop(trail) {
+    if (!this.db || !trail.tradeId) return;
+
+    try {
+      await this.db.collection('trailingStops').doc(trail.tradeId).set(trail);
+    } catch (error) {
+      console.error('❌ Error saving trailing stop:', error.message);
+    }
+  }
+
+  // Resume active trails after a restart
+  async loadTrailingStops() {
+    if (!this.db) return;
+
+    try {
+      const snapshot = await this.db.collection('trailingStops').where('status', '==', 'active').get();
+      snapshot.forEach(doc => this.tradingState.trailingStops.set(doc.id, doc.data()));
+      if (snapshot.size > 0) {
+        console.log(`🪜 Restored ${snapshot.size} trailing stops`);
+      }
+    } catch (error) {
+      console.error('❌ Error loading trailing stops:', error.message);
+    }
+  }
+
+  // =========================================================================
+  // DECISION OUTCOMES - Price moves and PnL after each decision, written to
+  // agentDecisions/{agentId}/outcomes as a reward signal for the agent
+  // =========================================================================
+
+  // Start measuring a processed decision. heldQuantity is the position before it was
+  // processed, which gives CLOSE/REDUCE/FLIP their direction.
+  async recordDecisionOutcome(decision, result, heldQuantity = this.getLedgerQuantity(decision.symbol)) {
+    if (!this.db || this.tradingConfig.outcomeHorizons.length === 0) return;
+    if (!OUTCOME_ACTIONS.includes(decision.action) || typeof decision.symbol !== 'string') return;
+
+    try {
+      const decisionTime = this.parseDecisionTime(decision.timestamp) ?? Date.now();
+      const { price: referencePrice, source: referenceSource, error } = await this.getOutcomePrice(decision.symbol);
+      const live = result.status === 'submitted';
+
+      const outcome = {
+        decisionId: decision.decisionId,
+        agentId: decision.agentId || DEFAULT_DECISION_AGENT,
+        action: decision.action,
+        symbol: decision.symbol,
+        confidence: decision.confidence ?? null,
+        side: this.getOutcomeSide(decision.action, heldQuantity),
+        decisionTime: new Date(decisionTime).toISOString(),
+        status: result.status,
+        reason: result.reason ?? null,
+        tradeId: result.tradeId ?? null,
+        tradeCollection: result.tradeId ? (live ? 'trades' : 'paperTrades') : null,
+        executed: live ? null : false,  // Live orders count as executed once Lighter confirms a fill
+        referencePrice,
+        referenceSource: referenceSource ?? null,
+        referencedAt: new Date().toISOString(),
+        horizons: Object.fromEntries(this.tradingConfig.outcomeHorizons.map(horizon => [horizon.label, {
+          dueAt: new Date(decisionTime + horizon.ms).toISOString(),
+          price: null,
+          source: null,
+          changePct: null,
+          movePct: null,
+          missedMovePct: null,
+          evaluatedAt: null
+        }])),
+        realizedPnL: null,
+        // Exits realize PnL on the trade that opened the position, not on themselves
+        pnlStatus: result.tradeId && !['CLOSE', 'REDUCE'].includes(decision.action) ? 'open' : null,
+        complete: !referencePrice,
+        error: referencePrice ? null : error
+      };
+
+      if (!outcome.complete) {
+        this.decisionOutcomes.set(outcome.decisionId, outcome);
+      }
+      await this.saveDecisionOutcome(outcome);
+    } catch (error) {
+      console.error(`❌ Error recording outcome for ${decision.decisionId}:`, error.message);
+    }
+  }
+
+  // Direction the decision bet on: exits and flips trade against the position held
+  getOutcomeSide(action, heldQuantity) {
+    if (action === 'BUY') return 'buy';
+    if (action === 'SELL') return 'sell';
+    if (POSITION_ACTIONS.includes(action) && Math.abs(heldQuantity) > LEDGER_DUST) {
+      return heldQuantity > 0 ? 'sell' : 'buy';
+    }
+    return null;
+  }
+
+  // Price to measure outcomes at: the Lighter mid (what the decision traded against),
+  // else marketData/latest. `fallback` holds the marketData read for one pass.
+  // Returns { price, source } or { price: null, error }.
+  async getOutcomePrice(symbol, fallback = {}) {
+    const quote = await this.getExecutionQuote(symbol);
+    if (!quote.error) {
+      return { price: quote.mid, source: 'lighter' };
+    }
+
+    fallback.reference = fallback.reference || await this.loadReferencePrices();
+    const { prices, error } = fallback.reference;
+    if (prices?.[symbol] > 0) {
+      return { price: prices[symbol], source: 'marketData' };
+    }
+    return { price: null, error: `No ${symbol} price: ${quote.error}; ${error || 'not in marketData/latest'}` };
+  }
+
+  getLedgerQuantity(symbol) {
+    const positions = this.isPaperTrading() ? this.paperAccount.positions : this.tradingState.positions;
+    return positions.get(symbol)?.quantity || 0;
+  }
+
+  async loadDecisionOutcomes() {
+    if (!this.db) return;
+
+    for (const { id } of this.tradingConfig.decisionAgents) {
+      try {
+        const snapshot = await this.db.collection('agentDecisions').doc(id).collection('outcomes')
+          .where('complete', '==', false)
+          .get();
+        snapshot.forEach(doc => this.decisionOutcomes.set(doc.id, doc.data()));
+      } catch (error) {
+        console.error(`❌ Error loading ${id} decision outcomes:`, error.message);
+      }
+    }
+
+    if (this.decisionOutcomes.size > 0) {
+      console.log(`🧾 Restored ${this.decisionOutcomes.size} pending decision outcomes`);
+    }
+  }
+
+  startOutcomeTracker() {
+    setInterval(async () => {
+      if (!this.isRunning || this.decisionOutcomes.size === 0) return;
+
+      try {
+        await this.checkDecisionOutcomes();
+      } catch (error) {
+        console.error('❌ Decision outcome check error:', error.message);
+      }
+    }, this.tradingConfig.outcomeCheckIntervalMs);
+
+    console.log(`🧾 Decision outcome tracker started (${this.tradingConfig.outcomeHorizons.map(h => h.label).join(', ')})`);
+  }
+
+  // Fill in horizons that have come due and pick up PnL from the decision's trade.
+  // Prices come from getOutcomePrice, like the reference price; lateMs records how
+  // long after dueAt a horizon was actually priced. Missing prices only hold back
+  // the horizons - trade PnL is still refreshed.
+  async checkDecisionOutcomes(now = Date.now()) {
+    const prices = new Map();  // symbol -> getOutcomePrice result for this pass
+    const fallback = {};
+
+    for (const outcome of [...this.decisionOutcomes.values()]) {
+      const due = Object.values(outcome.horizons).filter(h => h.evaluatedAt === null && Date.parse(h.dueAt) <= now);
+      const tradeStale = outcome.pnlStatus === 'open' && now - (outcome.tradeCheckedAt || 0) >= OUTCOME_TRADE_REFRESH_MS;
+      if (due.length === 0 && !tradeStale) continue;
+
+      if (due.length > 0 && !prices.has(outcome.symbol)) {
+        const quoted = await this.getOutcomePrice(outcome.symbol, fallback);
+        if (quoted.error) console.log(`⚠️ Decision outcomes waiting on price data: ${quoted.error}`);
+        prices.set(outcome.symbol, quoted);
+      }
+
+      const { price, source } = prices.get(outcome.symbol) || {};
+      if (due.length > 0 && price > 0) {
+        const direction = outcome.side === 'buy' ? 1 : (outcome.side === 'sell' ? -1 : null);
+        for (const horizon of due) {
+          const changePct = (price - outcome.referencePrice) / outcome.referencePrice * 100;
+          Object.assign(horizon, {
+            price,
+            source,
+            changePct,
+            movePct: direction !== null ? direction * changePct : null,
+            evaluatedAt: new Date(now).toISOString(),
+            lateMs: now - Date.parse(horizon.dueAt)
+          });
+        }
+      }
+
+      if (outcome.pnlStatus === 'open' || outcome.executed === null) {
+        await this.refreshOutcomeTrade(outcome, now);
+      }
+
+      // Missed move: what the decision's direction would have made had it traded
+      for (const horizon of Object.values(outcome.horizons)) {
+        horizon.missedMovePct = outcome.executed === false ? horizon.movePct : null;
+      }
+
+      const horizonsDone = Object.values(outcome.horizons).every(h => h.evaluatedAt !== null);
+      if (horizonsDone && outcome.pnlStatus !== 'open') {
+        outcome.complete = true;
+        this.decisionOutcomes.delete(outcome.decisionId);
+        console.log(`🧾 ${outcome.decisionId} outcome complete: ${this.describeOutcome(outcome)}`);
+      }
+      await this.saveDecisionOutcome(outcome);
+    }
+  }
+
+  // Fill status and closed PnL from the trades/paperTrades entry
+  async refreshOutcomeTrade(outcome, now = Date.now()) {
+    if (!outcome.tradeId) return;
+    outcome.tradeCheckedAt = now;
+
+    try {
+      const doc = await this.db.collection(outcome.tradeCollection).doc(outcome.tradeId).get();
+      const result = doc.exists ? doc.data().result || {} : {};
+
+      if (result.orderStatus) {
+        const filled = !!result.success;
+        if (outcome.tradeCollection === 'trades') outcome.executed = filled;
+        if (!filled) outcome.pnlStatus = null;
+      } else if (!doc.exists) {
+        if (outcome.tradeCollection === 'trades') outcome.executed = false;
+        outcome.pnlStatus = null;
+      }
+
+      if (outcome.pnlStatus === 'open' && result.positionStatus === 'closed' && Number.isFinite(result.pnl)) {
+        outcome.realizedPnL = result.pnl;
+        outcome.pnlStatus = 'closed';
+      }
+    } catch (error) {
+      console.error(`❌ Error reading trade ${outcome.tradeId} for outcome:`, error.message);
+    }
+  }
+
+  describeOutcome(outcome) {
+    const moves = Object.entries(outcome.horizons)
+      .map(([label, h]) => `${label} ${Number.isFinite(h.changePct) ? `${h.changePct >= 0 ? '+' : ''}${h.changePct.toFixed(2)}%` : 'n/a'}`);
+    const pnl = outcome.realizedPnL !== null ? `, PnL $${outcome.realizedPnL.toFixed(2)}` : '';
+    return `${outcome.action} ${outcome.symbol} ${outcome.status}: ${moves.join(', ')}${pnl}`;
+  }
+
+  async saveDecisionOutcome(outcome) {
+    if (!this.db) return;
+
+    try {
+      await this.db.collection('agentDecisions').doc(outcome.agentId).collection('outcomes').doc(outcome.decisionId).set({
+        ...outcome,
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`❌ Error saving outcome for ${outcome.decisionId}:`, error.message);
+    }
+  }
+
+  // =========================================================================
+  // CIRCUIT BREAKER - Halts on violent moves, price gaps and stale market data
+  // =========================================================================
+
+  startCircuitBreaker() {
+    this.breakerPrices = new Map();     // symbol -> [{ at, price }] within the window
+    this.breakerLastQuoteAt = new Map();  // symbol -> last good Lighter quote
+
+    setInterval(async () => {
+      if (!this.isRunning) return;
+
+      try {
+        await this.checkCircuitBreaker();
+      } catch (error) {
+        console.error('❌ Circuit breaker check error:', error.message);
+      }
+    }, this.tradingConfig.circuitBreakerIntervalMs);
+
+    console.log(`🚦 Circuit breaker started (${this.tradingConfig.circuitBreakerMovePct}% in ${this.tradingConfig.circuitBreakerWindowMs / 60000}min, ${this.tradingConfig.circuitBreakerMaxDivergencePct}% divergence)`);
+  }
+
+  // Sample Lighter prices for every traded market, trip on the first signal, and
+  // auto-resume once no signal has been seen for CIRCUIT_BREAKER_RESUME_MS
+  async checkCircuitBreaker() {
+    const now = this.now();
+    const config = this.tradingConfig;
+    const reference = await this.loadReferencePrices();
+    const signals = [];
+
+    if (reference.error) {
+      signals.push({ code: 'stale_data', symbol: null, reason: reference.error });
+    }
+
+    for (const symbol of this.getBreakerSymbols()) {
+      const quote = await this.getExecutionQuote(symbol);
+      if (quote.error) {
+        const lastQuoteAt = this.breakerLastQuoteAt.get(symbol) ?? now;
+        this.breakerLastQuoteAt.set(symbol, lastQuoteAt);
+        if (now - lastQuoteAt > config.marketDataMaxAgeMs) {
+          signals.push({ code: 'stale_data', symbol, reason: `No Lighter price for ${symbol} for ${Math.round((now - lastQuoteAt) / 1000)}s (${quote.error})` });
+        }
+        continue;
+      }
+      this.breakerLastQuoteAt.set(symbol, now);
+
+      // Rolling high-low range of the Lighter mid
+      const samples = (this.breakerPrices.get(symbol) || []).filter(s => now - s.at <= config.circuitBreakerWindowMs);
+      samples.push({ at: now, price: quote.mid });
+      this.breakerPrices.set(symbol, samples);
+      const high = Math.max(...samples.map(s => s.price));
+      const low = Math.min(...samples.map(s => s.price));
+      const movePct = (high - low) / low * 100;
+      if (movePct > config.circuitBreakerMovePct) {
+        signals.push({
+          code: 'volatility',
+          symbol,
+          reason: `${symbol} moved ${movePct.toFixed(2)}% in ${config.circuitBreakerWindowMs / 60000}min (max ${config.circuitBreakerMovePct}%)`,
+          details: { high, low, movePct }
+        });
+      }
+
+      // Lighter vs CoinGecko - either venue printing a wick the other doesn't see
+      const referencePrice = reference.prices?.[symbol];
+      if (referencePrice > 0) {
+        const divergencePct = Math.abs(quote.mid - referencePrice) / referencePrice * 100;
+        if (divergencePct > config.circuitBreakerMaxDivergencePct) {
+          signals.push({
+            code: 'price_divergence',
+            symbol,
+            reason: `${symbol} Lighter $${quote.mid.toFixed(2)} vs marketData $${referencePrice.toFixed(2)} (${divergencePct.toFixed(2)}%, max ${config.circuitBreakerMaxDivergencePct}%)`,
+            details: { lighterPrice: quote.mid, referencePrice, divergencePct }
+          });
+        }
+      }
+    }
+
+    const breaker = this.tradingState.circuitBreaker;
+    if (signals.length > 0) {
+      if (breaker) {
+        breaker.lastSignalAt = now;
+        return;
+      }
+      await this.tripCircuitBreaker(signals[0], signals);
+      return;
+    }
+
+    if (breaker && config.circuitBreakerResumeMs > 0 && now - breaker.lastSignalAt >= config.circuitBreakerResumeMs) {
+      await this.resumeFromCircuitBreaker(`calm for ${Math.round((now - breaker.lastSignalAt) / 60000)}min`);
+    }
+  }
+
+  // Allowed symbols listed on Lighter, plus anything still held
+  getBreakerSymbols() {
+    const symbols = new Set(this.tradingConfig.allowedSymbols.filter(symbol => this.isMarketSupported(symbol)));
+    for (const [symbol, position] of this.tradingState.positions) {
+      if (Math.abs(position.quantity) > LEDGER_DUST && this.isMarketSupported(symbol)) symbols.add(symbol);
+    }
+    return [...symbols];
+  }
+
+  // CoinGecko prices from 'marketData/latest': { prices } or { error } if missing or stale
+  async loadReferencePrices() {
+    if (!this.db) return { prices: {} };
+
+    try {
+      const doc = await this.db.collection('marketData').doc('latest').get();
+      if (!doc.exists) return { error: 'marketData/latest missing' };
+
+      const data = doc.data();
+      const updatedAt = data.timestamp?.toMillis?.() ?? Date.parse(data.lastUpdate);
+      const ageMs = Date.now() - updatedAt;
+      if (!(ageMs <= this.tradingConfig.marketDataMaxAgeMs)) {
+        return { error: `marketData/latest is ${Number.isFinite(ageMs) ? `${Math.round(ageMs / 1000)}s` : 'of unknown age'} old (max ${this.tradingConfig.marketDataMaxAgeMs / 1000}s)` };
+      }
+
+      const prices = {};
+      for (const [symbol, coin] of Object.entries(data.coins || {})) {
+        if (coin?.price > 0) prices[symbol] = coin.price;
+      }
+      return { prices };
+    } catch (error) {
+      // A Firestore hiccup isn't stale data - the next check will retry
+      console.error('❌ Error reading marketData/latest:', error.message);
+      return { prices: {} };
+    }
+  }
+
+  // Halt with a machine-readable code. An existing halt (manual, emergency, daily loss) is kept.
+  async tripCircuitBreaker(signal, signals) {
+    if (this.tradingState.tradingHalted) return;
+
+    const now = this.now();
+    this.tradingState.tradingHalted = true;
+    this.tradingState.haltReason = `Circuit breaker: ${signal.reason}`;
+    this.tradingState.haltCode = `circuit_breaker:${signal.code}`;
+    this.tradingState.circuitBreaker = {
+      code: signal.code,
+      symbol: signal.symbol,
+      reason: signal.reason,
+      details: signal.details ?? null,
+      signals: signals.map(s => s.reason),
+      trippedAt: now,
+      lastSignalAt: now,
+      autoResume: this.tradingConfig.circuitBreakerResumeMs > 0
+    };
+    console.log(`🚨 CIRCUIT BREAKER (${signal.code}) - Trading halted: ${signal.reason}`);
+    await this.persistTradingState();
+    this.stopTwaps(this.tradingState.haltReason);
+
+    if (this.tradingConfig.circuitBreakerFlatten) {
+      const flatten = await this.flattenAll(this.tradingState.haltReason);
+      this.tradingState.circuitBreaker.flatten = this.describeFlatten(flatten);
+      await this.persistTradingState();
+    }
+  }
+
+  async resumeFromCircuitBreaker(why) {
+    const breaker = this.tradingState.circuitBreaker;
+    this.tradingState.circuitBreaker = null;
+
+    // Only lift our own halt - a manual halt or emergency stop set since then stays
+    if (this.tradingState.haltCode?.startsWith('circuit_breaker:')) {
+      this.tradingState.tradingHalted = false;
+      this.tradingState.haltReason = null;
+      this.tradingState.haltCode = null;
+      console.log(`✅ Circuit breaker (${breaker.code}) reset, trading resumed: ${why}`);
+    }
+    await this.persistTradingState();
+  }
+
+  // =========================================================================
+  // DRAWDOWN - Equity high-water mark; halt or reduce-only past MAX_DRAWDOWN_PCT
+  // =========================================================================
+  // State lives in 'drawdown/{live|paper}' and is mirrored to serviceStatus/lighterService
+  // and agentContext/market so agents and the dashboard can see the risk budget left.
+
+  async loadDrawdown() {
+    const source = this.isPaperTrading() ? 'paper' : 'live';
+    this.drawdown = { source, highWaterMark: 0, highWaterMarkAt: null, maxDrawdownPct: 0, breached: false, reduceOnly: false };
+    if (!this.db) return;
+
+    try {
+      const doc = await this.db.collection('drawdown').doc(source).get();
+      if (doc.exists) {
+        Object.assign(this.drawdown, doc.data());
+        console.log(`📉 Drawdown restored (${source}): high-water mark $${this.drawdown.highWaterMark.toFixed(2)}, drawdown ${(this.drawdown.drawdownPct || 0).toFixed(2)}%`);
+      }
+    } catch (error) {
+      console.error('❌ Error loading drawdown state:', error.message);
+    }
+  }
+
+  startDrawdownMonitor() {
+    setInterval(async () => {
+      if (!this.isRunning) return;
+
+      try {
+        const equity = await this.getAccountEquity();
+        if (equity > 0) await this.updateDrawdown(equity);
+      } catch (error) {
+        console.error('❌ Drawdown check error:', error.message);
+      }
+    }, this.tradingConfig.drawdownIntervalMs);
+
+    console.log(`📉 Drawdown monitor started (max ${this.tradingConfig.maxDrawdownPct}%, then ${this.tradingConfig.drawdownAction})`);
+  }
+
+  // Record an equity sample; act once when drawdown first reaches the limit
+  async updateDrawdown(equity) {
+    const drawdown = this.drawdown;
+    const limitPct = this.tradingConfig.maxDrawdownPct;
+    const now = new Date().toISOString();
+
+    if (equity > drawdown.highWaterMark) {
+      drawdown.highWaterMark = equity;
+      drawdown.highWaterMarkAt = now;
+    }
+    const drawdownUSD = drawdown.highWaterMark - equity;
+    const drawdownPct = drawdownUSD / drawdown.highWaterMark * 100;
+    const breached = limitPct > 0 && drawdownPct >= limitPct;
+
+    Object.assign(drawdown, {
+      equity,
+      drawdownUSD,
+      drawdownPct,
+      maxDrawdownPct: Math.max(drawdown.maxDrawdownPct || 0, drawdownPct),
+      limitPct,
+      // Risk budget left before the limit (null when drawdown limiting is off)
+      remainingPct: limitPct > 0 ? Math.max(0, limitPct - drawdownPct) : null,
+      remainingUSD: limitPct > 0 ? Math.max(0, drawdown.highWaterMark * limitPct / 100 - drawdownUSD) : null,
+      updatedAt: now
+    });
+
+    if (breached && !drawdown.breached) {
+      await this.onDrawdownBreached(drawdown);
+    } else if (!breached && drawdown.reduceOnly) {
+      console.log(`✅ Drawdown back to ${drawdownPct.toFixed(2)}% - reduce-only mode lifted`);
+    }
+    drawdown.breached = breached;
+    drawdown.reduceOnly = breached && this.tradingConfig.drawdownAction === 'reduce_only';
+
+    await this.saveDrawdown();
+  }
+
+  async onDrawdownBreached(drawdown) {
+    const reason = `Max drawdown: ${drawdown.drawdownPct.toFixed(2)}% from high-water mark $${drawdown.highWaterMark.toFixed(2)} (limit ${drawdown.limitPct}%)`;
+    this.stopTwaps(reason);
+
+    if (this.tradingConfig.drawdownAction === 'reduce_only') {
+      console.log(`📉 ${reason} - reduce-only mode`);
+      return;
+    }
+
+    if (!this.tradingState.tradingHalted) {
+      this.tradingState.tradingHalted = true;
+      this.tradingState.haltReason = reason;
+      this.tradingState.haltCode = 'max_drawdown';
+      await this.persistTradingState();
+    }
+    console.log(`🛑 ${reason} - trading halted`);
+  }
+
+  async saveDrawdown() {
+    if (!this.db) return;
+
+    const drawdown = this.drawdown;
+    const summary = {
+      source: drawdown.source,
+      equity: drawdown.equity,
+      highWaterMark: drawdown.highWaterMark,
+      drawdownPct: drawdown.drawdownPct,
+      drawdownUSD: drawdown.drawdownUSD,
+      maxDrawdownPct: drawdown.maxDrawdownPct,
+      limitPct: drawdown.limitPct,
+      remainingPct: drawdown.remainingPct,
+      remainingUSD: drawdown.remainingUSD,
+      reduceOnly: drawdown.reduceOnly,
+      tradingHalted: this.tradingState.tradingHalted,
+      updatedAt: drawdown.updatedAt
+    };
+
+    try {
+      await Promise.all([
+        this.db.collection('drawdown').doc(drawdown.source).set(drawdown),
+        this.db.collection('serviceStatus').doc('lighterService').set({ drawdown: summary }, { merge: true }),
+        this.db.collection('agentContext').doc('market').set({ drawdown: summary }, { merge: true })
+      ]);
+    } catch (error) {
+      console.error('❌ Error saving drawdown:', error.message);
+    }
+  }
+
+  // =========================================================================
+  // POSITION LEDGER - Tracks entries/exits and realized/unrealized PnL
+  // =========================================================================
+
+  // Estimate the fee for a fill from configured maker/taker rates
+  estimateFee(notional, orderType) {
+    const isMaker = orderType === 'limit' || orderType === 'post_only';
+    const feeBps = isMaker ? this.tradingConfig.makerFeeBps : this.tradingConfig.takerFeeBps;
+    return Math.abs(notional) * feeBps / 10000;
+  }
+
+  createLedgerPosition(symbol) {
+    return {
+      symbol,
+      quantity: 0,          // Signed: positive long, negative short
+      avgEntryPrice: 0,
+      realizedPnL: 0,       // Net of fees
+      fees: 0,
+      unrealizedPnL: 0,
+      markPrice: null,
+      entries: [],
+      exits: [],
+      openedAt: null
+    };
+  }
+
+  // Apply a fill to the ledger. Fees are booked as realized loss when paid.
+  async recordFill({ symbol, side, size, price, fee = 0, tradeId = null, agentId = null, source = 'order' }) {
+    if (!(size > 0) || !(price > 0)) return;
+
+    const now = new Date().toISOString();
+    const position = this.tradingState.positions.get(symbol) || this.createLedgerPosition(symbol);
+    const fillQty = side === 'buy' ? size : -size;
+    let realized = -fee;
+    let remainder = 0;
+
+    position.fees += fee;
+
+    if (position.quantity === 0 || Math.sign(position.quantity) === Math.sign(fillQty)) {
+      // Opening or adding - weighted average entry
+      const newQty = position.quantity + fillQty;
+      position.avgEntryPrice = (Math.abs(position.quantity) * position.avgEntryPrice + size * price) / Math.abs(newQty);
+      position.quantity = newQty;
+      position.entries.push({ tradeId, agentId, size, price, fee, source, timestamp: now });
+      position.openedAt = position.openedAt || now;
+    } else {
+      // Reducing or closing - realize PnL on the closed quantity
+      const direction = Math.sign(position.quantity);
+      const closeQty = Math.min(Math.abs(position.quantity), size);
+      const gross = closeQty * (price - position.avgEntryPrice) * direction;
+      realized += gross;
+      remainder = size - closeQty;
+      position.quantity -= direction * closeQty;
+      position.exits.push({ tradeId, size: closeQty, price, fee, pnl: gross, source, timestamp: now });
+    }
+
+    position.realizedPnL += realized;
+    this.tradingState.dailyRealizedPnL += realized;
+    this.persistTradingState();
+
+    console.log(`📒 Ledger ${symbol}: ${side} ${size.toFixed(6)} @ $${price.toFixed(2)} → qty ${position.quantity.toFixed(6)}, realized $${realized.toFixed(2)}`);
+
+    if (Math.abs(position.quantity) < LEDGER_DUST && position.exits.length > 0) {
+      await this.closeLedgerPosition(position, price);
+      // Any excess flips into a new position on the other side
+      if (remainder > LEDGER_DUST) {
+        await this.recordFill({ symbol, side, size: remainder, price, tradeId, agentId, source });
+        return;
+      }
+    } else {
+      this.tradingState.positions.set(symbol, position);
+      await this.savePositionLedger(symbol);
+    }
+
+    this.refreshDailyPnL();
+  }
+
+  // Attribute a closed position's net PnL back to the trades that opened it
+  async closeLedgerPosition(position, exitPrice) {
+    const totalEntrySize = position.entries.reduce((sum, e) => sum + e.size, 0) || 1;
+    const closedAt = new Date().toISOString();
+
+    console.log(`📕 ${position.symbol} position closed: realized $${position.realizedPnL.toFixed(2)} (fees $${position.fees.toFixed(2)})`);
+
+    for (const entry of position.entries) {
+      if (!entry.tradeId) continue;
+      const share = entry.size / totalEntrySize;
+      this.attributeAgentPnL(entry.agentId, position.realizedPnL * share);
+      await this.updateTradeLog(entry.tradeId, {
+        'result.pnl': parseFloat((position.realizedPnL * share).toFixed(2)),
+        'result.fees': parseFloat((position.fees * share).toFixed(4)),
+        'result.exitPrice': exitPrice,
+        'result.closedAt': closedAt,
+        'result.positionStatus': 'closed'
+      });
+    }
+
+    this.tradingState.positions.delete(position.symbol);
+    await this.savePositionLedger(position.symbol);
+    this.refreshDailyPnL();
+    await this.persistTradingState();
+  }
+
+  // dailyPnL = today's realized (net of fees) + open unrealized PnL
+  refreshDailyPnL() {
+    let unrealized = 0;
+    for (const position of this.tradingState.positions.values()) {
+      unrealized += position.unrealizedPnL || 0;
+    }
+    this.tradingState.unrealizedPnL = unrealized;
+    this.tradingState.dailyPnL = this.tradingState.dailyRealizedPnL + unrealized;
+  }
+
+  startPnLUpdates() {
+    // Mark open positions to Lighter and pick up exits made on the exchange
+    setInterval(async () => {
+      if (!this.isRunning || this.tradingState.positions.size === 0) return;
+
+      try {
+        await this.syncPositionsFromLighter();
+      } catch (error) {
+        console.error('❌ Error syncing positions:', error.message);
+      }
+    }, this.tradingConfig.pnlSyncIntervalMs);
+
+    console.log(`📒 Started PnL updates (${this.tradingConfig.pnlSyncIntervalMs / 1000}s interval)`);
+  }
+
+  async syncPositionsFromLighter() {
+    const accountData = await this.getLighterAccount();
+    if (!accountData) return;
+
+    const lighterPositions = this.parseLighterPositions(accountData);
+
+    for (const [symbol, position] of [...this.tradingState.positions]) {
+      const remote = lighterPositions.get(symbol);
+      const remoteQty = remote?.quantity || 0;
+      const exitPrice = remote?.markPrice || position.markPrice || position.avgEntryPrice;
+
+      // Exchange holds less than the ledger (stop, liquidation, manual close)
+      const sameSide = Math.sign(remoteQty) === Math.sign(position.quantity);
+      const missingQty = sameSide ? Math.abs(position.quantity) - Math.abs(remoteQty) : Math.abs(position.quantity);
+      if (missingQty > LEDGER_DUST) {
+        console.log(`🔄 ${symbol}: Lighter position ${remoteQty} vs ledger ${position.quantity} - booking exit at $${exitPrice}`);
+        await this.recordFill({
+          symbol,
+          side: position.quantity > 0 ? 'sell' : 'buy',
+          size: missingQty,
+          price: exitPrice,
+          source: 'lighter_sync'
+        });
+      } else if (Math.abs(remoteQty) - Math.abs(position.quantity) > LEDGER_DUST) {
+        console.log(`⚠️ ${symbol}: Lighter position ${remoteQty} larger than ledger ${position.quantity} - not tracked by this service`);
+      }
+
+      const current = this.tradingState.positions.get(symbol);
+      if (current && remote) {
+        current.markPrice = remote.markPrice;
+        current.unrealizedPnL = Number.isFinite(remote.unrealizedPnL)
+          ? remote.unrealizedPnL
+          : (remote.markPrice - current.avgEntryPrice) * current.quantity;
+      }
+    }
+
+    this.refreshDailyPnL();
+    console.log(`📒 PnL: realized today $${this.tradingState.dailyRealizedPnL.toFixed(2)}, unrealized $${this.tradingState.unrealizedPnL.toFixed(2)}`);
+  }
+
+  // Normalize Lighter account positions into symbol -> { quantity, markPrice, unrealizedPnL }
+  parseLighterPositions(accountData) {
+    const account = accountData?.accounts?.[0] || accountData;
+    const positions = new Map();
+
+    for (const p of account?.positions || []) {
+      const size = parseFloat(p.position || 0);
+      if (!size) continue;
+      const sign = parseInt(p.sign) === -1 ? -1 : 1;
+      const positionValue = parseFloat(p.position_value || 0);
+      positions.set((p.symbol || '').toUpperCase(), {
+        quantity: sign * size,
+        avgEntryPrice: parseFloat(p.avg_entry_price || 0),
+        markPrice: positionValue ? positionValue / size : parseFloat(p.avg_entry_price || 0),
+        unrealizedPnL: parseFloat(p.unrealized_pnl),
+        initialMarginPct: parseFloat(p.initial_margin_fraction) || null
+      });
+    }
+
+    return positions;
+  }
+
+  async savePositionLedger(symbol) {
+    if (!this.db) return;
+
+    try {
+      const ref = this.db.collection('positionLedger').doc(symbol);
+      const position = this.tradingState.positions.get(symbol);
+      if (position) {
+        await ref.set({ ...position, lastUpdate: new Date().toISOString() });
+      } else {
+        await ref.delete();
+      }
+    } catch (error) {
+      console.error('❌ Error saving position ledger:', error.message);
+    }
+  }
+
+  async loadPositionLedger() {
+    if (!this.db) return;
+
+    try {
+      const snapshot = await this.db.collection('positionLedger').get();
+      snapshot.forEach(doc => {
+        const { lastUpdate, ...position } = doc.data();
+        this.tradingState.positions.set(doc.id, { ...this.createLedgerPosition(doc.id), ...position });
+      });
+      console.log(`📒 Loaded ${snapshot.size} open positions from ledger`);
+    } catch (error) {
+      console.error('❌ Error loading position ledger:', error.message);
+    }
+  }
+
+  // =========================================================================
+  // MARKET REGISTRY - Lighter market metadata (index, decimals, minimums)
+  // =========================================================================
+  async loadMarketRegistry() {
+    try {
+      const response = await axios.get(`${this.lighterConfig.baseUrl}/api/v1/orderBooks`, {
+        headers: { 'Accept': 'application/json' },
+        timeout: 10000
+      });
+
+      const orderBooks = response.data?.order_books;
+      if (!Array.isArray(orderBooks) || orderBooks.length === 0) {
+        console.log('⚠️ Lighter orderBooks returned no markets - keeping previous registry');
+        return false;
+      }
+
+      const registry = new Map();
+      for (const book of orderBooks) {
+        const symbol = (book.symbol || '').toUpperCase();
+        if (!symbol) continue;
+        registry.set(symbol, {
+          symbol,
+          marketIndex: parseInt(book.market_id),
+          status: book.status || 'active',
+          sizeDecimals: parseInt(book.supported_size_decimals ?? book.size_decimals),
+          priceDecimals: parseInt(book.supported_price_decimals ?? book.price_decimals),
+          minBaseAmount: parseFloat(book.min_base_amount || 0),
+          minQuoteAmount: parseFloat(book.min_quote_amount || 0),
+          takerFee: parseFloat(book.taker_fee || 0),
+          makerFee: parseFloat(book.maker_fee || 0)
+        });
+      }
+
+      this.marketRegistry = registry;
+      this.marketRegistryUpdatedAt = Date.now();
+      console.log(`🗂️ Market registry loaded: ${[...registry.values()].map(m => `${m.symbol}=${m.marketIndex}`).join(', ')}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Error loading Lighter market registry:', error.message);
+      return false;
+    }
+  }
+
+  startMarketRegistryUpdates() {
+    // Pick up new markets and decimal changes without a restart
+    setInterval(async () => {
+      if (!this.isRunning) return;
+      await this.loadMarketRegistry();
+    }, this.tradingConfig.marketRefreshIntervalMs);
+
+    console.log(`🗂️ Started market registry refresh (${this.tradingConfig.marketRefreshIntervalMs / 60000}min interval)`);
+  }
+
+  // Get Lighter market metadata for a symbol (undefined if not listed)
+  getMarket(symbol) {
+    return this.marketRegistry.get(symbol);
+  }
+
+  // Get market index for Lighter API
+  getMarketIndex(symbol) {
+    return this.getMarket(symbol)?.marketIndex;  // Returns undefined if not supported
+  }
+
+  // Check if a market is listed and tradeable on the connected Lighter instance
+  isMarketSupported(symbol) {
+    const market = this.getMarket(symbol);
+    return !!market && market.status === 'active';
+  }
+
+  // Scale a token amount to Lighter integer base units, rounding down. Float error is
+  // rounded off first, so 0.29 at 2 decimals is 29 units rather than floor(28.999...).
+  toBaseAmount(market, tokenAmount) {
+    const scaled = tokenAmount * Math.pow(10, market.sizeDecimals);
+    return Math.floor(Math.round(scaled * 1e6) / 1e6);
+  }
+
+  // Scale a USD price to Lighter integer price units
+  toPriceUnits(market, price) {
+    return Math.round(price * Math.pow(10, market.priceDecimals));
+  }
+
+  // Check an order against the market's minimum base and quote amounts
+  validateOrderSize(market, tokenAmount, price) {
+    const baseUnitSize = Math.pow(10, -market.sizeDecimals);
+    if (tokenAmount < Math.max(market.minBaseAmount, baseUnitSize)) {
+      return { valid: false, reason: `Size ${tokenAmount.toFixed(market.sizeDecimals)} ${market.symbol} below minimum ${market.minBaseAmount}` };
+    }
+    if (tokenAmount * price < market.minQuoteAmount) {
+      return { valid: false, reason: `Notional $${(tokenAmount * price).toFixed(2)} below minimum $${market.minQuoteAmount}` };
+    }
+    return { valid: true };
+  }
+
+  // =========================================================================
+  // ORDER BOOK PRICING - Execution prices and slippage limits from Lighter's book
+  // =========================================================================
+
+  // Lighter order book levels, best first (null on failure)
+  async fetchOrderBook(symbol, depth = 50) {
+    const market = this.getMarket(symbol);
+    if (!market) return null;
+
+    try {
+      const response = await axios.get(
+        `${this.lighterConfig.baseUrl}/api/v1/orderBookOrders?market_id=${market.marketIndex}&limit=${depth}`,
+        { headers: { 'Accept': 'application/json' }, timeout: 10000 }
+      );
+
+      const toLevels = (orders) => (orders || [])
+        .map(o => ({ price: parseFloat(o.price), size: parseFloat(o.remaining_base_amount) }))
+        .filter(l => l.price > 0 && l.size > 0);
+
+      return {
+        bids: toLevels(response.data?.bids).sort((a, b) => b.price - a.price),
+        asks: toLevels(response.data?.asks).sort((a, b) => a.price - b.price)
+      };
+    } catch (error) {
+      console.log(`⚠️ Lighter order book fetch failed for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  // Live quote for signing orders. No fallbacks: an unusable book refuses the trade.
+  async getExecutionQuote(symbol) {
+    const book = await this.fetchOrderBook(symbol, this.tradingConfig.orderBookDepth);
+    if (!book) {
+      return { error: `Lighter order book unavailable for ${symbol}` };
+    }
+    if (book.bids.length === 0 || book.asks.length === 0) {
+      return { error: `Lighter order book for ${symbol} has an empty side` };
+    }
+
+    const bestBid = book.bids[0].price;
+    const bestAsk = book.asks[0].price;
+    if (bestBid >= bestAsk) {
+      return { error: `Lighter order book for ${symbol} is crossed (bid ${bestBid} >= ask ${bestAsk})` };
+    }
+
+    return { ...book, bestBid, bestAsk, mid: (bestBid + bestAsk) / 2, source: 'orderbook', fetchedAt: Date.now() };
+  }
+
+  // Fresh quote for an order whose quote went stale before signing, bounded the way it
+  // was first priced (maxSlippageBps, recorded by applySlippageProtection)
+  async requoteOrderSpec(symbol, side, tokenAmount, orderSpec) {
+    // Exits are never refused: re-bound from the fresh mid, or keep the old bound
+    if (orderSpec.exit) {
+      const quote = await this.getExecutionQuote(symbol);
+      if (quote.error) {
+        console.log(`⚠️ Could not re-quote ${symbol} exit (${quote.error}) - signing at the original bound`);
+        return { orderSpec };
+      }
+      return { orderSpec: { ...this.closeOrderSpec(side, quote.mid), quotedAt: quote.fetchedAt } };
+    }
+
+    if (!(orderSpec.maxSlippageBps > 0)) {
+      return { error: 'order has no slippage bound to re-price with' };
+    }
+    const quote = await this.getExecutionQuote(symbol);
+    if (quote.error) {
+      return { error: quote.error };
+    }
+    return this.applySlippageProtection(orderSpec, quote, side, tokenAmount, orderSpec.maxSlippageBps);
+  }
+
+  // Max slippage from mid in bps: config, or a tighter per-decision maxSlippageBps
+  resolveMaxSlippageBps(decision) {
+    const configured = this.tradingConfig.maxSlippageBps;
+    const requested = parseFloat(decision.maxSlippageBps);
+    return requested > 0 ? Math.min(requested, configured) : configured;
+  }
+
+  // Bound an order's price to maxSlippageBps from mid and check the book can fill
+  // taker orders within it. Market orders are signed at the bound (worst average
+  // execution price); IOC prices are clamped to it; resting limits must not cross it.
+  applySlippageProtection(orderSpec, quote, side, tokenAmount, maxSlippageBps) {
+    const isBuy = side === 'buy';
+    const bound = quote.mid * (1 + (isBuy ? 1 : -1) * maxSlippageBps / 10000);
+    const beyondBound = price => (isBuy ? price > bound : price < bound);
+
+    if (orderSpec.orderType === 'limit' || orderSpec.orderType === 'post_only') {
+      if (beyondBound(orderSpec.price)) {
+        return { error: `Limit price ${orderSpec.price.toFixed(2)} is more than ${maxSlippageBps} bps from mid ${quote.mid.toFixed(2)}` };
+      }
+      return { orderSpec: { ...orderSpec, quotedAt: quote.fetchedAt, maxSlippageBps }, execution: this.describeQuote(quote, maxSlippageBps) };
+    }
+
+    const price = orderSpec.orderType === 'market' ? bound : (beyondBound(orderSpec.price) ? bound : orderSpec.price);
+
+    // Walk the opposite side up to our price
+    const levels = isBuy ? quote.asks : quote.bids;
+    let filled = 0;
+    let cost = 0;
+    for (const level of levels) {
+      if (filled >= tokenAmount || beyondBound(level.price) || (isBuy ? level.price > price : level.price < price)) break;
+      const take = Math.min(tokenAmount - filled, level.size);
+      filled += take;
+      cost += take * level.price;
+    }
+
+    if (tokenAmount - filled > LEDGER_DUST) {
+      return {
+        error: `Order book too thin: ${filled.toFixed(6)} of ${tokenAmount.toFixed(6)} available within ${maxSlippageBps} bps of mid ${quote.mid.toFixed(2)}`
+      };
+    }
+
+    const expectedPrice = cost / filled;
+    return {
+      orderSpec: { ...orderSpec, price, quotedAt: quote.fetchedAt, maxSlippageBps },
+      execution: {
+        ...this.describeQuote(quote, maxSlippageBps),
+        expectedPrice,
+        expectedSlippageBps: Math.abs(expectedPrice / quote.mid - 1) * 10000
+      }
+    };
+  }
+
+  describeQuote(quote, maxSlippageBps) {
+    return {
+      bestBid: quote.bestBid,
+      bestAsk: quote.bestAsk,
+      mid: quote.mid,
+      spreadBps: (quote.bestAsk - quote.bestBid) / quote.mid * 10000,
+      maxSlippageBps,
+      source: quote.source
+    };
+  }
+
+  // Reference price for display and paper fallback - Firebase cache first, then CoinGecko.
+  // Never used to price signed orders (see getExecutionQuote).
+  async getMarketPrice(symbol) {
+    // Try to get cached price from Firebase first (avoids rate limits)
+    try {
+      if (this.db) {
+        const marketDoc = await this.db.collection('marketData').doc('current').get();
+        if (marketDoc.exists) {
+          const data = marketDoc.data();
+          const symbolData = data[symbol] || data[symbol.toLowerCase()];
+          if (symbolData?.price && Date.now() - (data.timestamp || 0) < 300000) { // 5 min cache
+            console.log(`📊 Using cached price for ${symbol}: $${symbolData.price}`);
+            return { price: symbolData.price };
+          }
+        }
+      }
+    } catch (cacheError) {
+      console.log('⚠️ Cache lookup failed, trying CoinGecko:', cacheError.message);
+    }
+
+    // Fall back to CoinGecko with rate limiting
+    try {
+      const coinIds = {
+        'BTC': 'bitcoin',
+        'ETH': 'ethereum',
+        'SOL': 'solana',
+        'XRP': 'ripple'
+      };
+
+      const coinId = coinIds[symbol] || 'ethereum';
+      await this.rateLimiter.throttle();
+      const response = await axios.get(
+        `https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd`,
+        { timeout: 10000 }
+      );
+
+      if (response.data && response.data[coinId]) {
+        return { price: response.data[coinId].usd };
+      }
+      return null;
+    } catch (error) {
+      console.error('Error fetching market price:', error.message);
+      return null;
+    }
+  }
+
+  // =========================================================================
+  // PAPER TRADING - Simulated fills against Lighter order books
+  // =========================================================================
+  // Runs in place of live execution when TRADING_ENABLED is false and PAPER_TRADING
+  // is on. Writes 'paperTrades' (same shape as 'trades'), 'paperPositions/{symbol}'
+  // (same shape as 'positionLedger') and 'paperAccount/current'.
+  isPaperTrading() {
+    return !this.tradingConfig.enabled && this.tradingConfig.paperTrading;
+  }
+
+  async executePaperTrade(decision) {
+    const { action, symbol } = decision;
+    const account = this.paperAccount;
+
+    // Exits stay available on a depleted account
+    if (account.equity <= 0 && action !== 'CLOSE' && action !== 'REDUCE') {
+      return { success: false, error: `Paper account depleted (equity $${account.equity.toFixed(2)})` };
+    }
+
+    if (POSITION_ACTIONS.includes(action)) {
+      const plan = await this.planPositionAction(decision);
+      return plan.success ? this.submitPaperOrder(decision, plan) : plan;
+    }
+
+    const quote = await this.getPaperQuote(symbol);
+    if (!quote) {
+      return { success: false, error: 'Could not fetch market price' };
+    }
+
+    const orderSpec = this.resolveOrderSpec(decision, quote.mid);
+    if (orderSpec.error) {
+      return { success: false, error: orderSpec.error };
+    }
+
+    const side = action === 'BUY' ? 'buy' : 'sell';
+    const size = await this.calculateOrderSize(decision, orderSpec.price, side);
+    if (size.error) {
+      return { success: false, error: size.error };
+    }
+
+    const risk = await this.evaluateRisk({ symbol, side, tokenAmount: size.tokenAmount, price: orderSpec.price });
+    if (!risk.passed) {
+      return { success: false, rejected: true, error: risk.reason, risk };
+    }
+
+    // Same thin-book and slippage refusals as live orders
+    const protection = this.applySlippageProtection(orderSpec, quote, side, size.tokenAmount, this.resolveMaxSlippageBps(decision));
+    if (protection.error) {
+      return { success: false, error: protection.error };
+    }
+
+    return this.submitPaperOrder(decision, {
+      side,
+      tokenAmount: size.tokenAmount,
+      orderSpec: protection.orderSpec,
+      quote,
+      sizing: size.sizing,
+      execution: protection.execution
+    });
+  }
+
+  // Create a paper order, log it to 'paperTrades' and take or rest liquidity
+  async submitPaperOrder(decision, { side, tokenAmount, orderSpec, quote, sizing, execution, reduceOnly = false }) {
+    const { symbol } = decision;
+    const account = this.paperAccount;
+
+    const clientOrderIndex = this.nextClientOrderIndex();
+    const order = {
+      id: `paper-${clientOrderIndex}`,
+      clientOrderIndex,
+      symbol,
+      side,
+      orderType: orderSpec.orderType,
+      size: tokenAmount,
+      price: orderSpec.price,
+      referencePrice: quote.mid,
+      reduceOnly,
+      agentId: decision.agentId || DEFAULT_DECISION_AGENT,
+      stopLoss: decision.stopLoss ?? null,
+      takeProfit: decision.takeProfit ?? null,
+      trailingStop: decision.trailingStop ?? null,
+      ttlMs: Number(decision.ttlMs) > 0 ? Number(decision.ttlMs) : null,
+      filledSize: 0,
+      filledQuote: 0,
+      avgFillPrice: null,
+      fees: 0,
+      submittedAt: this.now()
+    };
+
+    console.log(`📄 Paper ${order.orderType} ${order.side} ${order.size.toFixed(6)} ${symbol} @ $${order.price.toFixed(2)} (mid $${quote.mid.toFixed(2)}, ${quote.source})`);
+
+    order.tradeId = await this.logTradeDecision(decision, 'submitted', null, {
+      orderId: order.id,
+      clientOrderIndex,
+      orderType: order.orderType,
+      size: order.size,
+      price: order.price,
+      referencePrice: order.referencePrice,
+      side: order.side,
+      reduceOnly,
+      sizing,
+      execution
+    }, 'paperTrades');
+
+    // Post-only orders that would cross are cancelled by the matching engine
+    const crosses = order.side === 'buy' ? order.price >= quote.bestAsk : order.price <= quote.bestBid;
+    if (order.orderType === 'post_only' && crosses) {
+      await this.finalizePaperOrder(order, 'cancelled', 'canceled-post-only');
+      return { success: true, tradeId: order.tradeId, orderStatus: 'cancelled' };
+    }
+
+    // Take liquidity: market orders sweep the book, limit/ioc only up to their price
+    if (order.orderType !== 'post_only') {
+      const limitPrice = order.orderType === 'market' ? null : order.price;
+      for (const fill of this.matchAgainstBook(quote, order.side, order.size, limitPrice)) {
+        await this.applyPaperFill(order, fill.size, fill.price, 'taker');
+      }
+    }
+
+    const remaining = order.size - order.filledSize;
+    if (remaining <= LEDGER_DUST) {
+      await this.finalizePaperOrder(order, 'filled', 'filled');
+    } else if (order.reduceOnlyExceeded) {
+      await this.finalizePaperOrder(order, 'cancelled', 'canceled-reduce-only');
+    } else if (order.orderType === 'market' || order.orderType === 'ioc') {
+      await this.finalizePaperOrder(order, 'cancelled', 'canceled');
+    } else {
+      // Remainder rests on the simulated book until it fills or expires
+      account.openOrders.set(order.id, order);
+      await this.savePaperAccount();
+      console.log(`📄 Paper order ${order.id} resting: ${remaining.toFixed(6)} ${symbol} @ $${order.price.toFixed(2)}`);
+    }
+
+    return { success: true, tradeId: order.tradeId, orderStatus: order.status || 'open' };
+  }
+
+  // Best bid/ask and depth from Lighter's order book, falling back to a single price level
+  async getPaperQuote(symbol) {
+    const book = await this.fetchOrderBook(symbol);
+    if (book && book.bids.length > 0 && book.asks.length > 0) {
+      const bestBid = book.bids[0].price;
+      const bestAsk = book.asks[0].price;
+      return { ...book, bestBid, bestAsk, mid: (bestBid + bestAsk) / 2, source: 'orderbook' };
+    }
+
+    const marketData = await this.getMarketPrice(symbol);
+    if (!marketData) return null;
+    const level = [{ price: marketData.price, size: Infinity }];
+    return {
+      bids: level,
+      asks: level,
+      bestBid: marketData.price,
+      bestAsk: marketData.price,
+      mid: marketData.price,
+      source: 'price'
+    };
+  }
+
+  // Walk the opposite side of the book. Returns [{ size, price }] fills with
+  // PAPER_SLIPPAGE_BPS applied against us; market orders beyond the visible
+  // depth fill the rest at the last level.
+  matchAgainstBook(quote, side, size, limitPrice = null) {
+    const levels = side === 'buy' ? quote.asks : quote.bids;
+    const slippage = this.tradingConfig.paperSlippageBps / 10000;
+    const adjust = price => price * (side === 'buy' ? 1 + slippage : 1 - slippage);
+    const fills = [];
+    let remaining = size;
+
+    for (const level of levels) {
+      if (remaining <= LEDGER_DUST) break;
+      const withinLimit = limitPrice === null || (side === 'buy' ? level.price <= limitPrice : level.price >= limitPrice);
+      if (!withinLimit) break;
+
+      const take = Math.min(remaining, level.size);
+      fills.push({ size: take, price: adjust(level.price) });
+      remaining -= take;
+    }
+
+    if (remaining > LEDGER_DUST && limitPrice === null && levels.length > 0) {
+      fills.push({ size: remaining, price: adjust(levels[levels.length - 1].price) });
+    }
+
+    return fills;
+  }
+
+  // Returns null when a reduce-only order has nothing left to reduce
+  async applyPaperFill(order, size, price, liquidity) {
+    // Reduce-only never opens or grows a position; like Lighter, the excess is cancelled
+    if (order.reduceOnly) {
+      const position = this.paperAccount.positions.get(order.symbol);
+      const reducing = position && Math.sign(position.quantity) === (order.side === 'buy' ? -1 : 1);
+      const reducible = reducing ? Math.abs(position.quantity) : 0;
+      if (size > reducible + LEDGER_DUST) {
+        console.log(`📄 Paper order ${order.id} is reduce-only: fill capped at ${reducible.toFixed(6)} ${order.symbol}`);
+        order.reduceOnlyExceeded = true;
+        size = reducible;
+      }
+      if (size <= LEDGER_DUST) return null;
+    }
+
+    const feeBps = liquidity === 'maker' ? this.tradingConfig.makerFeeBps : this.tradingConfig.takerFeeBps;
+    const fee = size * price * feeBps / 10000;
+
+    order.filledSize += size;
+    order.filledQuote += size * price;
+    order.avgFillPrice = order.filledQuote / order.filledSize;
+    order.fees += fee;
+
+    const fill = this.paperAccount.applyFill({
+      symbol: order.symbol,
+      side: order.side,
+      size,
+      price,
+      fee,
+      tradeId: order.tradeId,
+      agentId: order.agentId,
+      source: liquidity
+    });
+
+    console.log(`📄 Paper fill ${order.id}: ${order.side} ${size.toFixed(6)} ${order.symbol} @ $${price.toFixed(2)} (${liquidity}), realized $${fill.realized.toFixed(2)}`);
+
+    if (fill.closed) {
+      await this.closePaperPosition(fill.closed);
+    }
+    await this.savePaperPosition(order.symbol);
+    return fill;
+  }
+
+  // Settle a paper order: same status flow and trades fields as finalizeOrder
+  async finalizePaperOrder(order, outcome, lighterStatus) {
+    this.paperAccount.openOrders.delete(order.id);
+
+    const hasFill = order.filledSize > LEDGER_DUST;
+    const orderStatus = outcome === 'filled' ? 'filled' : (hasFill ? 'partially_filled' : outcome);
+    order.status = orderStatus;
+
+    if (hasFill) {
+      this.tradingState.dailyTradeCount++;
+      this.getAgentStats(order.agentId).dailyTradeCount++;
+      await this.persistTradingState();
+    }
+
+    console.log(`📄 Paper order ${order.id} final: ${orderStatus} (${order.filledSize.toFixed(6)} ${order.symbol}, fees $${order.fees.toFixed(4)})`);
+
+    await this.updateTradeLog(order.tradeId, {
+      status: orderStatus === 'filled' ? 'executed' : orderStatus,
+      'result.success': hasFill,
+      'result.orderStatus': orderStatus,
+      'result.lighterStatus': lighterStatus,
+      'result.filledSize': order.filledSize,
+      'result.avgFillPrice': order.avgFillPrice,
+      'result.fees': order.fees,
+      'result.finalizedAt': new Date().toISOString(),
+      'tradingState.dailyTradeCount': this.tradingState.dailyTradeCount
+    }, 'paperTrades');
+
+    if (hasFill && (order.stopLoss != null || order.takeProfit != null)) {
+      await this.placePaperBrackets(order);
+    }
+    if (hasFill && order.trailingStop != null) {
+      await this.attachTrailingStop(order.trailingStop, {
+        tradeId: order.tradeId,
+        symbol: order.symbol,
+        side: order.side,
+        size: order.filledSize,
+        price: order.avgFillPrice
+      }, true);
+    }
+    await this.savePaperAccount();
+  }
+
+  // Simulated SL/TP for a filled paper order, checked on every paper tick
+  async placePaperBrackets(order) {
+    const isLong = order.side === 'buy';
+    const bracket = {
+      tradeId: order.tradeId,
+      symbol: order.symbol,
+      parentOrderId: order.id,
+      side: order.side,
+      size: order.filledSize,
+      entryPrice: order.avgFillPrice,
+      status: 'active',
+      createdAt: new Date().toISOString()
+    };
+
+    for (const kind of ['stopLoss', 'takeProfit']) {
+      if (order[kind] === null) continue;
+
+      const trigger = this.resolveBracketPrice(order[kind], order.avgFillPrice, isLong, kind);
+      bracket[kind] = trigger.error
+        ? { status: 'invalid', error: trigger.error }
+        : { status: 'open', triggerPrice: trigger.price };
+    }
+
+    const hasOpenLeg = ['stopLoss', 'takeProfit'].some(kind => bracket[kind]?.status === 'open');
+    if (hasOpenLeg) {
+      this.paperAccount.brackets.set(bracket.tradeId, bracket);
+    } else {
+      bracket.status = 'failed';
+    }
+
+    await this.updateTradeLog(order.tradeId, { brackets: bracket }, 'paperTrades');
+  }
+
+  startPaperTrading() {
+    if (!this.isPaperTrading()) return;
+
+    // Mark positions, fill resting orders and trigger brackets against the book
+    setInterval(async () => {
+      if (!this.isRunning) return;
+
+      try {
+        await this.runPaperTick();
+      } catch (error) {
+        console.error('❌ Error updating paper account:', error.message);
+      }
+    }, this.tradingConfig.paperMarkIntervalMs);
+
+    // Settle funding on open paper positions
+    setInterval(async () => {
+      if (!this.isRunning || this.paperAccount.positions.size === 0) return;
+
+      try {
+        await this.applyPaperFunding();
+      } catch (error) {
+        console.error('❌ Error applying paper funding:', error.message);
+      }
+    }, this.tradingConfig.paperFundingIntervalMs);
+
+    console.log(`📄 Started paper trading (balance $${this.paperAccount.equity.toFixed(2)}, ${this.tradingConfig.paperMarkIntervalMs / 1000}s ticks)`);
+  }
+
+  async runPaperTick() {
+    const account = this.paperAccount;
+    const symbols = new Set([
+      ...account.positions.keys(),
+      ...[...account.openOrders.values()].map(o => o.symbol),
+      ...[...account.brackets.values()].map(b => b.symbol)
+    ]);
+    if (symbols.size === 0) return;
+
+    for (const symbol of symbols) {
+      const quote = await this.getPaperQuote(symbol);
+      if (quote) {
+        await this.updatePaperSymbol(symbol, quote);
+      }
+    }
+
+    await this.savePaperAccount();
+  }
+
+  async updatePaperSymbol(symbol, quote) {
+    await this.checkPaperOrders(symbol, quote);
+    await this.checkPaperBrackets(symbol, quote);
+    await this.checkPaperTrailingStops(symbol, quote);
+    this.paperAccount.mark(symbol, quote.mid);
+    await this.savePaperPosition(symbol);
+  }
+
+  // Resting limit orders fill at their own price (maker) once the book trades through them
+  async checkPaperOrders(symbol, quote) {
+    for (const order of [...this.paperAccount.openOrders.values()]) {
+      if (order.symbol !== symbol) continue;
+
+      const remaining = order.size - order.filledSize;
+      const available = this.matchAgainstBook(quote, order.side, remaining, order.price)
+        .reduce((sum, fill) => sum + fill.size, 0);
+      if (available > LEDGER_DUST) {
+        await this.applyPaperFill(order, available, order.price, 'maker');
+      }
+
+      if (order.size - order.filledSize <= LEDGER_DUST) {
+        await this.finalizePaperOrder(order, 'filled', 'filled');
+      } else if (order.reduceOnlyExceeded) {
+        await this.finalizePaperOrder(order, 'cancelled', 'canceled-reduce-only');
+      } else if (this.now() - order.submittedAt > (order.ttlMs || this.tradingConfig.paperOrderTtlMs)) {
+        await this.finalizePaperOrder(order, 'expired', 'canceled-expired');
+      } else if (available > LEDGER_DUST) {
+        await this.updateTradeLog(order.tradeId, {
+          'result.orderStatus': 'partially_filled',
+          'result.filledSize': order.filledSize,
+          'result.avgFillPrice': order.avgFillPrice,
+          'result.fees': order.fees
+        }, 'paperTrades');
+      }
+    }
+  }
+
+  // Trigger SL/TP on the touch: longs exit on the bid, shorts on the ask
+  async checkPaperBrackets(symbol, quote) {
+    const account = this.paperAccount;
+
+    for (const bracket of [...account.brackets.values()]) {
+      if (bracket.symbol !== symbol) continue;
+
+      const isLong = bracket.side === 'buy';
+      const exitPrice = isLong ? quote.bestBid : quote.bestAsk;
+      const hit = (kind) => {
+        const leg = bracket[kind];
+        if (leg?.status !== 'open') return false;
+        const below = exitPrice <= leg.triggerPrice;
+        return (kind === 'stopLoss') === isLong ? below : exitPrice >= leg.triggerPrice;
+      };
+      const triggered = ['stopLoss', 'takeProfit'].find(hit);
+
+      // Reduce-only: never close more than the position still holds
+      const position = account.positions.get(symbol);
+      const held = position && Math.sign(position.quantity) === (isLong ? 1 : -1) ? Math.abs(position.quantity) : 0;
+
+      if (held <= LEDGER_DUST) {
+        for (const kind of ['stopLoss', 'takeProfit']) {
+          if (bracket[kind]?.status === 'open') bracket[kind].status = 'cancelled';
+        }
+        bracket.status = 'cancelled';
+      } else if (triggered) {
+        const closingSide = isLong ? 'sell' : 'buy';
+        const size = Math.min(bracket.size, held);
+        const fills = this.matchAgainstBook(quote, closingSide, size);
+        const closeOrder = { id: `${bracket.parentOrderId}-${triggered}`, symbol, side: closingSide, tradeId: null, filledSize: 0, filledQuote: 0, fees: 0 };
+        for (const fill of fills) {
+          await this.applyPaperFill(closeOrder, fill.size, fill.price, 'taker');
+        }
+
+        console.log(`🎯 Paper ${symbol} ${triggered} triggered at $${exitPrice.toFixed(2)}`);
+        bracket[triggered] = { ...bracket[triggered], status: 'filled', fillPrice: closeOrder.avgFillPrice ?? null };
+        const sibling = triggered === 'stopLoss' ? 'takeProfit' : 'stopLoss';
+        if (bracket[sibling]?.status === 'open') bracket[sibling].status = 'cancelled';
+        bracket.status = `${triggered}_filled`;
+      } else {
+        continue;
+      }
+
+      account.brackets.delete(bracket.tradeId);
+      bracket.closedAt = new Date().toISOString();
+      await this.updateTradeLog(bracket.tradeId, { brackets: bracket }, 'paperTrades');
+    }
+  }
+
+  // Paper CANCEL: same selection rules as cancelOrders
+  async cancelPaperOrders({ symbol, clientOrderIndex, includeBrackets = false } = {}) {
+    const account = this.paperAccount;
+    const hasIndex = clientOrderIndex !== undefined && clientOrderIndex !== null;
+    const matches = order => (hasIndex ? order.clientOrderIndex === Number(clientOrderIndex) : !symbol || order.symbol === symbol);
+
+    const orders = [...account.openOrders.values()].filter(matches);
+    if (hasIndex && orders.length === 0) {
+      return { success: false, error: `Paper order ${clientOrderIndex} not found in open orders`, cancelled: 0 };
+    }
+    for (const order of orders) {
+      await this.finalizePaperOrder(order, 'cancelled', 'canceled');
+    }
 
-    try {
-      // Check if market is supported on Lighter testnet
-      if (!this.isMarketSupported(symbol)) {
-        console.error(`❌ Market ${symbol} not available on Lighter testnet. Only ETH and BTC are supported.`);
-        return { success: false, error: `${symbol} not available on Lighter testnet - only ETH and BTC supported` };
+    const brackets = [...account.brackets.values()].filter(b => !symbol || b.symbol === symbol);
+    if (includeBrackets && !hasIndex) {
+      for (const bracket of brackets) {
+        await this.cancelPaperBracket(bracket);
       }
+    }
 
-      // Get current market price
-      const marketData = await this.getMarketPrice(symbol);
-      if (!marketData) {
-        return { success: false, error: 'Could not fetch market price' };
-      }
+    await this.savePaperAccount();
+    return {
+      success: true,
+      cancelled: orders.length + (includeBrackets && !hasIndex ? brackets.length : 0),
+      failed: 0,
+      skippedTriggers: includeBrackets || hasIndex ? 0 : brackets.length
+    };
+  }
 
-      // Calculate position size
-      const maxSize = this.tradingConfig.maxPositionSizeUSD;
-      const confidenceAdjustedSize = maxSize * confidence;
-      const positionSizeUSD = position_size || confidenceAdjustedSize;
-      const finalSizeUSD = Math.min(positionSizeUSD, maxSize);
+  async cancelPaperBracket(bracket) {
+    for (const kind of ['stopLoss', 'takeProfit']) {
+      if (bracket[kind]?.status === 'open') bracket[kind].status = 'cancelled';
+    }
+    bracket.status = 'cancelled';
+    bracket.closedAt = new Date().toISOString();
+    this.paperAccount.brackets.delete(bracket.tradeId);
+    await this.updateTradeLog(bracket.tradeId, { brackets: bracket }, 'paperTrades');
+  }
 
-      // Convert USD to token amount
-      const tokenAmount = finalSizeUSD / marketData.price;
+  // Paper FLATTEN_ALL: cancel resting orders and brackets, then close every position at the book
+  async flattenPaperAccount(reason) {
+    const account = this.paperAccount;
+    console.log(`🧹 Flattening paper account (${account.positions.size} positions, ${account.openOrders.size} orders): ${reason}`);
 
-      // Determine order side
-      const side = action === 'BUY' ? 'buy' : 'sell';
-      const market = `${symbol}-USD`;
-      const isAsk = side === 'sell';
+    for (const order of [...account.openOrders.values()]) {
+      await this.finalizePaperOrder(order, 'cancelled', 'canceled');
+    }
 
-      console.log(`📝 Order details:`);
-      console.log(`   Market: ${market}`);
-      console.log(`   Side: ${side} (isAsk: ${isAsk})`);
-      console.log(`   Size: ${tokenAmount.toFixed(6)} ${symbol} (~$${finalSizeUSD.toFixed(2)})`);
-      console.log(`   Price: $${marketData.price.toFixed(2)}`);
+    for (const bracket of [...account.brackets.values()]) {
+      await this.cancelPaperBracket(bracket);
+    }
+    for (const trail of [...account.trailingStops.values()]) {
+      await this.finishTrailingStop(trail, 'cancelled', {}, true);
+    }
 
-      // Use zklighter-sdk for proper transaction signing
-      if (!SignerClient) {
-        return { success: false, error: 'zklighter-sdk not available - cannot sign transactions' };
+    const closed = [];
+    for (const [symbol, position] of [...account.positions]) {
+      const quote = await this.getPaperQuote(symbol);
+      if (!quote) {
+        closed.push({ symbol, quantity: position.quantity, success: false, error: 'Could not fetch market price' });
+        continue;
       }
 
-      // SignerClient requires the API Key Private Key (40 hex chars), NOT wallet private key
-      // This is the private key from your Lighter API key, found in account settings
-      let apiKeyPrivateKey = this.lighterConfig.apiKeyPrivateKey;
+      const side = position.quantity > 0 ? 'sell' : 'buy';
+      const result = await this.submitPaperOrder({ action: 'CLOSE', symbol, confidence: 1, reasoning: reason }, {
+        side,
+        tokenAmount: Math.abs(position.quantity),
+        orderSpec: this.closeOrderSpec(side, quote.mid),
+        quote,
+        reduceOnly: true
+      });
+      closed.push({ symbol, quantity: position.quantity, success: result.success, tradeId: result.tradeId ?? null });
+    }
 
-      if (!apiKeyPrivateKey) {
-        console.error('❌ LIGHTER_API_KEY_PRIVATE_KEY not configured');
-        console.error('   The zklighter-sdk requires your Lighter API Key Private Key (40 hex characters)');
-        console.error('   This is different from your wallet private key');
-        console.error('   Find it in your Lighter account settings under API Keys');
-        return { success: false, error: 'LIGHTER_API_KEY_PRIVATE_KEY not configured - needed for SDK signing' };
-      }
+    await this.savePaperAccount();
+    return { success: closed.every(c => c.success), positions: closed };
+  }
 
-      // Clean up the key format
-      apiKeyPrivateKey = apiKeyPrivateKey.trim();
-      if (apiKeyPrivateKey.startsWith('0x')) {
-        apiKeyPrivateKey = apiKeyPrivateKey.slice(2);
-      }
+  // Ratchet paper trailing stops on the mid; they trigger on the touch like brackets
+  async checkPaperTrailingStops(symbol, quote) {
+    const account = this.paperAccount;
 
-      const accountIdx = parseInt(this.lighterConfig.accountIndex) || 0;
-      const apiKeyIdx = parseInt(this.lighterConfig.apiKeyIndex) || 0;
-      console.log(`🔑 API Key Private Key length: ${apiKeyPrivateKey.length} chars (SDK expects 80 chars = 40 bytes)`);
-      console.log(`🔑 Account Index: ${accountIdx}, API Key Index: ${apiKeyIdx}`);
+    for (const trail of [...account.trailingStops.values()]) {
+      if (trail.symbol !== symbol) continue;
 
-      if (apiKeyPrivateKey.length !== 80) {
-        console.error(`❌ Invalid API Key Private Key length: ${apiKeyPrivateKey.length} chars, expected 80 chars (40 bytes)`);
-        return { success: false, error: `Invalid API Key Private Key length: ${apiKeyPrivateKey.length}, expected 80 chars` };
+      const isLong = trail.side === 'buy';
+      const position = account.positions.get(symbol);
+      const held = position && Math.sign(position.quantity) === (isLong ? 1 : -1) ? Math.abs(position.quantity) : 0;
+      if (held <= LEDGER_DUST) {
+        await this.finishTrailingStop(trail, 'cancelled', {}, true);
+        continue;
       }
 
-      const client = new SignerClient(
-        this.lighterConfig.baseUrl,
-        apiKeyPrivateKey,
-        apiKeyIdx,
-        accountIdx
-      );
+      this.ratchetTrailingStop(trail, quote.mid);
+      const exitPrice = isLong ? quote.bestBid : quote.bestAsk;
+      if (!this.isTrailingStopHit(trail, exitPrice)) continue;
 
-      // Order parameters for zklighter-sdk
-      const marketIndex = this.getMarketIndex(symbol);
-      const clientOrderIndex = Date.now() % 1000000;
-      // baseAmount: 10000 = 1 token (SDK uses this scaling)
-      const baseAmount = Math.floor(tokenAmount * 10000);
-      // avgExecutionPrice: price * 100 (SDK uses this scaling)
-      const avgExecutionPrice = Math.floor(marketData.price * 100);
-      const reduceOnly = false;
-
-      // Fetch the next nonce from Lighter API (required for valid signatures)
-      let nonce;
-      try {
-        const nonceResponse = await axios.get(
-          `${this.lighterConfig.baseUrl}/api/v1/nextNonce?account_index=${accountIdx}&api_key_index=${apiKeyIdx}`,
-          { timeout: 10000 }
-        );
-        nonce = nonceResponse.data?.nonce ?? nonceResponse.data?.next_nonce ?? nonceResponse.data;
-        console.log(`🔢 Fetched nonce from API: ${nonce} (response: ${JSON.stringify(nonceResponse.data)})`);
-      } catch (nonceError) {
-        console.error('❌ Could not fetch nonce from API:', nonceError.message);
-        return { success: false, error: 'Failed to fetch nonce from Lighter API - cannot execute trade' };
+      const closingSide = isLong ? 'sell' : 'buy';
+      const closeOrder = { id: `${trail.tradeId}-trailingStop`, symbol, side: closingSide, tradeId: null, filledSize: 0, filledQuote: 0, fees: 0 };
+      for (const fill of this.matchAgainstBook(quote, closingSide, Math.min(trail.size, held))) {
+        await this.applyPaperFill(closeOrder, fill.size, fill.price, 'taker');
       }
 
-      console.log('📦 SDK order params:', JSON.stringify({
-        marketIndex,
-        clientOrderIndex,
-        baseAmount,
-        avgExecutionPrice,
-        isAsk,
-        reduceOnly,
-        nonce,
-        apiKeyIndex: apiKeyIdx
-      }));
+      console.log(`🎯 Paper ${symbol} trailing stop triggered at $${exitPrice.toFixed(2)} (stop $${trail.stopPrice.toFixed(2)})`);
+      await this.finishTrailingStop(trail, 'triggered', { triggerPrice: exitPrice, fillPrice: closeOrder.avgFillPrice ?? null }, true);
+    }
+  }
 
-      // Create market order using SDK
-      await this.rateLimiter.throttle();
-      const [order, tx, err] = await client.create_market_order(
-        marketIndex,
-        clientOrderIndex,
-        baseAmount,
-        avgExecutionPrice,
-        isAsk,
-        reduceOnly,
-        nonce,
-        apiKeyIdx
-      );
+  // Apply one funding period to each open paper position at Lighter's current rate
+  async applyPaperFunding() {
+    const rates = await this.fetchFundingRateMap();
+    if (!rates) return;
 
-      if (err) {
-        console.error('SDK order creation error:', err);
-        return { success: false, error: err };
-      }
+    for (const symbol of [...this.paperAccount.positions.keys()]) {
+      const rate = rates.get(symbol);
+      if (rate === undefined) continue;
 
-      console.log('✅ Order created via SDK:', JSON.stringify(order));
-      console.log('📤 Transaction:', JSON.stringify(tx));
+      const payment = this.paperAccount.applyFunding(symbol, rate);
+      console.log(`📄 Paper funding ${symbol}: rate ${rate}, ${payment >= 0 ? 'received' : 'paid'} $${Math.abs(payment).toFixed(4)}`);
+      await this.savePaperPosition(symbol);
+    }
 
-      return {
-        success: true,
-        orderId: order?.order_id || clientOrderIndex,
-        size: tokenAmount,
-        price: marketData.price,
-        side,
-        market,
-        response: { order, tx }
-      };
+    await this.savePaperAccount();
+  }
+
+  // Lighter funding rates by symbol (null on failure)
+  async fetchFundingRateMap() {
+    try {
+      const response = await axios.get(`${this.lighterConfig.baseUrl}/api/v1/funding-rates`, {
+        headers: { 'Accept': 'application/json' },
+        timeout: 10000
+      });
 
+      const rates = new Map();
+      for (const item of response.data?.funding_rates || []) {
+        if (item.exchange !== 'lighter') continue;
+        rates.set((item.symbol || '').toUpperCase(), parseFloat(item.rate || 0));
+      }
+      return rates;
     } catch (error) {
-      console.error('Trade execution error:', error.response?.data || error.message || error);
-      return {
-        success: false,
-        error: error.response?.data?.message || error.message || String(error)
-      };
+      console.log('⚠️ Lighter funding rates fetch error:', error.message);
+      return null;
     }
   }
 
-  // Get market index for Lighter API
-  getMarketIndex(symbol) {
-    // Lighter testnet only has ETH and BTC perpetuals
-    // SOL and XRP are NOT available on testnet
-    const markets = {
-      'ETH': 0,   // ETH perpetual ✅ available
-      'BTC': 1    // BTC perpetual ✅ available
-      // SOL, XRP not available on Lighter testnet
-    };
-    return markets[symbol];  // Returns undefined if not supported
+  // Attribute a closed paper position's PnL back to the paper trades that opened it
+  async closePaperPosition(closed) {
+    const totalEntrySize = closed.entries.reduce((sum, e) => sum + e.size, 0) || 1;
+
+    console.log(`📕 Paper ${closed.symbol} position closed: realized $${closed.realizedPnL.toFixed(2)} (fees $${closed.fees.toFixed(2)}, funding $${closed.funding.toFixed(2)})`);
+
+    for (const entry of closed.entries) {
+      if (!entry.tradeId) continue;
+      const share = entry.size / totalEntrySize;
+      this.attributeAgentPnL(entry.agentId, closed.realizedPnL * share);
+      await this.updateTradeLog(entry.tradeId, {
+        'result.pnl': parseFloat((closed.realizedPnL * share).toFixed(2)),
+        'result.fees': parseFloat((closed.fees * share).toFixed(4)),
+        'result.funding': parseFloat((closed.funding * share).toFixed(4)),
+        'result.exitPrice': closed.exitPrice,
+        'result.closedAt': closed.closedAt,
+        'result.positionStatus': 'closed'
+      }, 'paperTrades');
+    }
+    await this.persistTradingState();
   }
 
-  // Check if a market is supported on Lighter testnet
-  isMarketSupported(symbol) {
-    const supportedMarkets = ['ETH', 'BTC'];
-    return supportedMarkets.includes(symbol);
-  }
+  async savePaperPosition(symbol) {
+    if (!this.db) return;
 
-  // Get current market price - tries Firebase cache first, then CoinGecko
-  async getMarketPrice(symbol) {
-    // Try to get cached price from Firebase first (avoids rate limits)
     try {
-      if (this.db) {
-        const marketDoc = await this.db.collection('marketData').doc('current').get();
-        if (marketDoc.exists) {
-          const data = marketDoc.data();
-          const symbolData = data[symbol] || data[symbol.toLowerCase()];
-          if (symbolData?.price && Date.now() - (data.timestamp || 0) < 300000) { // 5 min cache
-            console.log(`📊 Using cached price for ${symbol}: $${symbolData.price}`);
-            return { price: symbolData.price };
-          }
-        }
+      const ref = this.db.collection('paperPositions').doc(symbol);
+      const position = this.paperAccount.positions.get(symbol);
+      if (position) {
+        await ref.set({ ...position, lastUpdate: new Date().toISOString() });
+      } else {
+        await ref.delete();
       }
-    } catch (cacheError) {
-      console.log('⚠️ Cache lookup failed, trying CoinGecko:', cacheError.message);
+    } catch (error) {
+      console.error('❌ Error saving paper position:', error.message);
     }
+  }
 
-    // Fall back to CoinGecko with rate limiting
-    try {
-      const coinIds = {
-        'BTC': 'bitcoin',
-        'ETH': 'ethereum',
-        'SOL': 'solana',
-        'XRP': 'ripple'
-      };
+  // Chained like persistTradingState so snapshots land in order
+  savePaperAccount() {
+    if (!this.db) return Promise.resolve();
 
-      const coinId = coinIds[symbol] || 'ethereum';
-      await this.rateLimiter.throttle();
-      const response = await axios.get(
-        `https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd`,
-        { timeout: 10000 }
-      );
+    this.paperAccountWrite = (this.paperAccountWrite || Promise.resolve()).then(async () => {
+      try {
+        await this.db.collection('paperAccount').doc('current').set({
+          ...this.paperAccount.toJSON(),
+          lastUpdate: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('❌ Error saving paper account:', error.message);
+      }
+    });
 
-      if (response.data && response.data[coinId]) {
-        return { price: response.data[coinId].usd };
+    return this.paperAccountWrite;
+  }
+
+  async loadPaperAccount() {
+    if (!this.db || !this.isPaperTrading()) return;
+
+    try {
+      const [accountDoc, positionsSnapshot] = await Promise.all([
+        this.db.collection('paperAccount').doc('current').get(),
+        this.db.collection('paperPositions').get()
+      ]);
+
+      if (accountDoc.exists) {
+        const positions = positionsSnapshot.docs.map(doc => {
+          const { lastUpdate, ...position } = doc.data();
+          return { ...position, symbol: doc.id };
+        });
+        this.paperAccount.restore(accountDoc.data(), positions);
+      } else {
+        console.log(`📄 No paper account found - starting with $${this.paperAccount.startingBalance}`);
       }
-      return null;
-    } catch (error) {
-      console.error('Error fetching market price:', error.message);
 
-      // Last resort: use hardcoded approximate prices for testnet
-      const fallbackPrices = { 'BTC': 100000, 'ETH': 3300, 'SOL': 250, 'XRP': 3 };
-      if (fallbackPrices[symbol]) {
-        console.log(`⚠️ Using fallback price for ${symbol}: $${fallbackPrices[symbol]}`);
-        return { price: fallbackPrices[symbol] };
+      if (this.paperAccount.tradingDay !== this.tradingState.tradingDay) {
+        this.paperAccount.startDay(this.tradingState.tradingDay);
       }
-      return null;
+      await this.savePaperAccount();
+
+      console.log('📄 Paper account loaded:', {
+        equity: this.paperAccount.equity.toFixed(2),
+        positions: this.paperAccount.positions.size,
+        openOrders: this.paperAccount.openOrders.size,
+        dailyPnL: this.paperAccount.dailyPnL.toFixed(2)
+      });
+    } catch (error) {
+      console.error('❌ Error loading paper account:', error.message);
     }
   }
 
   // =========================================================================
   // TRADE LOGGING - Records all trading activity to Firebase
   // =========================================================================
-  async logTradeDecision(decision, status, reason = null, result = null) {
+  async logTradeDecision(decision, status, reason = null, result = null, collection = 'trades') {
     if (!this.db) return;
 
     try {
@@ -778,7 +5793,7 @@ class LighterStandaloneService {
       const expireAt = new Date();
       expireAt.setDate(expireAt.getDate() + 30);
 
-      // Determine if trade was successful
+      // Determine if trade was successful (submitted orders are confirmed by the order tracker)
       const wasExecuted = status === 'executed';
 
       const logEntry = {
@@ -786,58 +5801,389 @@ class LighterStandaloneService {
         plannedTrade: {
           asset: decision.symbol,
           direction: decision.action, // BUY or SELL
-          confidence: decision.confidence
+          confidence: decision.confidence,
+          orderType: decision.orderType || this.tradingConfig.defaultOrderType,
+          limitPrice: decision.limitPrice ?? null,
+          offsetBps: decision.offsetBps ?? null,
+          stopLoss: decision.stopLoss ?? null,
+          takeProfit: decision.takeProfit ?? null,
+          trailingStop: decision.trailingStop ?? null,
+          ttlMs: decision.ttlMs ?? null
         },
         result: result ? {
           orderId: result.orderId,
+          clientOrderIndex: result.clientOrderIndex,
+          orderType: result.orderType,
           size: result.size,
           price: result.price,
+          referencePrice: result.referencePrice,
           side: result.side,
+          sizing: result.sizing ?? null,
+          execution: result.execution ?? null,
           success: wasExecuted,
           pnl: 0  // Will be updated when position closes
         } : {
           success: false,
           pnl: 0
         },
+        // Pass/fail portfolio checks from the risk engine
+        risk: result?.risk ?? null,
         // Additional metadata
+        agentId: decision.agentId || DEFAULT_DECISION_AGENT,
+        decisionId: decision.decisionId ?? null,
+        arbitration: decision.arbitration ?? null,
+        timing: decision.queueTiming ? {
+          queuedAt: new Date(decision.queueTiming.enqueuedAt).toISOString(),
+          queueWaitMs: decision.queueTiming.startedAt ? decision.queueTiming.startedAt - decision.queueTiming.enqueuedAt : null,
+          executionMs: decision.queueTiming.startedAt ? Date.now() - decision.queueTiming.startedAt : null
+        } : null,
         decision: {
           action: decision.action,
           symbol: decision.symbol,
           confidence: decision.confidence,
           reasoning: decision.reasoning
         },
-        status,  // received, rejected, simulated, executed, failed, error, emergency_stop
+        status,  // received, superseded, rejected, simulated, submitted, executed, partially_filled, cancelled, expired, unknown, failed, error, emergency_stop, flattened
         reason,
         tradingState: {
           dailyTradeCount: this.tradingState.dailyTradeCount,
           dailyPnL: this.tradingState.dailyPnL,
+          dailyRealizedPnL: this.tradingState.dailyRealizedPnL,
+          unrealizedPnL: this.tradingState.unrealizedPnL,
           tradingHalted: this.tradingState.tradingHalted
         },
+        ...(collection === 'paperTrades' && {
+          paperAccount: {
+            equity: this.paperAccount.equity,
+            cash: this.paperAccount.cash,
+            dailyPnL: this.paperAccount.dailyPnL
+          }
+        }),
         timestamp: Date.now(),  // Numeric timestamp for dashboard queries
         createdAt: new Date().toISOString(),
         expireAt: expireAt  // TTL field - document expires after 30 days
       };
 
-      // Write to 'trades' collection (what PerformanceDashboard reads)
-      await this.db.collection('trades').add(logEntry);
-      console.log(`📝 Trade logged to 'trades' collection: ${status}`);
+      // Write to 'trades' collection (what PerformanceDashboard reads), or 'paperTrades'
+      const docRef = await this.db.collection(collection).add(logEntry);
+      console.log(`📝 Trade logged to '${collection}' collection: ${status}`);
+      return docRef.id;
     } catch (error) {
       console.error('Error logging trade:', error.message);
     }
   }
 
+  // =========================================================================
+  // CONTROL CHANNEL - Operator commands via Firestore 'serviceControl/lighterService'
+  // =========================================================================
+  // The web app writes { command, params, commandId, requestedBy } to the document.
+  // The service writes back { ack: { commandId, status, result } } and an entry in
+  // the document's 'audit' subcollection.
+  startControlListener() {
+    if (!this.db) {
+      console.log('⚠️ Cannot start control listener - Firebase not available');
+      return;
+    }
+
+    const controlRef = this.db.collection('serviceControl').doc('lighterService');
+
+    this.controlUnsubscribe = controlRef.onSnapshot(
+      async (snapshot) => {
+        if (!snapshot.exists) return;
+
+        const data = snapshot.data();
+        if (!data.command) return;
+
+        const commandId = String(data.commandId || data.requestedAt || '');
+        if (!commandId || data.ack?.commandId === commandId) return;
+
+        await this.handleControlCommand(controlRef, commandId, data);
+      },
+      (error) => {
+        console.error('❌ Control listener error:', error.message);
+      }
+    );
+
+    console.log('🎛️ Control listener started (serviceControl/lighterService)');
+  }
+
+  stopControlListener() {
+    if (this.controlUnsubscribe) {
+      this.controlUnsubscribe();
+      this.controlUnsubscribe = null;
+      console.log('🛑 Control listener stopped');
+    }
+  }
+
+  async handleControlCommand(controlRef, commandId, data) {
+    const { command, params = {}, requestedBy = null } = data;
+
+    // Claim the command so a second replica doesn't run it too
+    try {
+      const claimed = await this.db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(controlRef);
+        if (doc.data()?.ack?.commandId === commandId) return false;
+        transaction.set(controlRef, {
+          ack: { commandId, command, status: 'processing', processedBy: this.instanceId }
+        }, { merge: true });
+        return true;
+      });
+      if (!claimed) return;
+    } catch (error) {
+      console.error(`❌ Could not claim control command ${commandId}:`, error.message);
+      return;
+    }
+
+    console.log(`🎛️ Control command ${command} (${commandId}) from ${requestedBy || 'unknown'}`);
+
+    let status = 'ok';
+    let result;
+    try {
+      result = await this.executeControlCommand(command, params, requestedBy);
+    } catch (error) {
+      status = 'error';
+      result = { error: error.message };
+      console.error(`❌ Control command ${command} failed:`, error.message);
+    }
+
+    const ack = {
+      commandId,
+      command,
+      status,
+      result,
+      processedBy: this.instanceId,
+      processedAt: new Date().toISOString()
+    };
+
+    try {
+      await controlRef.set({ ack }, { merge: true });
+      await controlRef.collection('audit').add({
+        ...ack,
+        params,
+        requestedBy,
+        tradingHalted: this.tradingState.tradingHalted,
+        haltReason: this.tradingState.haltReason,
+        timestamp: Date.now()
+      });
+      console.log(`🎛️ Control command ${command} ${status}`);
+    } catch (error) {
+      console.error('❌ Error acknowledging control command:', error.message);
+    }
+  }
+
+  // Run one operator command. Throws on invalid input; the message becomes the ack error.
+  async executeControlCommand(command, params, requestedBy) {
+    switch (command) {
+      case 'halt': {
+        this.tradingState.tradingHalted = true;
+        this.tradingState.haltReason = `Manual halt${requestedBy ? ` by ${requestedBy}` : ''}: ${params.reason || 'no reason given'}`;
+        this.tradingState.haltCode = 'manual';
+        await this.persistTradingState();
+        this.stopTwaps(this.tradingState.haltReason);
+        console.log(`🛑 ${this.tradingState.haltReason}`);
+        return { tradingHalted: true, haltReason: this.tradingState.haltReason };
+      }
+
+      case 'resume': {
+        const previousReason = this.tradingState.haltReason;
+        this.tradingState.tradingHalted = false;
+        this.tradingState.haltReason = null;
+        this.tradingState.haltCode = null;
+        this.tradingState.circuitBreaker = null;
+        await this.persistTradingState();
+        console.log(`✅ Trading resumed (was: ${previousReason || 'not halted'})`);
+        return { tradingHalted: false, previousReason };
+      }
+
+      case 'flatten':
+        return this.flattenAll(params.reason || `Control flatten${requestedBy ? ` by ${requestedBy}` : ''}`);
+
+      case 'cancelOrders': {
+        const result = await this.cancelOrders(params);
+        if (!result.success) throw new Error(this.describeCancel(result));
+        return { ...result, summary: this.describeCancel(result) };
+      }
+
+      case 'previewDecision': {
+        // Hand-written decisions are previewed as of now; without one, the agent's latest
+        // decision (params.agentId, default RL80)
+        const decision = params.decision
+          ? { timestamp: this.now(), ...params.decision, ...(params.agentId ? { agentId: params.agentId } : {}) }
+          : await this.loadLatestDecision(params.agentId);
+        return this.previewDecision(decision, `control${requestedBy ? `:${requestedBy}` : ''}`);
+      }
+
+      // Equity includes deposits and withdrawals, so a withdrawal reads as drawdown and can
+      // trip the halt (and a deposit raises the mark). Reset after moving funds.
+      case 'resetHighWaterMark': {
+        if (!this.drawdown) throw new Error('Drawdown tracking not started');
+        const equity = await this.getAccountEquity();
+        if (!(equity > 0)) throw new Error('Could not read account equity');
+        const previous = this.drawdown.highWaterMark;
+        Object.assign(this.drawdown, { highWaterMark: 0, breached: false, reduceOnly: false, maxDrawdownPct: 0 });
+        await this.updateDrawdown(equity);
+        console.log(`📉 High-water mark reset to $${equity.toFixed(2)} (was $${previous?.toFixed(2)})`);
+        return { previous, highWaterMark: equity };
+      }
+
+      case 'setConfig': {
+        const applied = this.applyConfigChanges(params);
+        await this.db.collection('serviceControl').doc('lighterService').set({
+          configOverrides: applied
+        }, { merge: true });
+        return { applied };
+      }
+
+      case 'reloadMarkets': {
+        const loaded = await this.loadMarketRegistry();
+        if (!loaded) throw new Error('Market registry reload failed - previous registry kept');
+        return { markets: [...this.marketRegistry.keys()] };
+      }
+
+      default:
+        throw new Error(`Unknown control command: ${command}`);
+    }
+  }
+
+  // Validate and apply runtime config changes; returns the applied values
+  applyConfigChanges(params) {
+    const changes = {};
+
+    for (const [key, value] of Object.entries(params || {})) {
+      const validate = CONTROL_CONFIG_KEYS[key];
+      if (!validate) {
+        throw new Error(`Config key not adjustable at runtime: ${key}`);
+      }
+      const parsed = validate(value);
+      if (parsed === undefined) {
+        throw new Error(`Invalid value for ${key}: ${JSON.stringify(value)}`);
+      }
+      changes[key] = parsed;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw new Error('setConfig requires at least one setting');
+    }
+
+    // Validate everything before applying anything
+    Object.assign(this.tradingConfig, changes);
+    console.log('⚙️ Trading config updated:', changes);
+    return changes;
+  }
+
+  // Re-apply setConfig overrides saved by a previous run
+  async loadConfigOverrides() {
+    if (!this.db) return;
+
+    try {
+      const doc = await this.db.collection('serviceControl').doc('lighterService').get();
+      const overrides = doc.exists ? doc.data().configOverrides : null;
+      if (overrides && Object.keys(overrides).length > 0) {
+        this.applyConfigChanges(overrides);
+      }
+    } catch (error) {
+      console.error('❌ Error loading config overrides:', error.message);
+    }
+  }
+
+  // Close every open Lighter position with reduce-only market orders
+  async flattenPositions(reason) {
+    const accountData = await this.getLighterAccount();
+    if (!accountData) {
+      throw new Error('Could not fetch Lighter account positions');
+    }
+
+    const positions = this.parseLighterPositions(accountData);
+    console.log(`🧹 Flattening ${positions.size} positions: ${reason}`);
+
+    const closed = [];
+    for (const [symbol, position] of positions) {
+      const result = await this.closePosition(symbol, position.quantity, position.markPrice, reason);
+      closed.push({
+        symbol,
+        quantity: position.quantity,
+        success: result.success,
+        clientOrderIndex: result.clientOrderIndex ?? null,
+        error: result.error ? String(result.error) : null
+      });
+    }
+
+    return { success: closed.every(c => c.success), positions: closed };
+  }
+
+  // Submit a reduce-only market order closing `quantity` (signed, as held) of a position
+  async closePosition(symbol, quantity, referencePrice, reason) {
+    const side = quantity > 0 ? 'sell' : 'buy';
+    const orderSpec = this.closeOrderSpec(side, referencePrice);
+    const closeDecision = { action: 'CLOSE', symbol, confidence: 1, reasoning: reason, orderType: 'market' };
+
+    const result = await this.submitOrder({
+      symbol,
+      side,
+      tokenAmount: Math.abs(quantity),
+      orderSpec,
+      referencePrice,
+      reduceOnly: true
+    });
+
+    if (result.success) {
+      const tradeId = await this.logTradeDecision(closeDecision, 'submitted', reason, result);
+      this.trackOrder(closeDecision, result, tradeId);
+    } else {
+      await this.logTradeDecision(closeDecision, 'failed', String(result.error));
+    }
+
+    return result;
+  }
+
   // =========================================================================
   // STOP DECISION LISTENER
   // =========================================================================
-  stopDecisionListener() {
+  async stopDecisionListener() {
     if (this.decisionUnsubscribe) {
       this.decisionUnsubscribe();
       this.decisionUnsubscribe = null;
       console.log('🛑 Decision listener stopped');
     }
+
+    // Signals still waiting on arbitration are closed out, so their claims don't stay in flight
+    const rounds = [...this.arbitrations.values()];
+    this.arbitrations.clear();
+    for (const round of rounds) {
+      clearTimeout(round.timer);
+    }
+    await Promise.all(rounds.flatMap(round => round.entries.map(entry =>
+      this.rejectArbitratedDecision(entry, 'Service stopped before arbitration'))));
   }
 
   validateConfiguration() {
+    // Refuse to start on trading settings that would otherwise be quietly misread
+    const problems = [];
+    const config = this.tradingConfig;
+    if (!DRAWDOWN_ACTIONS.includes(config.drawdownAction)) {
+      problems.push(`DRAWDOWN_ACTION must be one of ${DRAWDOWN_ACTIONS.join(', ')}, got "${config.drawdownAction}"`);
+    }
+    if (!Array.isArray(config.decisionAgents)) {
+      try {
+        config.decisionAgents = parseDecisionAgents(config.decisionAgents);
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+    if (!Array.isArray(config.outcomeHorizons)) {
+      try {
+        config.outcomeHorizons = parseOutcomeHorizons(config.outcomeHorizons);
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+    if (!AGENT_ARBITRATION_POLICIES.includes(config.agentArbitration)) {
+      problems.push(`AGENT_ARBITRATION must be one of ${AGENT_ARBITRATION_POLICIES.join(', ')}, got "${config.agentArbitration}"`);
+    }
+    if (problems.length > 0) {
+      throw new Error(`Invalid configuration: ${problems.join('; ')}`);
+    }
+
     console.log('🔐 Validating Lighter configuration...');
     
     // Check for new dual-key configuration
@@ -1023,18 +6369,48 @@ class LighterStandaloneService {
     this.startTechnicalDataUpdates(); // Add OHLC technical data for TeknoScreen
     this.startMacroDataUpdates(); // Add real macro data for MacroScreen
     this.startNewsDataUpdates(); // Add crypto news from CryptoPanic + RSS
+    this.startOrderTracker();
+    this.startBracketMonitor();
+    this.startTrailingStopMonitor();
+    this.startCircuitBreaker();
+    this.startPnLUpdates();
     this.startHealthCheck();
 
-    // Start RL80 decision listener for trade execution
+    // Load Lighter markets before any order can be scaled
+    await this.loadMarketRegistry();
+    this.startMarketRegistryUpdates();
+
+    // Restore limits, cooldown, halts and operator config before any decision is processed
+    await this.loadTradingState();
+    await this.loadConfigOverrides();
+
+    // Restore open positions before any new fills are recorded
+    await this.loadPositionLedger();
+    await this.loadTrailingStops();
+    await this.loadBrackets();
+    await this.loadClientOrderIndex();
+
+    // Pick up resting orders left by a previous run before new ones are placed
+    await this.reconcileOpenOrders();
+    this.startOrderReconciler();
+    await this.loadPaperAccount();
+    await this.loadDrawdown();
+    this.startDrawdownMonitor();
+    await this.loadDecisionOutcomes();
+    this.startOutcomeTracker();
+    this.startPaperTrading();
+
+    // Start the agent decision listeners for trade execution
     this.startDecisionListener();
+    this.startControlListener();
 
     console.log('');
     console.log('═'.repeat(60));
     console.log('✅ LIGHTER SERVICE STARTED');
     console.log('═'.repeat(60));
     console.log('📊 Data Collection: ACTIVE');
-    console.log(`💰 Trade Execution: ${this.tradingConfig.enabled ? 'ENABLED' : 'DISABLED (simulation mode)'}`);
-    console.log('👂 RL80 Decision Listener: ACTIVE');
+    console.log(`💰 Trade Execution: ${this.tradingConfig.enabled ? 'ENABLED' : (this.isPaperTrading() ? 'PAPER TRADING' : 'DISABLED (simulation mode)')}`);
+    console.log(`👂 Decision Listeners: ACTIVE (${this.tradingConfig.decisionAgents.map(agent => agent.id).join(', ')})`);
     console.log('═'.repeat(60));
     console.log('');
     await this.updateServiceStatus('running');
@@ -1269,6 +6645,22 @@ class LighterStandaloneService {
     return { upper, middle, lower };
   }
 
+  // Average True Range (Wilder smoothing) of the latest candle; null if too few candles
+  calculateATR(candles, period = 14) {
+    if (candles.length < period + 1) return null;
+
+    const trueRanges = candles.slice(1).map((c, i) => {
+      const prevClose = candles[i].close;
+      return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+    });
+
+    let atr = trueRanges.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    for (let i = period; i < trueRanges.length; i++) {
+      atr = (atr * (period - 1) + trueRanges[i]) / period;
+    }
+    return atr;
+  }
+
   startAgentContextUpdates() {
     // Update agent context every 120 seconds (Fear & Greed, sentiment, trend)
     // Note: VIX, funding rate, and DXY are now fetched from real sources in startMacroDataUpdates
@@ -1786,7 +7178,8 @@ class LighterStandaloneService {
               macdHistogram: indicators.macdHistogram[indicators.macdHistogram.length - 1]?.value || 0,
               trend,
               support,
-              resistance
+              resistance,
+              atr: this.calculateATR(candles)
             }
           };
 
@@ -2584,7 +7977,6 @@ class LighterStandaloneService {
     const expiry = currentTime + (6 * 60 * 60); // 6 hours (under the 8-hour max)
 
     // Generate random hex (32 characters) using crypto for better randomness
-    const crypto = require('crypto');
     const randomHex = crypto.randomBytes(16).toString('hex'); // 32 hex chars
 
     // Create auth token in the format specified by Lighter docs
@@ -2927,8 +8319,9 @@ class LighterStandaloneService {
     console.log('🛑 Shutting down Lighter Standalone Service...');
     this.isRunning = false;
 
-    // Stop the decision listener
-    this.stopDecisionListener();
+    // Stop the decision and control listeners
+    await this.stopDecisionListener();
+    this.stopControlListener();
 
     await this.updateServiceStatus('stopped');
     console.log('✅ Service stopped gracefully');
@@ -2936,11 +8329,58 @@ class LighterStandaloneService {
   }
 }
 
-// Start the service
-const service = new LighterStandaloneService();
-service.start().catch(error => {
-  console.error('❌ Failed to start service:', error);
-  process.exit(1);
-});
+// Start the service (unless required by another script, e.g. backtest.js)
+// --preview [decision]: dry-run one decision (a JSON file or inline JSON, default the
+// current agentDecisions/RL80 document), print the Lighter order params and exit
+async function runPreview(input) {
+  const service = new LighterStandaloneService();
+  await service.firebaseReady;
+
+  // Same state the live service loads before its first decision
+  await service.loadMarketRegistry();
+  await service.loadTradingState();
+  await service.loadConfigOverrides();
+  await service.loadPositionLedger();
+  await service.loadPaperAccount();
+
+  let decision;
+  if (!input) {
+    decision = await service.loadLatestDecision();
+  } else {
+    const text = input.trim().startsWith('{') ? input : fs.readFileSync(input, 'utf8');
+    // Hand-written decisions are previewed as of now
+    decision = { timestamp: Date.now(), ...JSON.parse(text) };
+  }
+
+  const preview = await service.previewDecision(decision, 'cli');
+  console.log(JSON.stringify(preview, null, 2));
+}
+
+if (require.main === module) {
+  const previewIndex = process.argv.indexOf('--preview');
+
+  if (previewIndex !== -1) {
+    runPreview(process.argv[previewIndex + 1])
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error('❌ Preview failed:', error.message);
+        process.exit(1);
+      });
+  } else {
+    let service;
+    try {
+      service = new LighterStandaloneService();
+    } catch (error) {
+      console.error('❌ Failed to start service:', error.message);
+      process.exit(1);
+    }
+    service.start().catch(error => {
+      console.error('❌ Failed to start service:', error);
+      process.exit(1);
+    });
+  }
+}
 
-module.exports = LighterStandaloneService;
\ No newline at end of file
+module.exports = LighterStandaloneService;
+module.exports.PaperAccount = PaperAccount;
+module.exports.NonceManager = NonceManager;
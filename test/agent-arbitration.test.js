@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly } = require('./helpers');
+
+const AGENTS = [
+  { id: 'RL80', allowedSymbols: null, maxPositionSizeUSD: null, maxDailyTrades: null, cooldownMs: null, priority: 2, weight: 1 },
+  { id: 'MOMO', allowedSymbols: ['BTC'], maxPositionSizeUSD: null, maxDailyTrades: 2, cooldownMs: 60000, priority: 1, weight: 3 }
+];
+
+// Two agents; queued winners and logged losers are recorded instead of executed
+function arbitrationService(policy) {
+  const service = createService({ enabled: false, decisionAgents: AGENTS, agentArbitration: policy, agentArbitrationWindowMs: 60000 });
+  const queued = [];
+  const logged = [];
+  service.enqueueDecision = (decision, decisionId) => queued.push({ decision, decisionId });
+  service.logTradeDecision = async (decision, status, reason) => logged.push({ agentId: decision.agentId, status, reason });
+  return { service, queued, logged };
+}
+
+const signal = (agentId, action, confidence, timestamp = Date.now()) =>
+  ({ agentId, action, symbol: 'BTC', confidence, reasoning: agentId, timestamp });
+
+// Hold each signal as the listener would, then close the window without waiting for it
+async function arbitrateRound(service, signals) {
+  await quietly(async () => {
+    for (const [i, decision] of signals.entries()) {
+      await service.holdForArbitration(decision, `d${i + 1}`);
+    }
+    clearTimeout(service.arbitrations.get('BTC').timer);
+    await service.resolveArbitration('BTC');
+    await new Promise(resolve => setImmediate(resolve));
+  });
+}
+
+test('priority: the highest-priority agent executes and the others are superseded', async () => {
+  const { service, queued, logged } = arbitrationService('priority');
+  await arbitrateRound(service, [signal('MOMO', 'SELL', 0.9), signal('RL80', 'BUY', 0.6)]);
+
+  assert.equal(queued.length, 1);
+  assert.equal(queued[0].decisionId, 'd2');
+  assert.equal(queued[0].decision.arbitration.policy, 'priority');
+  assert.equal(queued[0].decision.arbitration.reason, 'RL80 has priority');
+  assert.deepEqual(queued[0].decision.arbitration.signals.map(s => s.agentId), ['MOMO', 'RL80']);
+  assert.deepEqual(logged.map(l => [l.agentId, l.status]), [['MOMO', 'superseded']]);
+  assert.match(logged[0].reason, /^Arbitration \(priority\): RL80 has priority/);
+});
+
+test('consensus: disagreement rejects every signal', async () => {
+  const { service, queued, logged } = arbitrationService('consensus');
+  await arbitrateRound(service, [signal('MOMO', 'SELL', 0.9), signal('RL80', 'BUY', 0.6)]);
+
+  assert.equal(queued.length, 0);
+  assert.deepEqual(logged.map(l => l.status), ['rejected', 'rejected']);
+  assert.match(logged[0].reason, /no consensus \(MOMO SELL, RL80 BUY\)/);
+
+  const agreed = arbitrationService('consensus');
+  await arbitrateRound(agreed.service, [signal('MOMO', 'BUY', 0.9), signal('RL80', 'BUY', 0.6)]);
+  assert.equal(agreed.queued[0].decision.agentId, 'RL80');
+});
+
+test('net: signals are netted by weight and confidence', async () => {
+  const { service, queued } = arbitrationService('net');
+  // (3 x 0.8 - 1 x 0.6) / 4 = 0.45 net SELL, carried by MOMO's order details
+  await arbitrateRound(service, [signal('MOMO', 'SELL', 0.8), signal('RL80', 'BUY', 0.6)]);
+
+  assert.equal(queued[0].decision.agentId, 'MOMO');
+  assert.equal(queued[0].decision.action, 'SELL');
+  assert.equal(queued[0].decision.confidence.toFixed(2), '0.45');
+  assert.equal(queued[0].decision.agentConfidence, 0.8);
+
+  const even = arbitrationService('net');
+  await arbitrateRound(even.service, [signal('MOMO', 'SELL', 0.2), signal('RL80', 'BUY', 0.6)]);
+  assert.equal(even.queued.length, 0);
+  assert.match(even.logged[0].reason, /signals cancel out/);
+});
+
+test('a single signal in the window executes unchanged', async () => {
+  const { service, queued, logged } = arbitrationService('priority');
+  await arbitrateRound(service, [signal('MOMO', 'BUY', 0.7)]);
+  assert.equal(queued[0].decision.arbitration, undefined);
+  assert.equal(logged.length, 0);
+});
+
+test('checkAgentBudget: per-agent symbols, daily trades and cooldown', () => {
+  const { service } = arbitrationService('priority');
+  assert.equal(service.checkAgentBudget(signal('MOMO', 'BUY', 0.7)).valid, true);
+  assert.equal(service.checkAgentBudget({ ...signal('MOMO', 'BUY', 0.7), symbol: 'ETH' }).reason, 'Symbol not allowed for MOMO: ETH');
+
+  service.getAgentStats('MOMO').lastTradeTime = service.now() - 30000;
+  assert.match(service.checkAgentBudget(signal('MOMO', 'BUY', 0.7)).reason, /^MOMO cooldown active: 30s remaining/);
+
+  service.getAgentStats('MOMO').dailyTradeCount = 2;
+  assert.equal(service.checkAgentBudget(signal('MOMO', 'BUY', 0.7)).reason, 'MOMO daily trade limit reached: 2/2');
+  assert.equal(service.checkAgentBudget(signal('RL80', 'BUY', 0.7)).valid, true);
+});
+
+test('FLIP is arbitrated as the side that trades against the position held', async () => {
+  const { service, queued } = arbitrationService('net');
+  service.tradingState.positions.set('BTC', { symbol: 'BTC', quantity: 1 });
+  assert.equal(service.getSignalDirection(signal('MOMO', 'FLIP', 0.8)), -1);
+
+  await arbitrateRound(service, [signal('MOMO', 'FLIP', 0.8), signal('RL80', 'BUY', 0.6)]);
+  assert.equal(queued[0].decision.action, 'FLIP');
+  assert.equal(queued[0].decision.confidence.toFixed(2), '0.45');
+});
+
+test('signals held when the service stops are rejected', async () => {
+  const { service, logged } = arbitrationService('priority');
+  await quietly(async () => {
+    await service.holdForArbitration(signal('MOMO', 'BUY', 0.7), 'd1');
+    await service.stopDecisionListener();
+  });
+  assert.equal(service.arbitrations.size, 0);
+  assert.deepEqual(logged.map(l => [l.agentId, l.status, l.reason]), [['MOMO', 'rejected', 'Service stopped before arbitration']]);
+});
+
+test('agents and the arbitration policy are checked at startup', () => {
+  assert.throws(() => createService({ agentArbitration: 'vote' }), /AGENT_ARBITRATION must be one of priority, consensus, net, got "vote"/);
+  assert.throws(() => createService({ decisionAgents: '{"id":"RL80"}' }), /DECISION_AGENTS JSON must be an array of agents/);
+  assert.deepEqual(createService({ decisionAgents: 'RL80,MOMO' }).tradingConfig.decisionAgents.map(agent => agent.id), ['RL80', 'MOMO']);
+});
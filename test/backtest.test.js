@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const BACKTEST = path.join(__dirname, '..', 'backtest.js');
+const HOUR = 3600;
+const START = 1760000000;
+
+// A day of hourly BTC candles rising $100 an hour, and decisions a few hours apart
+function writeFixtures(dir, decisions) {
+  const candles = Array.from({ length: 24 }, (_, i) => {
+    const open = 100000 + i * 100;
+    return { time: START + (i + 1) * HOUR, open, high: open + 150, low: open - 50, close: open + 100 };
+  });
+  fs.writeFileSync(path.join(dir, 'candles.json'), JSON.stringify({ BTC: candles }));
+  fs.writeFileSync(path.join(dir, 'decisions.jsonl'), decisions.map(d => JSON.stringify(d)).join('\n'));
+}
+
+function runBacktest(decisions, extraArgs = []) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+  try {
+    writeFixtures(dir, decisions);
+    const out = path.join(dir, 'report.json');
+    execFileSync(process.execPath, [
+      BACKTEST, '--decisions', path.join(dir, 'decisions.jsonl'), '--candles', path.join(dir, 'candles.json'),
+      '--out', out, ...extraArgs
+    ], { stdio: 'pipe' });
+    return JSON.parse(fs.readFileSync(out, 'utf8'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const at = hours => (START + hours * HOUR) * 1000 + 60000;
+
+test('backtest: replays decisions through validation, sizing and paper fills', () => {
+  const report = runBacktest([
+    { timestamp: at(1), action: 'BUY', symbol: 'BTC', confidence: 0.8, reasoning: 'trend' },
+    { timestamp: at(3), action: 'BUY', symbol: 'BTC', confidence: 0.2, reasoning: 'weak' },
+    { timestamp: at(5), action: 'HOLD', symbol: 'BTC', confidence: 0.9, reasoning: 'wait' }
+  ], ['--config', 'maxPositionSizeUSD=1000']);
+
+  assert.equal(report.config.maxPositionSizeUSD, 1000);
+  assert.equal(report.period.decisions, 3);
+  assert.equal(report.period.candles, 24);
+  assert.equal(report.decisions.simulated, 1);
+  assert.equal(report.decisions.rejected, 1);
+  assert.equal(report.decisions.hold, 1);
+  assert.equal(report.rejections['Confidence too low'], 1);
+
+  // $800 of BTC bought early in a rising market ends the day up
+  const [position] = report.openPositions;
+  assert.equal(position.symbol, 'BTC');
+  assert.equal(position.quantity > 0, true);
+  assert.equal(report.stats.finalEquity > report.stats.startingBalance, true);
+  assert.equal(report.equityCurve.length > 0, true);
+});
+
+test('backtest: config overrides change the outcome', () => {
+  const decisions = [{ timestamp: at(1), action: 'BUY', symbol: 'BTC', confidence: 0.55, reasoning: 'trend' }];
+  assert.equal(runBacktest(decisions).decisions.simulated, 1);
+  assert.equal(runBacktest(decisions, ['--config', 'minConfidence=0.6']).decisions.rejected, 1);
+});
+
+test('backtest: --help and bad arguments print the usage line', () => {
+  const help = execFileSync(process.execPath, [BACKTEST, '--help']).toString();
+  assert.match(help, /^Usage: node backtest.js --decisions/);
+
+  assert.throws(() => execFileSync(process.execPath, [BACKTEST, '--decision', 'x.jsonl'], { stdio: 'pipe' }), error => {
+    assert.equal(error.status, 1);
+    assert.match(error.stderr.toString(), /Unknown option '--decision'[\s\S]*Usage: node backtest.js/);
+    return true;
+  });
+});
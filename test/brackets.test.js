@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+const service = createService();
+
+test('resolveBracketPrice: percentages sit against the position for stops, with it for targets', () => {
+  assert.equal(service.resolveBracketPrice('2%', 100, true, 'stopLoss').price, 98);
+  assert.equal(service.resolveBracketPrice('5%', 100, true, 'takeProfit').price, 105);
+  assert.equal(service.resolveBracketPrice('2%', 100, false, 'stopLoss').price, 102);
+  assert.equal(service.resolveBracketPrice('5%', 100, false, 'takeProfit').price, 95);
+});
+
+test('resolveBracketPrice: absolute prices are used as given', () => {
+  assert.equal(service.resolveBracketPrice(95, 100, true, 'stopLoss').price, 95);
+  assert.equal(service.resolveBracketPrice('110', 100, true, 'takeProfit').price, 110);
+});
+
+test('resolveBracketPrice: refuses prices on the wrong side of entry', () => {
+  assert.match(service.resolveBracketPrice(105, 100, true, 'stopLoss').error, /wrong side of entry/);
+  assert.match(service.resolveBracketPrice(95, 100, true, 'takeProfit').error, /wrong side of entry/);
+  assert.match(service.resolveBracketPrice(95, 100, false, 'stopLoss').error, /wrong side of entry/);
+});
+
+test('resolveBracketPrice: refuses malformed specs', () => {
+  assert.match(service.resolveBracketPrice('-2%', 100, true, 'stopLoss').error, /Invalid stopLoss percent/);
+  assert.match(service.resolveBracketPrice('abc', 100, true, 'takeProfit').error, /Invalid takeProfit price/);
+  assert.match(service.resolveBracketPrice(0, 100, true, 'stopLoss').error, /Invalid stopLoss price/);
+});
+
+test('live brackets survive a restart: a leg filling afterwards still cancels its sibling', async () => {
+  const before = createService({ enabled: true });
+  before.db = new FakeFirestore();
+  let nextLeg = 10;
+  before.submitTriggerOrder = async (parent, kind, triggerPrice) => ({ triggerPrice, status: 'open', clientOrderIndex: nextLeg++ });
+  const parent = { symbol: 'BTC', marketIndex: 1, orderId: 'o1', clientOrderIndex: 7, side: 'buy', size: 1, price: 100 };
+  await quietly(() => before.placeBracketOrders({ symbol: 'BTC', stopLoss: '2%', takeProfit: '5%' }, parent, 't1'));
+  assert.equal(before.db.get('brackets/t1').closedAt, null);
+
+  const after = createService({ enabled: true });
+  after.db = before.db;
+  await quietly(() => after.loadBrackets());
+  assert.deepEqual([...after.tradingState.brackets.keys()], [7]);
+
+  // The stop-loss (10) filled while the service was down; the take-profit (11) still rests
+  const lighter = { active: [{ client_order_index: '11' }], inactive: [{ client_order_index: '10', status: 'filled', filled_base_amount: '1', filled_quote_amount: '98' }] };
+  const cancelled = [];
+  after.fetchAccountOrders = async kind => lighter[kind];
+  after.cancelLighterOrder = async (marketIndex, order) => {
+    cancelled.push(Number(order.client_order_index));
+    return { success: true };
+  };
+  after.recordFill = async () => {};
+  await quietly(() => after.checkBrackets());
+
+  assert.deepEqual(cancelled, [11]);
+  assert.equal(after.tradingState.brackets.size, 0);
+  const saved = after.db.get('brackets/t1');
+  assert.equal(saved.status, 'stopLoss_filled');
+  assert.equal(saved.takeProfit.status, 'cancelled');
+  assert.notEqual(saved.closedAt, null);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+// Breaker watching BTC; the test moves the Lighter mid and the marketData/latest price
+function breakerService(config = {}) {
+  const service = createService({
+    enabled: true,
+    allowedSymbols: ['BTC'],
+    circuitBreakerMovePct: 5,
+    circuitBreakerMaxDivergencePct: 2,
+    circuitBreakerResumeMs: 30 * MINUTE_MS,
+    ...config
+  });
+  service.db = new FakeFirestore();
+  service.breakerPrices = new Map();
+  service.breakerLastQuoteAt = new Map();
+  service.marketRegistry.set('BTC', { symbol: 'BTC', marketIndex: 1, sizeDecimals: 4, priceDecimals: 2, minBaseAmount: 0, minQuoteAmount: 0, status: 'active' });
+
+  const market = { mid: 100 };
+  service.fetchOrderBook = async () => ({
+    bids: [{ price: market.mid - 0.1, size: 10 }],
+    asks: [{ price: market.mid + 0.1, size: 10 }]
+  });
+  const setReference = (price, lastUpdate = new Date().toISOString()) =>
+    service.db.doc('marketData/latest').set({ lastUpdate, coins: { BTC: { price } } });
+  return { service, market, setReference };
+}
+
+const check = service => quietly(() => service.checkCircuitBreaker());
+
+test('a violent move within the window halts trading with a breaker code', async () => {
+  const { service, market, setReference } = breakerService();
+  await setReference(100);
+  await check(service);
+  assert.equal(service.tradingState.tradingHalted, false);
+
+  market.mid = 106;
+  await setReference(106);
+  await check(service);
+
+  assert.equal(service.tradingState.tradingHalted, true);
+  assert.equal(service.tradingState.haltCode, 'circuit_breaker:volatility');
+  assert.match(service.tradingState.haltReason, /^Circuit breaker: BTC moved 6.00% in 15min \(max 5%\)/);
+  assert.equal(service.tradingState.circuitBreaker.symbol, 'BTC');
+  assert.equal(service.db.get(`tradingState/${service.getTradingDay()}`).haltCode, 'circuit_breaker:volatility');
+});
+
+test('Lighter diverging from marketData, or stale marketData, trips the breaker', async () => {
+  const divergence = breakerService();
+  await divergence.setReference(97);
+  await check(divergence.service);
+  assert.equal(divergence.service.tradingState.haltCode, 'circuit_breaker:price_divergence');
+
+  const stale = breakerService();
+  await stale.setReference(100, new Date(Date.now() - 60 * MINUTE_MS).toISOString());
+  await check(stale.service);
+  assert.equal(stale.service.tradingState.haltCode, 'circuit_breaker:stale_data');
+  assert.match(stale.service.tradingState.haltReason, /marketData\/latest is \d+s old/);
+});
+
+test('the breaker resumes after CIRCUIT_BREAKER_RESUME_MS of calm, but never lifts another halt', async () => {
+  const { service, setReference } = breakerService();
+  await setReference(97);
+  await check(service);
+  assert.equal(service.tradingState.tradingHalted, true);
+
+  await setReference(100);
+  await check(service);
+  assert.equal(service.tradingState.tradingHalted, true);
+
+  service.tradingState.circuitBreaker.lastSignalAt -= 31 * MINUTE_MS;
+  await check(service);
+  assert.equal(service.tradingState.tradingHalted, false);
+  assert.equal(service.tradingState.circuitBreaker, null);
+
+  // A manual halt set while the breaker was tripped stays after the breaker resets
+  await setReference(97);
+  await check(service);
+  Object.assign(service.tradingState, { haltReason: 'Manual halt', haltCode: 'manual' });
+  await setReference(100);
+  service.tradingState.circuitBreaker.lastSignalAt -= 31 * MINUTE_MS;
+  await check(service);
+  assert.equal(service.tradingState.circuitBreaker, null);
+  assert.equal(service.tradingState.tradingHalted, true);
+  assert.equal(service.tradingState.haltCode, 'manual');
+});
+
+test('samples are aged on the trading clock', async () => {
+  const { service, market } = breakerService({ circuitBreakerMaxDivergencePct: 100 });
+  await service.db.doc('marketData/latest').set({ lastUpdate: new Date().toISOString(), coins: {} });
+  const start = Date.now();
+  service.now = () => start;
+  await check(service);
+
+  // 20 minutes later the first sample has left the 15 minute window
+  service.now = () => start + 20 * MINUTE_MS;
+  market.mid = 106;
+  await check(service);
+  assert.equal(service.tradingState.tradingHalted, false);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+function controlService() {
+  const service = createService({ enabled: false });
+  service.db = new FakeFirestore();
+  const controlRef = service.db.collection('serviceControl').doc('lighterService');
+  const send = (commandId, command, params, requestedBy = 'ops@example.com') =>
+    quietly(() => service.handleControlCommand(controlRef, commandId, { command, params, requestedBy }));
+  const ack = () => service.db.get('serviceControl/lighterService').ack;
+  const audit = () => Object.values(service.db.list('serviceControl/lighterService/audit'));
+  return { service, send, ack, audit };
+}
+
+test('halt and resume: acknowledged, audited and persisted', async () => {
+  const { service, send, ack, audit } = controlService();
+
+  await send('c1', 'halt', { reason: 'exchange maintenance' });
+  assert.equal(service.tradingState.tradingHalted, true);
+  assert.equal(service.tradingState.haltReason, 'Manual halt by ops@example.com: exchange maintenance');
+  assert.equal(ack().commandId, 'c1');
+  assert.equal(ack().status, 'ok');
+  assert.equal(service.db.get(`tradingState/${service.getTradingDay()}`).tradingHalted, true);
+
+  await send('c2', 'resume');
+  assert.equal(service.tradingState.tradingHalted, false);
+  assert.equal(ack().result.previousReason, 'Manual halt by ops@example.com: exchange maintenance');
+  assert.deepEqual(audit().map(entry => [entry.command, entry.status, entry.tradingHalted]),
+    [['halt', 'ok', true], ['resume', 'ok', false]]);
+});
+
+test('a command is run once even if its document is seen again', async () => {
+  const { service, send, audit } = controlService();
+  await send('c1', 'halt', { reason: 'first' });
+  service.tradingState.tradingHalted = false;
+
+  await send('c1', 'halt', { reason: 'first' });
+  assert.equal(service.tradingState.tradingHalted, false);
+  assert.equal(audit().length, 1);
+});
+
+test('setConfig: validated, applied and saved so a restart re-applies it', async () => {
+  const { service, send, ack } = controlService();
+
+  await send('c1', 'setConfig', { maxPositionSizeUSD: '250', allowedSymbols: ['btc', 'eth'] });
+  assert.equal(ack().status, 'ok');
+  assert.equal(service.tradingConfig.maxPositionSizeUSD, 250);
+  assert.deepEqual(service.tradingConfig.allowedSymbols, ['BTC', 'ETH']);
+
+  const restarted = createService({ enabled: false });
+  restarted.db = service.db;
+  await quietly(() => restarted.loadConfigOverrides());
+  assert.equal(restarted.tradingConfig.maxPositionSizeUSD, 250);
+  assert.deepEqual(restarted.tradingConfig.allowedSymbols, ['BTC', 'ETH']);
+});
+
+test('setConfig: one bad value rejects the whole command', async () => {
+  const { service, send, ack } = controlService();
+  const before = { ...service.tradingConfig };
+
+  await send('c1', 'setConfig', { maxPositionSizeUSD: 250, minConfidence: 1.5 });
+  assert.equal(ack().status, 'error');
+  assert.match(ack().result.error, /Invalid value for minConfidence/);
+  assert.equal(service.tradingConfig.maxPositionSizeUSD, before.maxPositionSizeUSD);
+
+  await send('c2', 'setConfig', { apiKey: 'x' });
+  assert.match(ack().result.error, /not adjustable at runtime: apiKey/);
+});
+
+test('unknown commands are acknowledged with an error', async () => {
+  const { send, ack, audit } = controlService();
+  await send('c1', 'reboot');
+  assert.equal(ack().status, 'error');
+  assert.equal(ack().result.error, 'Unknown control command: reboot');
+  assert.equal(audit()[0].status, 'error');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+const DECISION = { timestamp: '2026-01-01T00:00:00Z', action: 'BUY', symbol: 'BTC', confidence: 0.8, reasoning: 'breakout' };
+
+test('getDecisionId: agent-supplied IDs are kept, others hash to the same ID every time', () => {
+  const service = createService();
+  assert.equal(service.getDecisionId({ ...DECISION, decisionId: 'abc' }), 'abc');
+  assert.equal(service.getDecisionId({ ...DECISION, id: 7 }), '7');
+
+  const id = service.getDecisionId(DECISION);
+  assert.match(id, /^RL80-2026-01-01T00:00:00Z-[0-9a-f]{16}$/);
+  assert.equal(createService().getDecisionId({ ...DECISION }), id);
+  assert.notEqual(service.getDecisionId({ ...DECISION, action: 'SELL' }), id);
+});
+
+test('claimDecision: a decision is claimed once, whatever happened to it afterwards', async () => {
+  const service = createService();
+  service.db = new FakeFirestore();
+
+  assert.equal(await quietly(() => service.claimDecision('d1', DECISION)), true);
+  assert.equal(service.db.get('decisionProcessing/d1').status, 'processing');
+  assert.equal(service.db.get('decisionProcessing/d1').claimedBy, service.instanceId);
+  assert.equal(await quietly(() => service.claimDecision('d1', DECISION)), false);
+
+  await quietly(() => service.completeDecisionClaim('d1', { status: 'rejected', reason: 'Confidence too low' }));
+  assert.equal(service.db.get('decisionProcessing/d1').status, 'rejected');
+  assert.equal(await quietly(() => service.claimDecision('d1', DECISION)), false);
+});
+
+test('claimDecision: two replicas racing for one decision - exactly one wins', async () => {
+  const db = new FakeFirestore();
+  const replicas = [createService(), createService()];
+  for (const replica of replicas) replica.db = db;
+
+  const claims = await quietly(() => Promise.all(replicas.map(replica => replica.claimDecision('d1', DECISION))));
+  assert.deepEqual(claims.sort(), [false, true]);
+});
+
+test('claimDecision: fails closed when the claim cannot be recorded', async () => {
+  const service = createService();
+  assert.equal(await service.claimDecision('d1', DECISION), false);  // No Firestore
+
+  service.db = new FakeFirestore();
+  service.db.runTransaction = async () => { throw new Error('DEADLINE_EXCEEDED'); };
+  assert.equal(await quietly(() => service.claimDecision('d1', DECISION)), false);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const HORIZONS = [{ label: '1h', ms: HOUR_MS }, { label: '4h', ms: 4 * HOUR_MS }];
+
+// Outcomes priced from marketData/latest (no Lighter book)
+function outcomeService() {
+  const service = createService({ enabled: true, outcomeHorizons: HORIZONS });
+  service.db = new FakeFirestore();
+  service.fetchOrderBook = async () => null;
+  const setPrice = price => service.db.doc('marketData/latest').set({ lastUpdate: new Date().toISOString(), coins: { BTC: { price } } });
+  const saved = decisionId => service.db.get(`agentDecisions/RL80/outcomes/${decisionId}`);
+  return { service, setPrice, saved };
+}
+
+const decision = (decisionId, action, timestamp) => ({ decisionId, action, symbol: 'BTC', confidence: 0.7, timestamp });
+
+test('an executed BUY is measured at each horizon and completes once its trade closes', async () => {
+  const { service, setPrice, saved } = outcomeService();
+  const start = Date.now();
+  await setPrice(100);
+  await quietly(() => service.recordDecisionOutcome(decision('d1', 'BUY', start), { status: 'submitted', tradeId: 't1' }, 0));
+
+  const recorded = saved('d1');
+  assert.equal(recorded.referencePrice, 100);
+  assert.equal(recorded.side, 'buy');
+  assert.equal(recorded.tradeCollection, 'trades');
+  assert.equal(recorded.executed, null);
+  assert.equal(recorded.pnlStatus, 'open');
+  assert.equal(recorded.complete, false);
+
+  await setPrice(103);
+  await service.db.doc('trades/t1').set({ result: { success: true, orderStatus: 'filled' } });
+  await quietly(() => service.checkDecisionOutcomes(start + HOUR_MS + 1000));
+  let outcome = saved('d1');
+  assert.equal(outcome.horizons['1h'].price, 103);
+  assert.equal(outcome.horizons['1h'].movePct.toFixed(2), '3.00');
+  assert.equal(outcome.horizons['1h'].lateMs, 1000);
+  assert.equal(outcome.horizons['4h'].evaluatedAt, null);
+  assert.equal(outcome.executed, true);
+
+  await setPrice(98);
+  await service.db.doc('trades/t1').set({ result: { success: true, orderStatus: 'filled', positionStatus: 'closed', pnl: 12.5 } });
+  await quietly(() => service.checkDecisionOutcomes(start + 4 * HOUR_MS));
+  outcome = saved('d1');
+  assert.equal(outcome.horizons['4h'].movePct.toFixed(2), '-2.00');
+  assert.equal(outcome.realizedPnL, 12.5);
+  assert.equal(outcome.complete, true);
+  assert.equal(service.decisionOutcomes.size, 0);
+});
+
+test('a rejected decision records the move it missed', async () => {
+  const { service, setPrice, saved } = outcomeService();
+  const start = Date.now();
+  await setPrice(100);
+  await quietly(() => service.recordDecisionOutcome(decision('d1', 'SELL', start), { status: 'rejected', reason: 'Confidence too low' }, 0));
+
+  await setPrice(95);
+  await quietly(() => service.checkDecisionOutcomes(start + 4 * HOUR_MS));
+  const outcome = saved('d1');
+  assert.equal(outcome.executed, false);
+  assert.equal(outcome.horizons['1h'].missedMovePct.toFixed(2), '5.00');
+  assert.equal(outcome.reason, 'Confidence too low');
+  assert.equal(outcome.complete, true);
+});
+
+test('exits bet against the position held and realize no PnL of their own', async () => {
+  const { service, setPrice, saved } = outcomeService();
+  await setPrice(100);
+  await quietly(() => service.recordDecisionOutcome(decision('d1', 'CLOSE', Date.now()), { status: 'submitted', tradeId: 't2' }, 2));
+  assert.equal(saved('d1').side, 'sell');
+  assert.equal(saved('d1').pnlStatus, null);
+
+  await quietly(() => service.recordDecisionOutcome(decision('d2', 'HOLD', Date.now()), { status: 'hold' }, 0));
+  assert.equal(saved('d2').side, null);
+});
+
+test('pending outcomes are restored after a restart', async () => {
+  const { service, setPrice } = outcomeService();
+  await setPrice(100);
+  await quietly(() => service.recordDecisionOutcome(decision('d1', 'BUY', Date.now()), { status: 'rejected' }, 0));
+
+  const restarted = createService({ enabled: true, outcomeHorizons: HORIZONS });
+  restarted.db = service.db;
+  await quietly(() => restarted.loadDecisionOutcomes());
+  assert.deepEqual([...restarted.decisionOutcomes.keys()], ['d1']);
+});
+
+test('outcomes are priced from the Lighter mid when there is a book', async () => {
+  const { service, setPrice, saved } = outcomeService();
+  service.marketRegistry.set('BTC', { symbol: 'BTC', marketIndex: 1, sizeDecimals: 4, priceDecimals: 2, minBaseAmount: 0, minQuoteAmount: 0, status: 'active' });
+  service.fetchOrderBook = async () => ({ bids: [{ price: 101.9, size: 1 }], asks: [{ price: 102.1, size: 1 }] });
+  await setPrice(100);
+
+  await quietly(() => service.recordDecisionOutcome(decision('d1', 'BUY', Date.now()), { status: 'rejected' }, 0));
+  assert.equal(saved('d1').referencePrice, 102);
+  assert.equal(saved('d1').referenceSource, 'lighter');
+});
+
+test('trade PnL is still refreshed while horizons wait on price data', async () => {
+  const { service, setPrice, saved } = outcomeService();
+  const start = Date.now();
+  await setPrice(100);
+  await quietly(() => service.recordDecisionOutcome(decision('d1', 'BUY', start), { status: 'submitted', tradeId: 't1' }, 0));
+
+  await service.db.doc('marketData/latest').delete();
+  await service.db.doc('trades/t1').set({ result: { success: true, orderStatus: 'filled', positionStatus: 'closed', pnl: -4 } });
+  await quietly(() => service.checkDecisionOutcomes(start + HOUR_MS));
+
+  const outcome = saved('d1');
+  assert.equal(outcome.horizons['1h'].evaluatedAt, null);
+  assert.equal(outcome.realizedPnL, -4);
+  assert.equal(outcome.complete, false);
+});
+
+test('invalid OUTCOME_HORIZONS stop the service at startup', () => {
+  assert.throws(() => createService({ outcomeHorizons: '1h,soon' }), /^Error: Invalid configuration: .*soon/);
+  assert.deepEqual(createService({ outcomeHorizons: '30m,2h' }).tradingConfig.outcomeHorizons.map(h => h.ms), [30 * 60 * 1000, 2 * HOUR_MS]);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+const BOOK = {
+  bids: [{ price: 99.9, size: 100 }],
+  asks: [{ price: 100.1, size: 100 }]
+};
+
+// Service that can price and size BTC but must never sign or send anything
+function previewService() {
+  const service = createService({ enabled: false, maxSlippageBps: 50, maxPositionSizeUSD: 500, maxExposureUSD: 10000, minConfidence: 0.6 });
+  service.db = new FakeFirestore();
+  service.marketRegistry.set('BTC', { symbol: 'BTC', marketIndex: 1, sizeDecimals: 4, priceDecimals: 2, minBaseAmount: 0, minQuoteAmount: 0, status: 'active' });
+  service.fetchOrderBook = async () => structuredClone(BOOK);
+  service.getLighterAccount = async () => ({ accounts: [{ total_asset_value: '10000', positions: [] }] });
+  service.submitOrder = async () => { throw new Error('previews must never submit'); };
+  return service;
+}
+
+const decision = extra => ({ action: 'BUY', symbol: 'BTC', confidence: 0.8, reasoning: 'trend', timestamp: Date.now(), ...extra });
+
+test('previewDecision: records the order and SDK params it would sign, with its brackets', async () => {
+  const service = previewService();
+  const preview = await quietly(() => service.previewDecision(decision({ stopLoss: '2%', takeProfit: 110 }), 'control:ops'));
+
+  assert.equal(preview.status, 'would_submit');
+  assert.equal(preview.order.side, 'buy');
+  assert.equal(preview.order.orderType, 'market');
+  assert.equal(preview.order.size, 4);
+  assert.equal(preview.order.params.baseAmount, 40000);
+  assert.equal(preview.order.params.isAsk, false);
+  assert.equal(preview.order.stopLoss.triggerPrice.toFixed(2), '98.10');  // 2% under the expected fill at 100.1
+  assert.equal(preview.order.takeProfit.triggerPrice, 110);
+
+  const saved = service.db.get(`decisionPreviews/${preview.previewId}`);
+  assert.equal(saved.source, 'control:ops');
+  assert.equal(saved.status, 'would_submit');
+  assert.equal(service.tradingState.pendingOrders.size, 0);
+});
+
+test('previewDecision: a rejected decision is still planned so it can be inspected', async () => {
+  const service = previewService();
+  const preview = await quietly(() => service.previewDecision(decision({ confidence: 0.3 }), 'control'));
+
+  assert.equal(preview.status, 'rejected');
+  assert.match(preview.reason, /Confidence too low/);
+  assert.equal(preview.order.side, 'buy');
+  assert.equal(service.tradingState.tradingHalted, false);
+});
+
+test('previewDecision: schema errors and actions without an order', async () => {
+  const service = previewService();
+  const invalid = await quietly(() => service.previewDecision({ action: 'BUY' }, 'control'));
+  assert.equal(invalid.status, 'rejected');
+  assert.match(invalid.reason, /^Invalid decision: /);
+
+  const hold = await quietly(() => service.previewDecision(decision({ action: 'HOLD' }), 'control'));
+  assert.equal(hold.status, 'no_order');
+  assert.equal(Object.keys(service.db.list('decisionPreviews')).length, 2);
+});
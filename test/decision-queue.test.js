@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly } = require('./helpers');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Service whose processDecision waits on a gate per decision, recording what ran and what was superseded
+function queueService() {
+  const service = createService({ enabled: false });
+  const gates = new Map();
+  const log = { started: [], superseded: [], running: 0, maxRunning: 0 };
+
+  service.processDecision = async decision => {
+    log.started.push(decision.decisionId);
+    log.running++;
+    log.maxRunning = Math.max(log.maxRunning, log.running);
+    await new Promise(resolve => gates.set(decision.decisionId, resolve));
+    log.running--;
+    return { status: 'hold' };
+  };
+  service.logTradeDecision = async (decision, status, reason) => {
+    if (status === 'superseded') log.superseded.push([decision.decisionId, reason]);
+  };
+
+  // Let the decision in progress finish, then wait for the queue to move on
+  const release = async decisionId => {
+    gates.get(decisionId)();
+    for (let i = 0; i < 10; i++) await tick();
+  };
+  const enqueue = async (decisionId, decision) => {
+    await service.enqueueDecision(decision, decisionId);
+    for (let i = 0; i < 10; i++) await tick();
+  };
+  return { service, log, release, enqueue };
+}
+
+test('enqueueDecision: one decision executes at a time, in arrival order', async () => {
+  const { log, release, enqueue } = queueService();
+  await quietly(async () => {
+    await enqueue('a', { action: 'BUY', symbol: 'BTC', timestamp: 1 });
+    await enqueue('b', { action: 'BUY', symbol: 'ETH', timestamp: 2 });
+    assert.deepEqual(log.started, ['a']);
+    await release('a');
+    assert.deepEqual(log.started, ['a', 'b']);
+    await release('b');
+  });
+  assert.equal(log.maxRunning, 1);
+  assert.deepEqual(log.superseded, []);
+});
+
+test('enqueueDecision: a newer decision for the symbol supersedes the one still waiting', async () => {
+  const { service, log, release, enqueue } = queueService();
+  await quietly(async () => {
+    await enqueue('busy', { action: 'BUY', symbol: 'ETH', timestamp: 1 });
+    await enqueue('old', { action: 'BUY', symbol: 'BTC', timestamp: 2 });
+    await enqueue('new', { action: 'SELL', symbol: 'BTC', timestamp: 3 });
+    assert.deepEqual(service.decisionQueue.map(entry => entry.decisionId), ['new']);
+    await release('busy');
+    await release('new');
+  });
+  assert.deepEqual(log.started, ['busy', 'new']);
+  assert.deepEqual(log.superseded, [['old', 'Superseded by newer decision new']]);
+});
+
+test('enqueueDecision: a late-arriving older decision loses to the newer one waiting', async () => {
+  const { log, release, enqueue } = queueService();
+  await quietly(async () => {
+    await enqueue('busy', { action: 'BUY', symbol: 'ETH', timestamp: 1 });
+    await enqueue('new', { action: 'BUY', symbol: 'BTC', timestamp: 3 });
+    await enqueue('late', { action: 'SELL', symbol: 'BTC', timestamp: 2 });
+    await release('busy');
+    await release('new');
+  });
+  assert.deepEqual(log.started, ['busy', 'new']);
+  assert.deepEqual(log.superseded, [['late', 'Superseded by newer decision new']]);
+});
+
+test('enqueueDecision: ISO, epoch and Firestore Timestamp values are compared as times', async () => {
+  const { log, release, enqueue } = queueService();
+  const base = Date.parse('2026-01-01T12:00:00Z');
+  const firestoreTimestamp = ms => ({ toMillis: () => ms });
+  await quietly(async () => {
+    await enqueue('busy', { action: 'BUY', symbol: 'ETH', timestamp: base });
+    await enqueue('new', { action: 'BUY', symbol: 'BTC', timestamp: firestoreTimestamp(base + 2000) });
+    // Epoch seconds and an ISO string, both older than the Timestamp waiting
+    await enqueue('seconds', { action: 'SELL', symbol: 'BTC', timestamp: base / 1000 + 1 });
+    await enqueue('iso', { action: 'SELL', symbol: 'BTC', timestamp: new Date(base + 1000).toISOString() });
+    await release('busy');
+    await release('new');
+  });
+  assert.deepEqual(log.started, ['busy', 'new']);
+  assert.deepEqual(log.superseded.map(([decisionId]) => decisionId), ['seconds', 'iso']);
+});
+
+test('enqueueDecision: EMERGENCY_STOP jumps the queue', async () => {
+  const { log, release, enqueue } = queueService();
+  await quietly(async () => {
+    await enqueue('busy', { action: 'BUY', symbol: 'ETH', timestamp: 1 });
+    await enqueue('buy', { action: 'BUY', symbol: 'BTC', timestamp: 2 });
+    await enqueue('stop', { action: 'EMERGENCY_STOP', timestamp: 3 });
+    await release('busy');
+    await release('stop');
+    await release('buy');
+  });
+  assert.deepEqual(log.started, ['busy', 'stop', 'buy']);
+});
+
+test('drainDecisionQueue: queue wait and execution time are recorded with the outcome', async () => {
+  const { service, release, enqueue } = queueService();
+  const claims = [];
+  service.completeDecisionClaim = async (decisionId, outcome) => claims.push([decisionId, outcome]);
+
+  await quietly(async () => {
+    await enqueue('a', { action: 'BUY', symbol: 'BTC', timestamp: 1 });
+    await release('a');
+  });
+  const [[decisionId, outcome]] = claims;
+  assert.equal(decisionId, 'a');
+  assert.equal(outcome.status, 'hold');
+  assert.equal(Number.isFinite(outcome.queueWaitMs), true);
+  assert.equal(Number.isFinite(outcome.executionMs), true);
+});
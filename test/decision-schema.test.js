@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService } = require('./helpers');
+
+const NOW = Date.parse('2026-01-05T12:00:00Z');
+const service = createService({ maxDecisionAgeMs: 300000 });
+service.now = () => NOW;
+
+const decision = fields => ({ timestamp: NOW, symbol: 'BTC', confidence: 0.8, ...fields });
+
+test('checkDecisionSchema: a complete BUY passes', () => {
+  assert.deepEqual(service.checkDecisionSchema(decision({ action: 'BUY', orderType: 'LIMIT', stopLoss: '2%' })), []);
+});
+
+test('checkDecisionSchema: confidence is required for BUY, SELL and FLIP', () => {
+  for (const action of ['BUY', 'SELL', 'FLIP']) {
+    assert.deepEqual(service.checkDecisionSchema(decision({ action, confidence: undefined })), [`confidence: required for ${action}`]);
+  }
+});
+
+test('checkDecisionSchema: exits need no confidence', () => {
+  assert.deepEqual(service.checkDecisionSchema(decision({ action: 'CLOSE', confidence: undefined })), []);
+  assert.deepEqual(service.checkDecisionSchema(decision({ action: 'REDUCE', percent: 50, confidence: undefined })), []);
+});
+
+test('checkDecisionSchema: a confidence that is present must still be valid', () => {
+  assert.deepEqual(service.checkDecisionSchema(decision({ action: 'CLOSE', confidence: '0.8' })), ['confidence: must be a number, got "0.8"']);
+  assert.deepEqual(service.checkDecisionSchema(decision({ action: 'BUY', confidence: 1.5 })), ['confidence: must be at most 1, got 1.5']);
+});
+
+test('checkDecisionSchema: per-action required fields', () => {
+  assert.deepEqual(service.checkDecisionSchema(decision({ action: 'REDUCE' })), ['percent: required for REDUCE']);
+  assert.deepEqual(service.checkDecisionSchema(decision({ action: 'SELL', symbol: undefined })), ['symbol: required for SELL']);
+  assert.deepEqual(service.checkDecisionSchema({ action: 'HOLD', timestamp: NOW }), []);
+  assert.deepEqual(service.checkDecisionSchema({ symbol: 'BTC', timestamp: NOW }), ['action: required']);
+});
+
+test('checkDecisionSchema: reports every bad field', () => {
+  const errors = service.checkDecisionSchema(decision({ action: 'BUY', orderType: 'stop', limitPrice: -1, flatten: 'yes' }));
+  assert.equal(errors.length, 3);
+  assert.match(errors.join('; '), /orderType: must be one of/);
+  assert.match(errors.join('; '), /limitPrice: must be greater than 0/);
+  assert.match(errors.join('; '), /flatten: must be true or false/);
+});
+
+test('checkDecisionSchema: stale and future decisions are refused, EMERGENCY_STOP never is', () => {
+  assert.deepEqual(service.checkDecisionSchema(decision({ action: 'BUY', timestamp: NOW - 600000 })), ['timestamp: decision is 600s old (max 300s)']);
+  assert.deepEqual(service.checkDecisionSchema(decision({ action: 'BUY', timestamp: NOW + 120000 })), ['timestamp: 120s in the future']);
+  assert.deepEqual(service.checkDecisionSchema({ action: 'EMERGENCY_STOP', timestamp: NOW - 600000 }), []);
+});
+
+test('checkDecisionSchema: timestamps may be epoch seconds or ISO strings', () => {
+  assert.deepEqual(service.checkDecisionSchema(decision({ action: 'BUY', timestamp: NOW / 1000 })), []);
+  assert.deepEqual(service.checkDecisionSchema(decision({ action: 'BUY', timestamp: new Date(NOW).toISOString() })), []);
+  assert.match(service.checkDecisionSchema(decision({ action: 'BUY', timestamp: 'yesterday' }))[0], /^timestamp: must be epoch ms/);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+async function drawdownService(config = {}, db = new FakeFirestore()) {
+  const service = createService({ enabled: true, allowedSymbols: ['BTC'], minConfidence: 0.5, maxDrawdownPct: 10, ...config });
+  service.db = db;
+  service.lighterConfig.apiKeyPrivateKey = 'test-key';
+  await quietly(() => service.loadDrawdown());
+  return service;
+}
+
+const sample = (service, equity) => quietly(() => service.updateDrawdown(equity));
+
+test('updateDrawdown: tracks the high-water mark and the risk budget left', async () => {
+  const service = await drawdownService();
+  await sample(service, 1000);
+  await sample(service, 1200);
+  await sample(service, 1140);
+
+  const { drawdown } = service;
+  assert.equal(drawdown.highWaterMark, 1200);
+  assert.equal(drawdown.drawdownUSD, 60);
+  assert.equal(drawdown.drawdownPct, 5);
+  assert.equal(drawdown.remainingPct, 5);
+  assert.equal(drawdown.remainingUSD, 60);
+  assert.equal(service.db.get('agentContext/market').drawdown.remainingUSD, 60);
+  assert.equal(service.db.get('serviceStatus/lighterService').drawdown.highWaterMark, 1200);
+  assert.equal(service.tradingState.tradingHalted, false);
+});
+
+test('MAX_DRAWDOWN_PCT halts trading by default', async () => {
+  const service = await drawdownService();
+  await sample(service, 1000);
+  await sample(service, 890);
+
+  assert.equal(service.tradingState.tradingHalted, true);
+  assert.equal(service.tradingState.haltCode, 'max_drawdown');
+  assert.equal(service.tradingState.haltReason, 'Max drawdown: 11.00% from high-water mark $1000.00 (limit 10%)');
+  assert.equal(service.db.get('drawdown/live').breached, true);
+});
+
+test('DRAWDOWN_ACTION=reduce_only refuses new exposure until drawdown recovers', async () => {
+  const service = await drawdownService({ drawdownAction: 'reduce_only' });
+  await sample(service, 1000);
+  await sample(service, 850);
+
+  assert.equal(service.tradingState.tradingHalted, false);
+  assert.equal(service.drawdown.reduceOnly, true);
+  const buy = service.validateDecision({ action: 'BUY', symbol: 'BTC', confidence: 0.9 });
+  assert.equal(buy.valid, false);
+  assert.match(buy.reason, /^Reduce-only mode: drawdown 15.00% >= 10%/);
+
+  await sample(service, 950);
+  assert.equal(service.drawdown.reduceOnly, false);
+  assert.equal(service.validateDecision({ action: 'BUY', symbol: 'BTC', confidence: 0.9 }).valid, true);
+});
+
+test('loadDrawdown: the high-water mark survives a restart', async () => {
+  const before = await drawdownService();
+  await sample(before, 1500);
+
+  const after = await drawdownService({}, before.db);
+  assert.equal(after.drawdown.highWaterMark, 1500);
+  await sample(after, 1400);
+  assert.equal(after.drawdown.drawdownUSD, 100);
+});
+
+test('an unknown DRAWDOWN_ACTION stops the service at startup', () => {
+  assert.throws(() => createService({ drawdownAction: 'reduce-only' }),
+    /^Error: Invalid configuration: DRAWDOWN_ACTION must be one of halt, reduce_only, got "reduce-only"/);
+});
@@ -0,0 +1,220 @@
+const { mock } = require('node:test');
+
+const LighterStandaloneService = require('../lighter-background-service-standalone');
+const { NonceManager } = LighterStandaloneService;
+
+// Offline service (no Firebase, no timers) with the constructor's config logging muted
+function createService(tradingConfig = {}) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return new LighterStandaloneService({ offline: true, tradingConfig });
+  } finally {
+    console.log = log;
+  }
+}
+
+// Run fn with console output muted (the service logs every step)
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+// Run fn on a mocked clock, advancing it a second at a time while fn waits, so the
+// service's 8s rate limiter is exercised without the test waiting on it
+async function onMockClock(fn) {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  try {
+    let settled = false;
+    const run = fn().finally(() => { settled = true; });
+    while (!settled) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (!settled) mock.timers.tick(1000);
+    }
+    return await run;
+  } finally {
+    mock.timers.reset();
+  }
+}
+
+// Let submitOrder run for real up to the signer, recording the params it would sign
+function recordSigning(service) {
+  const signed = [];
+  service.createSignerClient = () => ({ client: {}, accountIdx: 0, apiKeyIdx: 2 });
+  service.nonceManager = new NonceManager(async () => 1);
+  service.sendOrder = async (client, params) => {
+    signed.push(params);
+    return [{ order_id: `o${signed.length}` }, 'tx', null];
+  };
+  return signed;
+}
+
+const clone = value => (value === undefined ? undefined : structuredClone(value));
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+function getField(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function merge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    target[key] = isPlainObject(value) && isPlainObject(target[key]) ? merge(target[key], value) : value;
+  }
+  return target;
+}
+
+// In-memory Firestore for the calls the service makes: documents and subcollections,
+// set/update/create/delete, add, where/orderBy/limit queries and transactions.
+// Server timestamps are stored as the sentinel objects firebase-admin hands out.
+class FakeFirestore {
+  constructor() {
+    this.docs = new Map();
+    this.autoId = 0;
+    this.transactions = Promise.resolve();
+  }
+
+  collection(path) {
+    return new FakeQuery(this, path);
+  }
+
+  doc(path) {
+    return new FakeDocRef(this, path);
+  }
+
+  // Stored data for a document path ('trades/abc'), or undefined
+  get(path) {
+    return clone(this.docs.get(path));
+  }
+
+  // Documents directly under a collection path, as { id: data }
+  list(path) {
+    const docs = {};
+    for (const [key, data] of this.docs) {
+      const id = key.slice(path.length + 1);
+      if (key.startsWith(path + '/') && !id.includes('/')) docs[id] = clone(data);
+    }
+    return docs;
+  }
+
+  // Transactions run one at a time, like Firestore's retries would leave them
+  runTransaction(fn) {
+    const run = this.transactions.then(() => fn({
+      get: ref => ref.get(),
+      create: (ref, data) => ref.write('create', data),
+      set: (ref, data, options) => ref.write('set', data, options),
+      update: (ref, data) => ref.write('update', data),
+      delete: ref => ref.write('delete')
+    }));
+    this.transactions = run.catch(() => {});
+    return run;
+  }
+}
+
+class FakeDocRef {
+  constructor(db, path) {
+    this.db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  collection(name) {
+    return new FakeQuery(this.db, `${this.path}/${name}`);
+  }
+
+  async get() {
+    const data = this.db.docs.get(this.path);
+    return { id: this.id, ref: this, exists: data !== undefined, data: () => clone(data) };
+  }
+
+  async set(data, options) {
+    this.write('set', data, options);
+  }
+
+  async create(data) {
+    this.write('create', data);
+  }
+
+  async update(fields) {
+    this.write('update', fields);
+  }
+
+  async delete() {
+    this.write('delete');
+  }
+
+  // Writes apply immediately; transactions call this directly, as Firestore's are synchronous
+  write(kind, data, { merge: mergeFields = false } = {}) {
+    const existing = this.db.docs.get(this.path);
+    if (kind === 'delete') {
+      this.db.docs.delete(this.path);
+    } else if (kind === 'create' && existing !== undefined) {
+      throw new Error(`ALREADY_EXISTS: ${this.path}`);
+    } else if (kind === 'update') {
+      if (existing === undefined) throw new Error(`NOT_FOUND: ${this.path}`);
+      for (const [path, value] of Object.entries(data)) {
+        const keys = path.split('.');
+        const parent = keys.slice(0, -1).reduce((node, key) => (node[key] = isPlainObject(node[key]) ? node[key] : {}), existing);
+        parent[keys[keys.length - 1]] = clone(value);
+      }
+    } else {
+      this.db.docs.set(this.path, mergeFields && existing ? merge(existing, clone(data)) : clone(data));
+    }
+  }
+}
+
+class FakeQuery {
+  constructor(db, path, filters = [], order = null, max = null) {
+    this.db = db;
+    this.path = path;
+    this.filters = filters;
+    this.order = order;
+    this.max = max;
+  }
+
+  doc(id = `auto${++this.db.autoId}`) {
+    return new FakeDocRef(this.db, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  where(field, op, value) {
+    if (op !== '==') throw new Error(`FakeFirestore: unsupported where operator ${op}`);
+    return new FakeQuery(this.db, this.path, [...this.filters, [field, value]], this.order, this.max);
+  }
+
+  orderBy(field, direction = 'asc') {
+    return new FakeQuery(this.db, this.path, this.filters, [field, direction], this.max);
+  }
+
+  limit(max) {
+    return new FakeQuery(this.db, this.path, this.filters, this.order, max);
+  }
+
+  async get() {
+    let docs = Object.entries(this.db.list(this.path))
+      .filter(([, data]) => this.filters.every(([field, value]) => getField(data, field) === value));
+    if (this.order) {
+      const [field, direction] = this.order;
+      const sign = direction === 'desc' ? -1 : 1;
+      docs = docs.filter(([, data]) => getField(data, field) !== undefined)
+        .sort(([, a], [, b]) => (getField(a, field) > getField(b, field) ? sign : -sign));
+    }
+    if (this.max !== null) docs = docs.slice(0, this.max);
+    const snapshots = docs.map(([id, data]) => ({
+      id, ref: new FakeDocRef(this.db, `${this.path}/${id}`), exists: true, data: () => clone(data)
+    }));
+    return { docs: snapshots, empty: snapshots.length === 0, size: snapshots.length, forEach: fn => snapshots.forEach(fn) };
+  }
+}
+
+module.exports = { createService, quietly, onMockClock, recordSigning, FakeFirestore };
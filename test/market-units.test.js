@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService } = require('./helpers');
+
+const service = createService();
+const market = decimals => ({ sizeDecimals: decimals, priceDecimals: 2 });
+
+test('toBaseAmount: float error is rounded off before flooring', () => {
+  assert.equal(0.29 * 100 < 29, true);  // The case being guarded against
+  assert.equal(service.toBaseAmount(market(2), 0.29), 29);
+  assert.equal(service.toBaseAmount(market(5), 0.00299), 299);
+  assert.equal(service.toBaseAmount(market(4), 1.0003), 10003);
+});
+
+test('toBaseAmount: real fractions of a unit still round down', () => {
+  assert.equal(service.toBaseAmount(market(2), 0.2999), 29);
+  assert.equal(service.toBaseAmount(market(3), 1.23456), 1234);
+  assert.equal(service.toBaseAmount(market(0), 7.9), 7);
+});
+
+test('toPriceUnits: rounds to the market price decimals', () => {
+  assert.equal(service.toPriceUnits(market(2), 100.006), 10001);
+  assert.equal(service.toPriceUnits(market(2), 99.994), 9999);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { NonceManager } = require('../lighter-background-service-standalone');
+
+// fetchNonce stub that hands out the given nonces in order and counts calls
+function fetcher(...nonces) {
+  const fetch = async () => {
+    fetch.calls++;
+    return nonces.shift() ?? null;
+  };
+  fetch.calls = 0;
+  return fetch;
+}
+
+test('withNonce: fetches once, then sequences locally in submission order', async () => {
+  const fetchNonce = fetcher(5);
+  const manager = new NonceManager(fetchNonce);
+  const used = [];
+  const submit = async nonce => {
+    used.push(nonce);
+    return [{ code: 200 }, 'tx', null];
+  };
+
+  await Promise.all([
+    manager.withNonce(0, 2, submit),
+    manager.withNonce(0, 2, submit),
+    manager.withNonce(0, 2, submit)
+  ]);
+
+  assert.deepEqual(used, [5, 6, 7]);
+  assert.equal(fetchNonce.calls, 1);
+});
+
+test('withNonce: resyncs and retries once on a nonce rejection', async () => {
+  const fetchNonce = fetcher(5, 9);
+  const manager = new NonceManager(fetchNonce);
+  const used = [];
+  const submit = async nonce => {
+    used.push(nonce);
+    return nonce === 5 ? [null, null, 'invalid nonce'] : [{ code: 200 }, 'tx', null];
+  };
+
+  const result = await manager.withNonce(0, 2, submit);
+  assert.equal(result[2], null);
+  assert.deepEqual(used, [5, 9]);
+
+  await manager.withNonce(0, 2, submit);
+  assert.deepEqual(used, [5, 9, 10]);
+  assert.equal(fetchNonce.calls, 2);
+});
+
+test('withNonce: a second nonce rejection is returned and the nonce refetched next time', async () => {
+  const fetchNonce = fetcher(5, 6, 20);
+  const manager = new NonceManager(fetchNonce);
+  const used = [];
+  let reject = true;
+  const submit = async nonce => {
+    used.push(nonce);
+    return reject ? [null, null, "code=21104 message='invalid nonce'"] : [{ code: 200 }, 'tx', null];
+  };
+
+  const result = await manager.withNonce(0, 2, submit);
+  assert.equal(result[2], "code=21104 message='invalid nonce'");
+  assert.deepEqual(used, [5, 6]);
+
+  reject = false;
+  await manager.withNonce(0, 2, submit);
+  assert.deepEqual(used, [5, 6, 20]);
+});
+
+test('withNonce: other rejections keep the nonce for the next transaction', async () => {
+  const manager = new NonceManager(fetcher(5));
+  const used = [];
+  let fail = true;
+  const submit = async nonce => {
+    used.push(nonce);
+    return fail ? [null, null, 'insufficient margin'] : [{ code: 200 }, 'tx', null];
+  };
+
+  await manager.withNonce(0, 2, submit);
+  fail = false;
+  await manager.withNonce(0, 2, submit);
+  assert.deepEqual(used, [5, 5]);
+});
+
+test('isInvalidNonceError: only Lighter\'s invalid-nonce rejection counts', () => {
+  assert.equal(NonceManager.isInvalidNonceError('invalid nonce'), true);
+  assert.equal(NonceManager.isInvalidNonceError({ code: 21104, message: 'invalid nonce' }), true);
+  assert.equal(NonceManager.isInvalidNonceError(new Error("code=21104 message='Invalid Nonce'")), true);
+  assert.equal(NonceManager.isInvalidNonceError('timeout waiting for tx with nonce 5'), false);
+  assert.equal(NonceManager.isInvalidNonceError('Failed to fetch nonce from Lighter API'), false);
+  assert.equal(NonceManager.isInvalidNonceError(null), false);
+});
+
+test('withNonce: an error that only mentions a nonce is not resent', async () => {
+  const fetchNonce = fetcher(5);
+  const manager = new NonceManager(fetchNonce);
+  const used = [];
+  const submit = async nonce => {
+    used.push(nonce);
+    return [null, null, 'timeout waiting for tx with nonce 5'];
+  };
+
+  const result = await manager.withNonce(0, 2, submit);
+  assert.equal(result[2], 'timeout waiting for tx with nonce 5');
+  assert.deepEqual(used, [5]);
+  assert.equal(fetchNonce.calls, 1);
+});
+
+test('withNonce: a thrown submit resyncs before the next transaction without blocking the queue', async () => {
+  const fetchNonce = fetcher(5, 8);
+  const manager = new NonceManager(fetchNonce);
+  const used = [];
+
+  await assert.rejects(manager.withNonce(0, 2, async nonce => {
+    used.push(nonce);
+    throw new Error('socket hang up');
+  }), /socket hang up/);
+
+  await manager.withNonce(0, 2, async nonce => {
+    used.push(nonce);
+    return [{ code: 200 }, 'tx', null];
+  });
+  assert.deepEqual(used, [5, 8]);
+});
+
+test('withNonce: keys are sequenced independently', async () => {
+  const manager = new NonceManager(async (accountIdx, apiKeyIdx) => (apiKeyIdx === 2 ? 5 : 100));
+  const used = [];
+  const submit = key => async nonce => {
+    used.push(`${key}:${nonce}`);
+    return [{ code: 200 }, 'tx', null];
+  };
+
+  await manager.withNonce(0, 2, submit('a'));
+  await manager.withNonce(0, 3, submit('b'));
+  await manager.withNonce(0, 2, submit('a'));
+  assert.deepEqual(used, ['a:5', 'b:100', 'a:6']);
+});
+
+test('withNonce: fails when Lighter returns no nonce', async () => {
+  const manager = new NonceManager(fetcher());
+  await assert.rejects(manager.withNonce(0, 2, async () => [{}, 'tx', null]), /Failed to fetch nonce/);
+});
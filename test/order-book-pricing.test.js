@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, recordSigning } = require('./helpers');
+
+const BOOK = {
+  bids: [{ price: 99.9, size: 1 }, { price: 99.5, size: 2 }],
+  asks: [{ price: 100.1, size: 1 }, { price: 100.4, size: 2 }, { price: 101, size: 10 }]
+};
+
+function pricingService(book = BOOK, config = {}) {
+  const service = createService({ enabled: false, maxSlippageBps: 50, ...config });
+  service.marketRegistry.set('BTC', { symbol: 'BTC', marketIndex: 1, sizeDecimals: 4, priceDecimals: 2, minBaseAmount: 0, minQuoteAmount: 0, status: 'active' });
+  service.fetchOrderBook = async () => (book ? structuredClone(book) : null);
+  service.getMarketPrice = async () => { throw new Error('orders must never be priced from the reference price'); };
+  return service;
+}
+
+test('getExecutionQuote: best bid/ask and mid from the Lighter book', async () => {
+  const quote = await pricingService().getExecutionQuote('BTC');
+  assert.equal(quote.bestBid, 99.9);
+  assert.equal(quote.bestAsk, 100.1);
+  assert.equal(quote.mid, 100);
+  assert.equal(quote.source, 'orderbook');
+  assert.equal(Number.isFinite(quote.fetchedAt), true);
+});
+
+test('getExecutionQuote: an unusable book is an error, never a fallback price', async () => {
+  assert.match((await pricingService(null).getExecutionQuote('BTC')).error, /order book unavailable for BTC/);
+  assert.match((await pricingService({ bids: [], asks: BOOK.asks }).getExecutionQuote('BTC')).error, /has an empty side/);
+  const crossed = { bids: [{ price: 100.2, size: 1 }], asks: BOOK.asks };
+  assert.match((await pricingService(crossed).getExecutionQuote('BTC')).error, /is crossed/);
+});
+
+test('applySlippageProtection: market orders walk the book and are signed at the slippage bound', async () => {
+  const service = pricingService();
+  const quote = await service.getExecutionQuote('BTC');
+
+  const result = service.applySlippageProtection({ orderType: 'market', price: 100 }, quote, 'buy', 2, 50);
+  assert.equal(result.orderSpec.price.toFixed(2), '100.50');  // mid + 50 bps
+  assert.equal(result.orderSpec.quotedAt, quote.fetchedAt);
+  assert.equal(result.execution.expectedPrice, 100.25);  // 1 @ 100.1 + 1 @ 100.4
+  assert.equal(result.execution.spreadBps.toFixed(2), '20.00');
+
+  const sell = service.applySlippageProtection({ orderType: 'market', price: 100 }, quote, 'sell', 3, 50);
+  assert.equal(sell.orderSpec.price.toFixed(2), '99.50');
+  assert.equal(sell.execution.expectedPrice.toFixed(4), '99.6333');
+});
+
+test('applySlippageProtection: refuses books too thin within the slippage limit', async () => {
+  const service = pricingService();
+  const quote = await service.getExecutionQuote('BTC');
+  const result = service.applySlippageProtection({ orderType: 'market', price: 100 }, quote, 'buy', 5, 50);
+  assert.match(result.error, /^Order book too thin: 3.000000 of 5.000000 available within 50 bps of mid 100.00/);
+});
+
+test('applySlippageProtection: IOC prices are clamped, resting limits may not cross the bound', async () => {
+  const service = pricingService();
+  const quote = await service.getExecutionQuote('BTC');
+
+  const ioc = service.applySlippageProtection({ orderType: 'ioc', price: 102 }, quote, 'buy', 1, 50);
+  assert.equal(ioc.orderSpec.price.toFixed(2), '100.50');
+
+  const limit = service.applySlippageProtection({ orderType: 'limit', price: 99 }, quote, 'buy', 1, 50);
+  assert.equal(limit.orderSpec.price, 99);
+  const crossing = service.applySlippageProtection({ orderType: 'limit', price: 101 }, quote, 'buy', 1, 50);
+  assert.match(crossing.error, /^Limit price 101.00 is more than 50 bps from mid 100.00/);
+});
+
+test('resolveMaxSlippageBps: a decision can only tighten the configured limit', () => {
+  const service = pricingService();
+  assert.equal(service.resolveMaxSlippageBps({}), 50);
+  assert.equal(service.resolveMaxSlippageBps({ maxSlippageBps: 20 }), 20);
+  assert.equal(service.resolveMaxSlippageBps({ maxSlippageBps: 500 }), 50);
+});
+
+test('executeTrade: no order book, no order', async () => {
+  const service = pricingService(null, { enabled: true });
+  const result = await quietly(() => service.executeTrade({ action: 'BUY', symbol: 'BTC', confidence: 0.8 }));
+  assert.equal(result.success, false);
+  assert.match(result.error, /order book unavailable for BTC/);
+});
+
+function signingService(book = BOOK) {
+  const service = pricingService(book, { enabled: true, maxQuoteAgeMs: 5000 });
+  return { service, signed: recordSigning(service) };
+}
+
+test('submitOrder: a quote gone stale in the rate limiter is re-quoted, not refused', async () => {
+  const { service, signed } = signingService();
+  const quote = await service.getExecutionQuote('BTC');
+  const { orderSpec } = service.applySlippageProtection({ orderType: 'market', price: 100 }, quote, 'buy', 1, 50);
+  service.rateLimiter.lastCall = 0;
+
+  // The book moved up while the order waited
+  service.fetchOrderBook = async () => ({ bids: [{ price: 109.9, size: 5 }], asks: [{ price: 110.1, size: 5 }] });
+  const stale = { ...orderSpec, quotedAt: Date.now() - 6000 };
+  const result = await quietly(() => service.submitOrder({ symbol: 'BTC', side: 'buy', tokenAmount: 1, orderSpec: stale, referencePrice: 100 }));
+
+  assert.equal(result.success, true);
+  assert.equal(result.price.toFixed(2), '110.55');  // new mid 110 + 50 bps
+  assert.equal(signed.length, 1);
+  assert.equal(signed[0].price, 11055);
+});
+
+test('submitOrder: a stale quote whose fresh book fails the bound is not signed', async () => {
+  const { service, signed } = signingService();
+  const quote = await service.getExecutionQuote('BTC');
+  const { orderSpec } = service.applySlippageProtection({ orderType: 'market', price: 100 }, quote, 'buy', 1, 50);
+  service.rateLimiter.lastCall = 0;
+
+  service.fetchOrderBook = async () => null;
+  const stale = { ...orderSpec, quotedAt: Date.now() - 6000 };
+  const result = await quietly(() => service.submitOrder({ symbol: 'BTC', side: 'buy', tokenAmount: 1, orderSpec: stale, referencePrice: 100 }));
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /^Order book quote is \d+ms old \(max 5000ms\) and re-quoting failed: Lighter order book unavailable for BTC - not signing/);
+  assert.equal(signed.length, 0);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+// Service tracking one BTC order, with Lighter's active/inactive order lists under the test's control
+function trackedService(orderType = 'market') {
+  const service = createService({ enabled: false, takerFeeBps: 5, makerFeeBps: 0 });
+  service.db = new FakeFirestore();
+  service.db.doc('trades/t1').set({ status: 'submitted', result: { success: true } });
+  const lighter = { active: [], inactive: [] };
+  service.fetchAccountOrders = async kind => lighter[kind];
+
+  service.trackOrder({ action: 'BUY', symbol: 'BTC' }, {
+    symbol: 'BTC', marketIndex: 1, orderId: 'o1', clientOrderIndex: 42, orderType, side: 'buy', size: 2, price: 100
+  }, 't1');
+  return { service, lighter };
+}
+
+test('pollPendingOrders: partial fills are recorded but not counted until the order is final', async () => {
+  const { service, lighter } = trackedService();
+  lighter.active = [{ client_order_index: '42', filled_base_amount: '0.5', filled_quote_amount: '50' }];
+
+  await quietly(() => service.pollPendingOrders());
+
+  const pending = service.tradingState.pendingOrders.get(42);
+  assert.equal(pending.status, 'partially_filled');
+  assert.equal(pending.avgFillPrice, 100);
+  assert.equal(service.tradingState.dailyTradeCount, 0);
+  assert.equal(service.tradingState.positions.get('BTC').quantity, 0.5);
+  assert.equal(service.db.get('trades/t1').result.orderStatus, 'partially_filled');
+});
+
+test('pollPendingOrders: a filled order is settled with its average price and fees', async () => {
+  const { service, lighter } = trackedService();
+  lighter.active = [{ client_order_index: '42', filled_base_amount: '0.5', filled_quote_amount: '50' }];
+  await quietly(() => service.pollPendingOrders());
+
+  lighter.active = [];
+  lighter.inactive = [{ client_order_index: '42', status: 'filled', filled_base_amount: '2', filled_quote_amount: '203' }];
+  await quietly(() => service.pollPendingOrders());
+
+  assert.equal(service.tradingState.pendingOrders.size, 0);
+  assert.equal(service.tradingState.dailyTradeCount, 1);
+  const trade = service.db.get('trades/t1');
+  assert.equal(trade.status, 'executed');
+  assert.equal(trade.result.orderStatus, 'filled');
+  assert.equal(trade.result.lighterStatus, 'filled');
+  assert.equal(trade.result.filledSize, 2);
+  assert.equal(trade.result.avgFillPrice, 101.5);
+  assert.equal(trade.result.fees, 0.1015);  // 5 bps taker on $203
+});
+
+test('pollPendingOrders: an order cancelled unfilled is final and never counted', async () => {
+  const { service, lighter } = trackedService('limit');
+  lighter.inactive = [{ client_order_index: '42', status: 'canceled-post-only', filled_base_amount: '0' }];
+
+  await quietly(() => service.pollPendingOrders());
+
+  assert.equal(service.tradingState.pendingOrders.size, 0);
+  assert.equal(service.tradingState.dailyTradeCount, 0);
+  const trade = service.db.get('trades/t1');
+  assert.equal(trade.status, 'cancelled');
+  assert.equal(trade.result.success, false);
+  assert.equal(service.tradingState.positions.has('BTC'), false);
+});
+
+test('mapLighterOrderStatus: Lighter statuses map onto final outcomes', () => {
+  const service = createService();
+  assert.equal(service.mapLighterOrderStatus('filled'), 'filled');
+  assert.equal(service.mapLighterOrderStatus('canceled-reduce-only'), 'cancelled');
+  assert.equal(service.mapLighterOrderStatus('canceled-expired'), 'expired');
+  assert.equal(service.mapLighterOrderStatus('open'), 'unknown');
+});
+
+test('nextClientOrderIndex: counts up past indexes still in use and continues after a restart', async () => {
+  const { service } = trackedService();
+  service.clientOrderIndex = 40;
+  service.tradingState.untrackedOrders.set('941', { clientOrderIndex: 41 });
+
+  assert.equal(service.nextClientOrderIndex(), 43);  // 41 rests untracked, 42 is pending
+  assert.equal(service.nextClientOrderIndex(), 44);
+
+  service.clientOrderIndex = 999999;
+  assert.equal(service.nextClientOrderIndex(), 1);
+  service.clientOrderIndex = 44;
+  service.nextClientOrderIndex();
+  await new Promise(resolve => setImmediate(resolve));
+
+  const restarted = createService({ enabled: false });
+  restarted.db = service.db;
+  await quietly(() => restarted.loadClientOrderIndex());
+  assert.equal(restarted.nextClientOrderIndex(), 46);
+});
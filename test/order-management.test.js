@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Live service watching BTC, with Lighter's order lists under the test's control and
+// cancels recorded instead of signed
+function managedService(config = {}) {
+  const service = createService({ enabled: true, allowedSymbols: ['BTC'], orderTtlMs: HOUR_MS, ...config });
+  service.db = new FakeFirestore();
+  service.lighterConfig.apiKeyPrivateKey = 'test-key';
+  service.marketRegistry.set('BTC', { symbol: 'BTC', marketIndex: 1, sizeDecimals: 4, priceDecimals: 2, minBaseAmount: 0, minQuoteAmount: 0, status: 'active' });
+
+  const lighter = { active: [], inactive: [], cancelled: [] };
+  service.fetchAccountOrders = async kind => lighter[kind];
+  service.cancelLighterOrder = async (marketIndex, order) => {
+    lighter.cancelled.push(order.client_order_index ?? order.order_index);
+    return { success: true };
+  };
+  service.cancelOrderByClientIndex = async (marketIndex, clientOrderIndex) => {
+    lighter.cancelled.push(clientOrderIndex);
+    return { success: true };
+  };
+  return { service, lighter };
+}
+
+const restingOrder = (clientOrderIndex, extra = {}) => ({
+  order_index: `9${clientOrderIndex}`, client_order_index: String(clientOrderIndex), is_ask: false,
+  price: '95', remaining_base_amount: '1', type: 'limit', ...extra
+});
+
+test('cancelOrders: a symbol cancels its resting orders but keeps SL/TP triggers', async () => {
+  const { service, lighter } = managedService();
+  lighter.active = [restingOrder(1), restingOrder(2), restingOrder(3, { type: 'stop-loss', trigger_price: '90' })];
+
+  const result = await quietly(() => service.cancelOrders({ symbol: 'BTC' }));
+  assert.deepEqual(lighter.cancelled, ['1', '2']);
+  assert.equal(result.cancelled, 2);
+  assert.equal(result.skippedTriggers, 1);
+  assert.equal(service.describeCancel(result), '2 cancelled, 1 SL/TP kept');
+
+  const one = await quietly(() => service.cancelOrders({ symbol: 'BTC', clientOrderIndex: 7 }));
+  assert.equal(one.cancelled, 1);
+  assert.equal(lighter.cancelled.at(-1), 7);
+});
+
+test('pollPendingOrders: a limit order resting past its TTL is cancelled and settled as expired', async () => {
+  const { service, lighter } = managedService();
+  await service.db.doc('trades/t1').set({ status: 'submitted', result: { success: true } });
+  service.trackOrder({ action: 'BUY', symbol: 'BTC', ttlMs: 1000 }, {
+    symbol: 'BTC', marketIndex: 1, clientOrderIndex: 42, orderType: 'limit', side: 'buy', size: 1, price: 95
+  }, 't1', Date.now() - 2000);
+
+  lighter.active = [restingOrder(42)];
+  await quietly(() => service.pollPendingOrders());
+  assert.deepEqual(lighter.cancelled, ['42']);
+
+  lighter.active = [];
+  lighter.inactive = [{ client_order_index: '42', status: 'canceled', filled_base_amount: '0' }];
+  await quietly(() => service.pollPendingOrders());
+
+  assert.equal(service.tradingState.pendingOrders.size, 0);
+  assert.equal(service.db.get('trades/t1').result.orderStatus, 'expired');
+});
+
+test('reconcileOpenOrders: orders from a previous run are re-tracked from their trades entry', async () => {
+  const { service, lighter } = managedService();
+  await service.db.doc('trades/t1').set({
+    status: 'partially_filled',
+    timestamp: Date.now() - HOUR_MS,
+    decision: { action: 'BUY', symbol: 'BTC' },
+    plannedTrade: { stopLoss: 90 },
+    result: { success: true, clientOrderIndex: 42, orderType: 'limit', side: 'buy', size: 1, price: 95, filledSize: 0.25, avgFillPrice: 95 }
+  });
+  lighter.active = [restingOrder(42)];
+
+  await quietly(() => service.reconcileOpenOrders());
+
+  const pending = service.tradingState.pendingOrders.get(42);
+  assert.equal(pending.tradeId, 't1');
+  assert.equal(pending.filledSize, 0.25);
+  assert.equal(pending.decision.stopLoss, 90);
+  assert.equal(service.tradingState.untrackedOrders.size, 0);
+  assert.equal(service.db.get('openOrders/current').untracked, 0);
+});
+
+test('reconcileOpenOrders: unknown orders are recorded, and cancelled once past ORDER_TTL_MS', async () => {
+  const { service, lighter } = managedService();
+  lighter.active = [restingOrder(5), restingOrder(6, { type: 'take-profit', trigger_price: '120' })];
+
+  await quietly(() => service.reconcileOpenOrders());
+  assert.deepEqual([...service.tradingState.untrackedOrders.keys()], ['95', '96']);
+  assert.equal(service.db.get('openOrders/current').untracked, 2);
+  assert.deepEqual(lighter.cancelled, []);
+
+  // An hour later the limit order is cancelled; the trigger still protects a position
+  service.tradingState.untrackedOrders.get('95').firstSeenAt -= 2 * HOUR_MS;
+  service.tradingState.untrackedOrders.get('96').firstSeenAt -= 2 * HOUR_MS;
+  await quietly(() => service.reconcileOpenOrders());
+  assert.deepEqual(lighter.cancelled, ['5']);
+  assert.deepEqual([...service.tradingState.untrackedOrders.keys()], ['96']);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService } = require('./helpers');
+
+const service = createService({ defaultOrderType: 'market', defaultOffsetBps: 10 });
+
+test('resolveOrderSpec: market orders are IOC at the reference price', () => {
+  const spec = service.resolveOrderSpec({ action: 'BUY' }, 100);
+  assert.equal(spec.orderType, 'market');
+  assert.equal(spec.price, 100);
+});
+
+test('resolveOrderSpec: limitPrice is used as given', () => {
+  const spec = service.resolveOrderSpec({ action: 'SELL', orderType: 'limit', limitPrice: 105 }, 100);
+  assert.equal(spec.orderType, 'limit');
+  assert.equal(spec.price, 105);
+});
+
+test('resolveOrderSpec: resting orders are offset away from the book, IOC across it', () => {
+  assert.equal(service.resolveOrderSpec({ action: 'BUY', orderType: 'limit' }, 100).price, 99.9);
+  assert.equal(service.resolveOrderSpec({ action: 'SELL', orderType: 'post_only' }, 100).price, 100.1);
+  assert.equal(service.resolveOrderSpec({ action: 'BUY', orderType: 'ioc', offsetBps: 20 }, 100).price, 100.2);
+  assert.equal(service.resolveOrderSpec({ action: 'SELL', orderType: 'ioc', offsetBps: 20 }, 100).price, 99.8);
+});
+
+test('resolveOrderSpec: orderType is case-insensitive and time in force differs per type', () => {
+  const limit = service.resolveOrderSpec({ action: 'BUY', orderType: 'LIMIT' }, 100);
+  const postOnly = service.resolveOrderSpec({ action: 'BUY', orderType: 'post_only' }, 100);
+  const ioc = service.resolveOrderSpec({ action: 'BUY', orderType: 'ioc' }, 100);
+  assert.equal(limit.orderType, 'limit');
+  assert.equal(new Set([limit.timeInForce, postOnly.timeInForce, ioc.timeInForce]).size, 3);
+  assert.notEqual(ioc.orderExpiry, limit.orderExpiry);
+});
+
+test('resolveOrderSpec: rejects unknown types and bad prices', () => {
+  assert.match(service.resolveOrderSpec({ action: 'BUY', orderType: 'stop' }, 100).error, /Unsupported orderType/);
+  assert.match(service.resolveOrderSpec({ action: 'BUY', orderType: 'limit', limitPrice: -1 }, 100).error, /Invalid limitPrice/);
+  assert.match(service.resolveOrderSpec({ action: 'BUY', orderType: 'limit', offsetBps: -5 }, 100).error, /Invalid offsetBps/);
+});
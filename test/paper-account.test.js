@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PaperAccount } = require('../lighter-background-service-standalone');
+const { createService } = require('./helpers');
+
+test('applyFill: adding to a position averages the entry price', () => {
+  const account = new PaperAccount(10000);
+  account.applyFill({ symbol: 'BTC', side: 'buy', size: 1, price: 100 });
+  account.applyFill({ symbol: 'BTC', side: 'buy', size: 1, price: 110 });
+
+  const position = account.positions.get('BTC');
+  assert.equal(position.quantity, 2);
+  assert.equal(position.avgEntryPrice, 105);
+  assert.equal(position.entries.length, 2);
+});
+
+test('applyFill: a partial close realizes PnL on the closed size only', () => {
+  const account = new PaperAccount(10000);
+  account.applyFill({ symbol: 'BTC', side: 'buy', size: 2, price: 100, fee: 1 });
+  const fill = account.applyFill({ symbol: 'BTC', side: 'sell', size: 0.5, price: 110, fee: 0.5 });
+
+  assert.equal(fill.closedSize, 0.5);
+  assert.equal(fill.realized, 4.5);  // 0.5 * (110 - 100) - 0.5 fee
+  assert.equal(fill.closed, null);
+
+  const position = account.positions.get('BTC');
+  assert.equal(position.quantity, 1.5);
+  assert.equal(position.avgEntryPrice, 100);
+  assert.equal(position.realizedPnL, 3.5);  // Both fees included
+  assert.equal(position.unrealizedPnL, 15);  // Marked at the fill price
+  assert.equal(account.cash, 10003.5);
+  assert.equal(account.equity, 10018.5);
+});
+
+test('applyFill: closing a short books the gain and removes the position', () => {
+  const account = new PaperAccount(10000);
+  account.applyFill({ symbol: 'ETH', side: 'sell', size: 2, price: 100 });
+  const fill = account.applyFill({ symbol: 'ETH', side: 'buy', size: 2, price: 90 });
+
+  assert.equal(fill.realized, 20);
+  assert.equal(fill.closed.side, 'short');
+  assert.equal(fill.closed.exitPrice, 90);
+  assert.equal(account.positions.has('ETH'), false);
+  assert.equal(account.equity, 10020);
+});
+
+test('applyFill: a fill larger than the position flips it at the fill price', () => {
+  const account = new PaperAccount(10000);
+  account.applyFill({ symbol: 'BTC', side: 'buy', size: 1, price: 100, agentId: 'RL80' });
+  const fill = account.applyFill({ symbol: 'BTC', side: 'sell', size: 3, price: 90, agentId: 'MOMO' });
+
+  assert.equal(fill.closedSize, 1);
+  assert.equal(fill.realized, -10);
+  assert.equal(fill.closed.side, 'long');
+  assert.equal(fill.closed.quantity, 0);
+
+  const position = account.positions.get('BTC');
+  assert.equal(position.quantity, -2);
+  assert.equal(position.avgEntryPrice, 90);
+  assert.equal(position.entries.length, 1);
+  assert.equal(position.entries[0].agentId, 'MOMO');
+  assert.equal(account.cash, 9990);
+});
+
+test('applyPaperFill: reduce-only orders never open or grow a position', async () => {
+  const service = createService({ enabled: false, paperTrading: true, takerFeeBps: 0 });
+  service.paperAccount.applyFill({ symbol: 'BTC', side: 'buy', size: 1, price: 100 });
+  const order = () => ({ id: 'close', symbol: 'BTC', side: 'sell', reduceOnly: true, filledSize: 0, filledQuote: 0, fees: 0 });
+
+  const capped = order();
+  const fill = await service.applyPaperFill(capped, 3, 110, 'taker');
+  assert.equal(fill.closedSize, 1);
+  assert.equal(capped.filledSize, 1);
+  assert.equal(capped.reduceOnlyExceeded, true);
+  assert.equal(service.paperAccount.positions.has('BTC'), false);
+
+  const flat = order();
+  assert.equal(await service.applyPaperFill(flat, 1, 110, 'taker'), null);
+  assert.equal(flat.filledSize, 0);
+  assert.equal(service.paperAccount.positions.has('BTC'), false);
+});
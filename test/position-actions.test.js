@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, onMockClock, recordSigning, FakeFirestore } = require('./helpers');
+
+const BOOK = {
+  bids: [{ price: 99.9, size: 1 }, { price: 99.6, size: 10 }],
+  asks: [{ price: 100.1, size: 1 }, { price: 100.4, size: 10 }]
+};
+
+// Live service holding 2 BTC long on Lighter; orders are captured instead of signed
+function liveService(quantity = 2) {
+  const service = createService({
+    enabled: true, maxSlippageBps: 50, closeSlippageBps: 100, maxPositionSizeUSD: 1000, maxExposureUSD: 10000
+  });
+  service.marketRegistry.set('BTC', { symbol: 'BTC', marketIndex: 1, sizeDecimals: 4, priceDecimals: 2, minBaseAmount: 0.01, minQuoteAmount: 0, status: 'active' });
+  service.fetchOrderBook = async () => structuredClone(BOOK);
+  service.getLighterAccount = async () => ({
+    accounts: [{
+      total_asset_value: '5000',
+      positions: quantity ? [{ symbol: 'BTC', position: String(Math.abs(quantity)), sign: quantity > 0 ? 1 : -1, position_value: String(Math.abs(quantity) * 100), avg_entry_price: '95' }] : []
+    }]
+  });
+  const orders = [];
+  service.submitOrder = async order => {
+    orders.push(order);
+    return { success: true, clientOrderIndex: orders.length };
+  };
+  return { service, orders };
+}
+
+test('CLOSE: reduce-only market IOC for the whole position, bounded at closeSlippageBps', async () => {
+  const { service, orders } = liveService();
+  const result = await quietly(() => service.executeTrade({ action: 'CLOSE', symbol: 'BTC', confidence: 1 }));
+
+  assert.equal(result.success, true);
+  assert.equal(orders.length, 1);
+  assert.equal(orders[0].side, 'sell');
+  assert.equal(orders[0].tokenAmount, 2);
+  assert.equal(orders[0].reduceOnly, true);
+  assert.equal(orders[0].orderSpec.price.toFixed(2), '99.00');  // mid - 100 bps
+});
+
+test('CLOSE: with the default rate limiter and quote age the exit is re-priced and signed', async () => {
+  const service = createService({ enabled: true });
+  service.marketRegistry.set('BTC', { symbol: 'BTC', marketIndex: 1, sizeDecimals: 4, priceDecimals: 2, minBaseAmount: 0.01, minQuoteAmount: 0, status: 'active' });
+  const account = {
+    accounts: [{ positions: [{ symbol: 'BTC', position: '2', sign: 1, position_value: '200', avg_entry_price: '95' }] }]
+  };
+  service.getLighterAccount = async () => {
+    await service.rateLimiter.throttle();
+    return account;
+  };
+  // The mid moves from 100 to 101 while the order waits for the limiter
+  let books = 0;
+  service.fetchOrderBook = async () => (books++ === 0 ? structuredClone(BOOK) : {
+    bids: [{ price: 100.9, size: 10 }], asks: [{ price: 101.1, size: 10 }]
+  });
+  const signed = recordSigning(service);
+  service.rateLimiter.lastCall = Date.now();
+
+  const result = await quietly(() => onMockClock(() => service.executeTrade({ action: 'CLOSE', symbol: 'BTC', confidence: 1 })));
+
+  assert.equal(result.success, true);
+  assert.equal(signed.length, 1);
+  assert.equal(signed[0].reduceOnly, true);
+  assert.equal(signed[0].baseAmount, 20000);
+  assert.equal(signed[0].price, 9999);  // new mid 101 - 100 bps
+});
+
+test('REDUCE: closes the given percent; a short is bought back', async () => {
+  const { service, orders } = liveService(-2);
+  const result = await quietly(() => service.executeTrade({ action: 'REDUCE', symbol: 'BTC', percent: 25 }));
+
+  assert.equal(result.success, true);
+  assert.equal(orders[0].side, 'buy');
+  assert.equal(orders[0].tokenAmount, 0.5);
+  assert.equal(orders[0].reduceOnly, true);
+  assert.equal(result.sizing.percent, 25);
+});
+
+test('FLIP: one order through zero, opening no more than the held size', async () => {
+  const { service, orders } = liveService();
+  const result = await quietly(() => service.executeTrade({ action: 'FLIP', symbol: 'BTC', confidence: 0.9 }));
+
+  assert.equal(result.success, true);
+  assert.equal(orders[0].side, 'sell');
+  assert.equal(orders[0].tokenAmount, 4);
+  assert.equal(orders[0].reduceOnly, false);
+  assert.equal(orders[0].orderSpec.price.toFixed(2), '99.50');  // mid - 50 bps
+});
+
+test('position actions without a position are refused', async () => {
+  const { service, orders } = liveService(0);
+  const result = await quietly(() => service.executeTrade({ action: 'CLOSE', symbol: 'BTC' }));
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'No open BTC position to close');
+  assert.equal(orders.length, 0);
+});
+
+test('FLATTEN_ALL closes every paper position', async () => {
+  const service = createService({ enabled: false, paperTrading: true, paperStartingBalanceUSD: 10000 });
+  service.db = new FakeFirestore();
+  service.marketRegistry.set('BTC', { symbol: 'BTC', marketIndex: 1, sizeDecimals: 4, priceDecimals: 2, minBaseAmount: 0, minQuoteAmount: 0, status: 'active' });
+  service.fetchOrderBook = async () => structuredClone(BOOK);
+  service.paperAccount.applyFill({ symbol: 'BTC', side: 'buy', size: 2, price: 95 });
+
+  const outcome = await quietly(() => service.processDecision({ action: 'FLATTEN_ALL', symbol: 'BTC', reasoning: 'end of day', timestamp: Date.now() }));
+
+  assert.equal(outcome.status, 'flattened');
+  assert.equal(service.paperAccount.positions.size, 0);
+});
+
+test('EMERGENCY_STOP halts trading and flattens when asked to', async () => {
+  const { service } = liveService();
+  let flattened = null;
+  service.flattenAll = async reason => {
+    flattened = reason;
+    return { success: true, positions: [] };
+  };
+
+  const outcome = await quietly(() => service.processDecision({ action: 'EMERGENCY_STOP', symbol: 'BTC', reasoning: 'exchange outage', flatten: true, timestamp: Date.now() }));
+
+  assert.equal(outcome.status, 'emergency_stop');
+  assert.equal(service.tradingState.tradingHalted, true);
+  assert.match(flattened, /exchange outage/);
+});
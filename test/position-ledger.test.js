@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+function ledgerService() {
+  const service = createService({ enabled: false });
+  service.db = new FakeFirestore();
+  return service;
+}
+
+test('recordFill: entries average in, a partial exit realizes PnL net of fees', async () => {
+  const service = ledgerService();
+  await quietly(async () => {
+    await service.recordFill({ symbol: 'BTC', side: 'buy', size: 1, price: 100, fee: 1, tradeId: 't1' });
+    await service.recordFill({ symbol: 'BTC', side: 'buy', size: 1, price: 110, fee: 1, tradeId: 't2' });
+    await service.recordFill({ symbol: 'BTC', side: 'sell', size: 1, price: 120, fee: 1 });
+  });
+
+  const position = service.tradingState.positions.get('BTC');
+  assert.equal(position.quantity, 1);
+  assert.equal(position.avgEntryPrice, 105);
+  assert.equal(position.fees, 3);
+  assert.equal(position.realizedPnL, 12);  // 15 on the exit less three fees
+  assert.equal(service.tradingState.dailyRealizedPnL, 12);
+  assert.equal(service.tradingState.dailyPnL, 12);
+  assert.equal(service.db.get('positionLedger/BTC').quantity, 1);
+});
+
+test('recordFill: closing writes each opening trade its share of the PnL', async () => {
+  const service = ledgerService();
+  await service.db.doc('trades/t1').set({ result: { status: 'filled' } });
+  await service.db.doc('trades/t2').set({ result: { status: 'filled' } });
+
+  await quietly(async () => {
+    await service.recordFill({ symbol: 'ETH', side: 'sell', size: 3, price: 100, tradeId: 't1' });
+    await service.recordFill({ symbol: 'ETH', side: 'sell', size: 1, price: 100, tradeId: 't2' });
+    await service.recordFill({ symbol: 'ETH', side: 'buy', size: 4, price: 90, fee: 2 });
+  });
+
+  assert.equal(service.tradingState.positions.has('ETH'), false);
+  assert.equal(service.db.get('positionLedger/ETH'), undefined);
+  assert.equal(service.tradingState.dailyPnL, 38);
+  assert.equal(service.db.get('trades/t1').result.pnl, 28.5);
+  assert.equal(service.db.get('trades/t2').result.pnl, 9.5);
+  assert.equal(service.db.get('trades/t2').result.exitPrice, 90);
+  assert.equal(service.db.get('trades/t2').result.positionStatus, 'closed');
+});
+
+test('syncPositionsFromLighter: books exits made on the exchange and marks what is left', async () => {
+  const service = ledgerService();
+  await quietly(() => service.recordFill({ symbol: 'BTC', side: 'buy', size: 2, price: 100 }));
+  service.getLighterAccount = async () => ({
+    accounts: [{ positions: [{ symbol: 'BTC', position: '0.5', sign: 1, position_value: '60', unrealized_pnl: '10' }] }]
+  });
+
+  await quietly(() => service.syncPositionsFromLighter());
+
+  const position = service.tradingState.positions.get('BTC');
+  assert.equal(position.quantity, 0.5);
+  assert.equal(position.exits[0].source, 'lighter_sync');
+  assert.equal(position.exits[0].price, 120);
+  assert.equal(service.tradingState.dailyRealizedPnL, 30);
+  assert.equal(service.tradingState.dailyPnL, 40);
+});
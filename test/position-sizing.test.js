@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+// Paper account with $10,000 equity, so equity-based strategies need no Lighter account
+function sizingService(config = {}) {
+  const service = createService({
+    enabled: false,
+    paperTrading: true,
+    paperStartingBalanceUSD: 10000,
+    maxPositionSizeUSD: 5000,
+    maxExposureUSD: 100000,
+    sizingStrategy: 'confidence',
+    ...config
+  });
+  service.db = new FakeFirestore();
+  return service;
+}
+
+const size = (service, decision, price = 50000, side = 'buy') =>
+  quietly(() => service.calculateOrderSize({ symbol: 'BTC', confidence: 0.5, ...decision }, price, side));
+
+test('calculateOrderSize: confidence scales MAX_POSITION_SIZE_USD', async () => {
+  const service = sizingService({ maxPositionSizeUSD: 100 });
+  const sized = await size(service, {});
+  assert.equal(sized.sizeUSD, 50);
+  assert.equal(sized.tokenAmount, 0.001);
+  assert.equal(sized.sizing.strategy, 'confidence');
+});
+
+test('calculateOrderSize: the strategy can be chosen per decision, with its own parameters', async () => {
+  const service = sizingService();
+  assert.equal((await size(service, { sizing: 'fixed_usd' })).sizeUSD, service.tradingConfig.sizingFixedUSD);
+  assert.equal((await size(service, { sizing: { strategy: 'fixed_usd', usd: 80 } })).sizeUSD, 80);
+  assert.equal((await size(service, { sizing: { strategy: 'equity_fraction', fraction: 0.01 } })).sizeUSD, 100);
+});
+
+test('calculateOrderSize: volatility target risks riskFraction of equity on a one-ATR move', async () => {
+  const service = sizingService();
+  await service.db.doc('technicalData/latest').set({ BTC: { current: { atr: 500 } } });
+
+  const sized = await size(service, { sizing: { strategy: 'volatility_target', riskFraction: 0.001 } });
+  assert.equal(sized.tokenAmount, 0.02);  // $10 at risk / $500 ATR
+  assert.equal(sized.sizing.atr, 500);
+
+  const missing = await size(service, { symbol: 'ETH', sizing: 'volatility_target' }, 2000);
+  assert.match(missing.error, /No ATR available for ETH/);
+});
+
+test('calculateOrderSize: Kelly sizes from closed trades, falling back to confidence until there are enough', async () => {
+  const service = sizingService({ sizingKellyMinTrades: 10, sizingKellyFraction: 0.25, maxPositionSizeUSD: 100 });
+  const fallback = await size(service, { sizing: 'kelly' });
+  assert.equal(fallback.sizeUSD, 50);
+  assert.match(fallback.sizing.fallback, /^confidence \(0\/10 closed trades\)/);
+
+  // 60% winners that win twice what the losers lose: Kelly 0.4, quarter Kelly 10% of equity
+  const kelly = sizingService({ sizingKellyMinTrades: 10, sizingKellyFraction: 0.25 });
+  for (let i = 0; i < 10; i++) {
+    await kelly.db.doc(`paperTrades/t${i}`).set({
+      timestamp: i, result: { positionStatus: 'closed', pnl: i < 6 ? 20 : -10 }
+    });
+  }
+  const sized = await size(kelly, { sizing: 'kelly' });
+  assert.equal(sized.sizing.kelly.toFixed(2), '0.40');
+  assert.equal(sized.sizeUSD.toFixed(2), '1000.00');
+});
+
+test('calculateOrderSize: every strategy is capped by position_size, MAX_POSITION_SIZE_USD and MAX_EXPOSURE_USD', async () => {
+  const service = sizingService({ maxPositionSizeUSD: 300, maxExposureUSD: 500 });
+  const capped = await size(service, { sizing: { strategy: 'fixed_usd', usd: 1000 } });
+  assert.equal(capped.sizeUSD, 300);
+  assert.deepEqual(capped.sizing.caps, ['maxPositionSizeUSD']);
+
+  assert.equal((await size(service, { position_size: 120, sizing: { strategy: 'fixed_usd', usd: 1000 } })).sizeUSD, 120);
+
+  service.paperAccount.applyFill({ symbol: 'ETH', side: 'buy', size: 0.2, price: 2000 });
+  const headroom = await size(service, { sizing: { strategy: 'fixed_usd', usd: 1000 } });
+  assert.equal(headroom.sizeUSD, 100);
+  assert.deepEqual(headroom.sizing.caps, ['maxPositionSizeUSD', 'maxExposureUSD']);
+
+  service.paperAccount.applyFill({ symbol: 'ETH', side: 'buy', size: 0.05, price: 2000 });
+  assert.equal((await size(service, { sizing: 'fixed_usd' })).error, 'Max exposure reached ($500)');
+});
+
+test('calculateOrderSize: sizes below the market minimum and unknown strategies are refused', async () => {
+  const service = sizingService();
+  service.marketRegistry.set('BTC', { symbol: 'BTC', marketIndex: 1, sizeDecimals: 5, priceDecimals: 1, minBaseAmount: 0.001, minQuoteAmount: 10 });
+
+  assert.match((await size(service, { sizing: { strategy: 'fixed_usd', usd: 20 } })).error, /below minimum 0.001/);
+  assert.match((await size(service, { sizing: 'martingale' })).error, /^Unsupported sizing strategy: martingale/);
+});
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, onMockClock, recordSigning } = require('./helpers');
+
+const LIMITS = {
+  enabled: false,
+  paperTrading: true,
+  maxSymbolNotionalUSD: 1000,
+  maxExposureUSD: 1000,
+  maxNetExposureUSD: 1000,
+  maxLeverage: 10,
+  maxConcentration: 1,
+  minMarginBufferPct: 0,
+  initialMarginPct: 10
+};
+
+// Paper-trading service whose account holds the given { symbol: [quantity, price] }
+function paperService(holdings = {}, limits = {}) {
+  const service = createService({ ...LIMITS, ...limits });
+  for (const [symbol, [quantity, price]] of Object.entries(holdings)) {
+    service.paperAccount.applyFill({ symbol, side: quantity > 0 ? 'buy' : 'sell', size: Math.abs(quantity), price });
+  }
+  return service;
+}
+
+const failed = risk => risk.checks.filter(check => !check.passed).map(check => check.check);
+
+test('measureRisk: exposure, leverage, concentration and margin buffer', () => {
+  const service = createService(LIMITS);
+  const account = {
+    equity: 1000,
+    positions: new Map([
+      ['BTC', { quantity: 3, markPrice: 100 }],
+      ['ETH', { quantity: -1, markPrice: 100, initialMarginPct: 20 }]
+    ])
+  };
+
+  const risk = service.measureRisk(account, 'BTC', 100, 1);
+  assert.equal(risk.symbolNotionalUSD, 400);
+  assert.equal(risk.grossExposureUSD, 500);
+  assert.equal(risk.netExposureUSD, 300);
+  assert.equal(risk.leverage, 0.5);
+  assert.equal(risk.concentration, 0.8);
+  assert.equal(risk.marginBufferPct, 94);  // 1000 - (400 * 10% + 100 * 20%)
+  assert.equal(risk.marketCount, 2);
+});
+
+test('evaluateRisk: passes within limits and fails each breached one', async () => {
+  const service = paperService({ BTC: [5, 100] });
+  assert.equal((await service.evaluateRisk({ symbol: 'BTC', side: 'buy', tokenAmount: 5, price: 100 })).passed, true);
+
+  const risk = await service.evaluateRisk({ symbol: 'BTC', side: 'buy', tokenAmount: 6, price: 100 });
+  assert.equal(risk.passed, false);
+  assert.deepEqual(failed(risk), ['symbolNotionalUSD', 'grossExposureUSD', 'netExposureUSD']);
+  assert.match(risk.reason, /grossExposureUSD 1100 > 1000/);
+});
+
+test('evaluateRisk: orders that take risk off pass even over a limit', async () => {
+  const service = paperService({ BTC: [15, 100] });
+  assert.equal((await service.evaluateRisk({ symbol: 'BTC', side: 'sell', tokenAmount: 2, price: 100 })).passed, true);
+  assert.equal((await service.evaluateRisk({ symbol: 'BTC', side: 'buy', tokenAmount: 1, price: 100 })).passed, false);
+});
+
+test('evaluateRisk: margin buffer uses INITIAL_MARGIN_PCT when the market reports none', async () => {
+  const service = paperService({}, {
+    maxSymbolNotionalUSD: 20000, maxExposureUSD: 20000, maxNetExposureUSD: 20000, minMarginBufferPct: 50, initialMarginPct: 60
+  });
+  const risk = await service.evaluateRisk({ symbol: 'BTC', side: 'buy', tokenAmount: 100, price: 100 });
+  assert.deepEqual(failed(risk), ['marginBufferPct']);  // 10000 equity - 6000 margin = 40%
+});
+
+test('evaluateRisk: concentration is skipped while only one market would be held', async () => {
+  const service = paperService({}, { maxConcentration: 0.6 });
+  const risk = await service.evaluateRisk({ symbol: 'BTC', side: 'buy', tokenAmount: 1, price: 100 });
+  const concentration = risk.checks.find(check => check.check === 'concentration');
+  assert.equal(risk.passed, true);
+  assert.equal(concentration.value, 1);
+  assert.equal(concentration.skipped, true);
+});
+
+test('evaluateRisk: concentration limits the mix once several markets are held', async () => {
+  const service = paperService({ BTC: [3, 100], ETH: [3, 100] }, { maxConcentration: 0.6 });
+
+  const risk = await service.evaluateRisk({ symbol: 'BTC', side: 'buy', tokenAmount: 2, price: 100 });
+  assert.deepEqual(failed(risk), ['concentration']);
+  assert.match(risk.reason, /concentration 0.63 > 0.6/);
+
+  // Diversifying away from a single market is never worse
+  const single = paperService({ BTC: [5, 100] }, { maxConcentration: 0.6 });
+  assert.equal((await single.evaluateRisk({ symbol: 'ETH', side: 'buy', tokenAmount: 1, price: 100 })).passed, true);
+});
+
+test('evaluateRisk: resting paper orders count as if they fill, reduce-only ones do not', async () => {
+  const service = paperService({ BTC: [5, 100] });
+  service.paperAccount.openOrders.set('o1', { id: 'o1', symbol: 'SOL', side: 'sell', size: 5, filledSize: 1, price: 100 });
+
+  const risk = await service.evaluateRisk({ symbol: 'ETH', side: 'buy', tokenAmount: 2, price: 100 });
+  assert.deepEqual(failed(risk), ['grossExposureUSD']);  // 500 held + 400 resting + 200 new
+  assert.deepEqual(risk.openOrders, [{ symbol: 'SOL', side: 'sell', size: 4 }]);
+
+  service.paperAccount.openOrders.get('o1').reduceOnly = true;
+  assert.equal((await service.evaluateRisk({ symbol: 'ETH', side: 'buy', tokenAmount: 2, price: 100 })).passed, true);
+});
+
+test('evaluateRisk: live pending orders and unsent TWAP slices count as if they fill', async () => {
+  const service = createService({ ...LIMITS, paperTrading: false });
+  service.getRiskSnapshot = async () => ({
+    source: 'lighter',
+    equity: 10000,
+    positions: new Map([['BTC', { quantity: 2, markPrice: 100 }]])
+  });
+  service.tradingState.pendingOrders.set(1, {
+    symbol: 'BTC', side: 'buy', requestedSize: 3, filledSize: 1, price: 100, decision: { action: 'BUY' }
+  });
+  service.tradingState.pendingOrders.set(2, {
+    symbol: 'BTC', side: 'sell', requestedSize: 2, filledSize: 0, price: 100, decision: { action: 'CLOSE' }
+  });
+  service.tradingState.twaps.set('t1', {
+    symbol: 'ETH', side: 'buy', totalSize: 4, submittedSize: 1, referencePrice: 100, status: 'running'
+  });
+
+  const risk = await service.evaluateRisk({ symbol: 'ETH', side: 'buy', tokenAmount: 2, price: 100 });
+  const gross = risk.checks.find(check => check.check === 'grossExposureUSD');
+  assert.equal(gross.before, 700);  // 200 held + 200 pending BUY + 300 unsent TWAP; the CLOSE is left out
+  assert.equal(gross.value, 900);
+  assert.deepEqual(risk.openOrders, [{ symbol: 'BTC', side: 'buy', size: 2 }, { symbol: 'ETH', side: 'buy', size: 3 }]);
+});
+
+test('evaluateRisk: refuses the order when the account cannot be read', async () => {
+  const service = createService({ ...LIMITS, paperTrading: false });
+  service.getRiskSnapshot = async () => ({ error: 'Could not fetch Lighter account - positions and equity unknown' });
+  const risk = await service.evaluateRisk({ symbol: 'BTC', side: 'buy', tokenAmount: 1, price: 100 });
+  assert.equal(risk.passed, false);
+  assert.match(risk.reason, /Could not fetch Lighter account/);
+});
+
+test('setConfig: the concentration and margin limits are adjustable at runtime', () => {
+  const service = createService(LIMITS);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    assert.deepEqual(service.applyConfigChanges({ maxConcentration: '0.5', minMarginBufferPct: 25, initialMarginPct: 5 }),
+      { maxConcentration: 0.5, minMarginBufferPct: 25, initialMarginPct: 5 });
+  } finally {
+    console.log = log;
+  }
+  assert.throws(() => service.applyConfigChanges({ maxConcentration: 1.5 }), /Invalid value for maxConcentration/);
+});
+
+test('a default-config live BUY clears the rate limiter, risk checks and quote age and is signed', async () => {
+  const service = createService({ enabled: true });
+  service.marketRegistry.set('BTC', { symbol: 'BTC', marketIndex: 1, sizeDecimals: 4, priceDecimals: 2, minBaseAmount: 0, minQuoteAmount: 0, status: 'active' });
+  service.fetchOrderBook = async () => ({
+    bids: [{ price: 99.9, size: 100 }], asks: [{ price: 100.1, size: 100 }]
+  });
+  // Account reads share the 8s limiter with order submission, as on Lighter
+  service.getLighterAccount = async () => {
+    await service.rateLimiter.throttle();
+    return { accounts: [{ total_asset_value: '10000', collateral: '10000', positions: [] }] };
+  };
+  const signed = recordSigning(service);
+  service.rateLimiter.lastCall = Date.now();
+
+  const result = await quietly(() => onMockClock(() => service.executeTrade({ action: 'BUY', symbol: 'BTC', confidence: 0.8 })));
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(signed.length, 1);
+  assert.equal(signed[0].isAsk, false);
+  assert.equal(signed[0].price, 10050);  // mid + the default 50 bps
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function serviceOn(db) {
+  const service = createService({ enabled: false });
+  service.db = db;
+  return service;
+}
+
+test('loadTradingState: a restart on the same UTC day keeps limits, cooldown and halts', async () => {
+  const db = new FakeFirestore();
+  const before = serviceOn(db);
+  Object.assign(before.tradingState, {
+    dailyTradeCount: 3,
+    dailyRealizedPnL: -12.5,
+    lastTradeTime: 1234,
+    tradingHalted: true,
+    haltReason: 'EMERGENCY_STOP: agent request'
+  });
+  await before.persistTradingState();
+
+  const after = serviceOn(db);
+  await quietly(() => after.loadTradingState());
+
+  assert.equal(after.tradingState.dailyTradeCount, 3);
+  assert.equal(after.tradingState.dailyRealizedPnL, -12.5);
+  assert.equal(after.tradingState.dailyPnL, -12.5);
+  assert.equal(after.tradingState.lastTradeTime, 1234);
+  assert.equal(after.tradingState.tradingHalted, true);
+  assert.equal(after.tradingState.haltReason, 'EMERGENCY_STOP: agent request');
+});
+
+test('loadTradingState: state from an earlier day resets the daily counters but not the halt', async () => {
+  const db = new FakeFirestore();
+  const service = serviceOn(db);
+  const today = service.getTradingDay();
+  const yesterday = service.getTradingDay(Date.now() - DAY_MS);
+  await db.doc(`tradingState/${yesterday}`).set({
+    tradingDay: yesterday, dailyTradeCount: 9, dailyRealizedPnL: -40, lastTradeTime: 5678,
+    tradingHalted: true, haltReason: 'EMERGENCY_STOP: manual'
+  });
+
+  await quietly(() => service.loadTradingState());
+
+  assert.equal(service.tradingState.tradingDay, today);
+  assert.equal(service.tradingState.dailyTradeCount, 0);
+  assert.equal(service.tradingState.dailyRealizedPnL, 0);
+  assert.equal(service.tradingState.lastTradeTime, 5678);
+  assert.equal(service.tradingState.tradingHalted, true);
+  assert.equal(db.get(`tradingState/${today}`).tradingHalted, true);
+});
+
+test('loadTradingState: the most recent day is the one restored', async () => {
+  const db = new FakeFirestore();
+  const service = serviceOn(db);
+  const today = service.getTradingDay();
+  await db.doc('tradingState/2020-01-01').set({ tradingDay: '2020-01-01', dailyTradeCount: 1, tradingHalted: true, haltReason: 'old' });
+  await db.doc(`tradingState/${today}`).set({ tradingDay: today, dailyTradeCount: 4, tradingHalted: false });
+
+  await quietly(() => service.loadTradingState());
+
+  assert.equal(service.tradingState.dailyTradeCount, 4);
+  assert.equal(service.tradingState.tradingHalted, false);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+// Live service whose Lighter mark price the test moves; closes are recorded instead of signed
+function trailingService() {
+  const service = createService({ enabled: true });
+  service.db = new FakeFirestore();
+  const lighter = { quantity: 1, markPrice: 100, closes: [] };
+  service.getLighterAccount = async () => ({
+    accounts: [{
+      positions: lighter.quantity ? [{ symbol: 'BTC', position: String(lighter.quantity), sign: 1, position_value: String(lighter.quantity * lighter.markPrice), avg_entry_price: '100' }] : []
+    }]
+  });
+  service.closePosition = async (symbol, quantity, referencePrice, reason) => {
+    lighter.closes.push({ symbol, quantity, referencePrice, reason });
+    return { success: true, clientOrderIndex: 77 };
+  };
+  return { service, lighter };
+}
+
+const FILL = { tradeId: 't1', symbol: 'BTC', side: 'buy', size: 1, price: 100 };
+
+test('parseTrailingStop: percent of price or a multiple of ATR', () => {
+  const service = createService({ enabled: false });
+  assert.deepEqual(service.parseTrailingStop('2%'), { mode: 'percent', percent: 2 });
+  assert.deepEqual(service.parseTrailingStop('1.5 %'), { mode: 'percent', percent: 1.5 });
+  assert.deepEqual(service.parseTrailingStop('3ATR'), { mode: 'atr', atrMultiple: 3 });
+  assert.deepEqual(service.parseTrailingStop('2x atr'), { mode: 'atr', atrMultiple: 2 });
+  assert.match(service.parseTrailingStop('150%').error, /^Invalid trailingStop: 150%/);
+  assert.match(service.parseTrailingStop('tight').error, /^Invalid trailingStop: tight/);
+});
+
+test('trailing stops ratchet with the mark price, never back, and close when crossed', async () => {
+  const { service, lighter } = trailingService();
+  const trail = await quietly(() => service.attachTrailingStop('5%', FILL));
+  assert.equal(trail.stopPrice, 95);
+
+  lighter.markPrice = 120;
+  await quietly(() => service.checkTrailingStops());
+  assert.equal(trail.stopPrice, 114);
+  assert.equal(service.db.get('trailingStops/t1').stopPrice, 114);
+
+  lighter.markPrice = 116;
+  await quietly(() => service.checkTrailingStops());
+  assert.equal(trail.stopPrice, 114);
+  assert.equal(lighter.closes.length, 0);
+
+  lighter.markPrice = 113;
+  await quietly(() => service.checkTrailingStops());
+  assert.deepEqual(lighter.closes.map(c => [c.symbol, c.quantity, c.referencePrice]), [['BTC', 1, 113]]);
+  assert.equal(service.tradingState.trailingStops.size, 0);
+  const saved = service.db.get('trailingStops/t1');
+  assert.equal(saved.status, 'triggered');
+  assert.equal(saved.closeClientOrderIndex, 77);
+});
+
+test('a trail whose position was closed elsewhere is cancelled', async () => {
+  const { service, lighter } = trailingService();
+  await quietly(() => service.attachTrailingStop('5%', FILL));
+
+  lighter.quantity = 0;
+  await quietly(() => service.checkTrailingStops());
+  assert.equal(service.tradingState.trailingStops.size, 0);
+  assert.equal(service.db.get('trailingStops/t1').status, 'cancelled');
+  assert.equal(lighter.closes.length, 0);
+});
+
+test('ATR trails need an ATR; active trails are restored after a restart', async () => {
+  const { service } = trailingService();
+  assert.equal(await quietly(() => service.attachTrailingStop('2ATR', FILL)), null);
+
+  await service.db.doc('technicalData/latest').set({ BTC: { current: { atr: 4 } } });
+  const trail = await quietly(() => service.attachTrailingStop('2ATR', FILL));
+  assert.equal(trail.distance, 8);
+  assert.equal(trail.stopPrice, 92);
+
+  const restarted = createService({ enabled: true });
+  restarted.db = service.db;
+  await quietly(() => restarted.loadTrailingStops());
+  assert.equal(restarted.tradingState.trailingStops.get('t1').stopPrice, 92);
+});
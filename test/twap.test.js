@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService, quietly, FakeFirestore } = require('./helpers');
+
+const BOOK = {
+  bids: [{ price: 99.9, size: 100 }],
+  asks: [{ price: 100.1, size: 100 }]
+};
+
+// Live service with a deep book; slices are recorded instead of signed and
+// Lighter's order lists are under the test's control
+function twapService(config = {}) {
+  const service = createService({
+    enabled: true, maxSlippageBps: 50, twapThresholdUSD: 1000, twapSlices: 4, twapWindowMs: 0, ...config
+  });
+  service.db = new FakeFirestore();
+  service.isRunning = true;
+  service.marketRegistry.set('BTC', { symbol: 'BTC', marketIndex: 1, sizeDecimals: 4, priceDecimals: 2, minBaseAmount: 1, minQuoteAmount: 0, status: 'active' });
+  service.fetchOrderBook = async () => structuredClone(BOOK);
+
+  const lighter = { active: [], inactive: [], orders: [] };
+  service.fetchAccountOrders = async kind => lighter[kind];
+  service.submitOrder = async ({ symbol, side, tokenAmount, orderSpec }) => {
+    const clientOrderIndex = lighter.orders.length + 1;
+    lighter.orders.push({ side, tokenAmount, price: orderSpec.price });
+    return { success: true, symbol, marketIndex: 1, clientOrderIndex, orderType: orderSpec.orderType, side, size: tokenAmount, price: orderSpec.price };
+  };
+  return { service, lighter };
+}
+
+function plan(service, tokenAmount) {
+  const decision = { action: 'BUY', symbol: 'BTC', orderType: 'market' };
+  const quote = { ...structuredClone(BOOK), mid: 100, bestBid: 99.9, bestAsk: 100.1, fetchedAt: Date.now() };
+  return service.planTwap(decision, { side: 'buy', tokenAmount, quote, sizing: { strategy: 'confidence' } });
+}
+
+test('shouldTwap: only taker orders above TWAP_THRESHOLD_USD are sliced', () => {
+  const { service } = twapService();
+  assert.equal(service.shouldTwap({ orderType: 'market' }, 5000), true);
+  assert.equal(service.shouldTwap({ orderType: 'ioc' }, 5000), true);
+  assert.equal(service.shouldTwap({ orderType: 'market' }, 500), false);
+  assert.equal(service.shouldTwap({ orderType: 'limit' }, 5000), false);
+});
+
+test('planTwap: fewer slices when equal slices would be under the market minimum', async () => {
+  const { service } = twapService();
+  const { twap } = await quietly(() => plan(service, 40));
+  assert.equal(twap.slices, 4);
+  assert.equal(twap.sliceSize, 10);
+
+  const small = (await quietly(() => plan(service, 2.5))).twap;
+  assert.equal(small.slices, 2);
+  assert.equal(small.sliceSize, 1.25);
+});
+
+test('runTwap: every slice is sent and tracked; the parent settles once they all fill', async () => {
+  const { service, lighter } = twapService();
+  await service.db.doc('trades/t1').set({ status: 'submitted', result: { success: true } });
+  const { twap } = await quietly(() => plan(service, 40));
+
+  await quietly(() => service.runTwap(twap, 't1'));
+  assert.deepEqual(lighter.orders.map(o => o.tokenAmount), [10, 10, 10, 10]);
+  assert.equal(service.tradingState.pendingOrders.size, 4);
+  assert.equal(twap.status, 'sent');
+  assert.equal(service.db.get('trades/t1').twap.submittedSize, 40);
+
+  lighter.inactive = [1, 2, 3, 4].map(index => ({
+    client_order_index: String(index), status: 'filled', filled_base_amount: '10', filled_quote_amount: '1001'
+  }));
+  await quietly(() => service.pollPendingOrders());
+
+  const trade = service.db.get('trades/t1');
+  assert.equal(trade.status, 'executed');
+  assert.equal(trade.result.filledSize, 40);
+  assert.equal(trade.result.avgFillPrice, 100.1);
+  assert.equal(service.tradingState.twaps.size, 0);
+  assert.equal(service.tradingState.dailyTradeCount, 1);
+});
+
+test('stopTwaps: no more slices are sent after a stop', async () => {
+  const { service, lighter } = twapService({ twapWindowMs: 60000 });
+  await service.db.doc('trades/t1').set({ status: 'submitted', result: { success: true } });
+  const { twap } = await quietly(() => plan(service, 40));
+
+  const running = quietly(() => service.runTwap(twap, 't1'));
+  while (!twap.wake) await new Promise(resolve => setImmediate(resolve));
+  quietly(() => service.stopTwaps('Emergency stop'));
+  await running;
+
+  assert.equal(lighter.orders.length, 1);
+  assert.equal(twap.status, 'stopped');
+  assert.equal(twap.stopReason, 'Emergency stop');
+});
+
+// processDecision with executeTrade planning the given TWAP; returns its trade once it is logged as failed
+async function submitFailingTwap(service, twap) {
+  service.lighterConfig.apiKeyPrivateKey = 'test-key';
+  service.executeTrade = async () => ({ success: true, twap, clientOrderIndex: null });
+  return quietly(async () => {
+    const { tradeId } = await service.processDecision({ action: 'BUY', symbol: 'BTC', confidence: 0.9, reasoning: 'twap', timestamp: Date.now() });
+    while (service.db.get(`trades/${tradeId}`).twap?.status !== 'failed') await new Promise(resolve => setImmediate(resolve));
+    return service.db.get(`trades/${tradeId}`);
+  });
+}
+
+test('runTwap: a slice that throws fails the TWAP and is written to its trade', async () => {
+  const { service } = twapService({ allowedSymbols: ['BTC'] });
+  const { twap } = await quietly(() => plan(service, 40));
+  service.submitOrder = async () => { throw new Error('signer crashed'); };
+
+  const trade = await submitFailingTwap(service, twap);
+  assert.equal(trade.twap.stopReason, 'signer crashed');
+  assert.equal(trade.result.orderStatus, 'cancelled');
+  assert.equal(service.tradingState.twaps.size, 0);
+});
+
+test('runTwap: a failure settling the TWAP is caught and marks it failed', async () => {
+  const { service } = twapService({ allowedSymbols: ['BTC'] });
+  const { twap } = await quietly(() => plan(service, 40));
+  service.maybeFinishTwap = async () => { throw new Error('settlement failed'); };
+
+  const trade = await submitFailingTwap(service, twap);
+  assert.equal(trade.twap.stopReason, 'settlement failed');
+  assert.equal(trade.result.error, 'settlement failed');
+});